@@ -0,0 +1,52 @@
+// Accuracy and to-hit: the chance an attack lands, for expected DPS
+//
+// chance = clamp(accuracy * clamp(baseToHit + toHitBuffs - defense))
+// where accuracy = power accuracy * (1 + slotted accuracy) * level modifier
+// and both clamps hold the value between 5% and 95%.
+
+// Players' base to-hit against critters
+export const BASE_TOHIT = 0.75;
+
+const HIT_FLOOR = 0.05;
+const HIT_CAP = 0.95;
+
+// Purple patch: accuracy modifier by target level relative to the player
+const LEVEL_ACCURACY_MODS = {
+  '-1': 1.05,
+  0: 1.0,
+  1: 0.92,
+  2: 0.84,
+  3: 0.76,
+  4: 0.68,
+  5: 0.6,
+};
+
+function clampHit(value) {
+  return Math.min(HIT_CAP, Math.max(HIT_FLOOR, value));
+}
+
+export function levelAccuracyModifier(levelOffset) {
+  const offset = Math.max(-1, Math.min(5, Math.round(levelOffset || 0)));
+  return LEVEL_ACCURACY_MODS[offset];
+}
+
+// options: { levelOffset, defense, toHitBonus } with defense and to-hit as fractions (0.1 = 10%);
+// levelOffset is the target's effective level offset (see target.js resolveTarget).
+// Returns null when no options are given, which the simulators treat as "every attack hits".
+export function createHitModel(options) {
+  if (!options) return null;
+  return {
+    levelOffset: options.levelOffset || 0,
+    defense: options.defense || 0,
+    toHitBonus: options.toHitBonus || 0,
+    accuracyMod: levelAccuracyModifier(options.levelOffset),
+  };
+}
+
+// Chance for one activation of `power` to hit, given to-hit buffs active right now
+export function hitChance(hitModel, power, toHitBuff = 0) {
+  if (!hitModel) return 1;
+  const toHit = clampHit(BASE_TOHIT + hitModel.toHitBonus + toHitBuff - hitModel.defense);
+  const accuracy = (power.accuracy ?? 1) * (1 + (power.enhAccuracy || 0) / 100) * hitModel.accuracyMod;
+  return clampHit(accuracy * toHit);
+}
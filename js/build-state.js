@@ -0,0 +1,226 @@
+// Build configuration as a shareable URL hash and as saved profiles
+//
+// A build is { archetype, primary, secondary, level, inherent, recharge, lotg, latency, targets,
+// slotting, perPower, disabled } plus the rest of the search's settings:
+// - target: rank, targetLevel (offset), defense and toHit (percent)
+// - resistance: resistPreset, resist ({ Type: percent }, for the Custom preset),
+//   resDebuff (percent); damageBuff is the external damage buff (percent)
+// - team: the team preset and teamEffects, the checked effects as
+//   [{ id, magnitude (percent), duration, period }]
+// - endurance: maxEnd, recovery and stamina (percent), physicalPerfection,
+//   toggles (slugs left running), fightLength (seconds), sustainableOnly
+// - incarnates: alpha ({ id, tier }), hybrid, interface, judgement, lore, destiny (ids,
+//   '' for an empty slot)
+// inherent is an INHERENT_MODELS id ('' for the archetype's own), recharge is in percent,
+// lotg the Luck of the Gambler global recharge uniques (a count, on top of recharge),
+// latency in milliseconds, slotting the global slot config and perPower the per-power
+// overrides (enhancements.js), disabled the slugs left out of the search. Every field
+// is optional. The hash uses query syntax with short keys, slot
+// configs written like the CLI's --slots: "so:1/3/2/0", then any set pieces as
+// "set.piece+set.piece"; resist, team effects and the Alpha also read like their CLI
+// flags, with ":" for "=": "Fire:30,Cold:10", "fulcrum_shift:150/30/40", "musculature:t4_core".
+
+import { ENHANCEMENT_ORIGINS } from './enhancements.js';
+
+// localStorage key of the saved profiles: { name: build }
+export const PROFILES_KEY = 'coh-dps-finder.profiles';
+
+const KEYS = {
+  archetype: 'at', primary: 'pri', secondary: 'sec', level: 'lvl', inherent: 'inh', recharge: 'rech', lotg: 'lotg',
+  latency: 'lat', targets: 'tgt',
+  rank: 'rank', targetLevel: 'tlvl', defense: 'def', toHit: 'hit',
+  resistPreset: 'res', resDebuff: 'rdb', damageBuff: 'dmg', team: 'team',
+  maxEnd: 'end', recovery: 'rec', stamina: 'sta', physicalPerfection: 'pp', fightLength: 'fight', sustainableOnly: 'sus',
+  hybrid: 'hyb', interface: 'ifc', judgement: 'jdg', lore: 'lore', destiny: 'dst',
+};
+const NUMERIC = new Set([
+  'level', 'recharge', 'lotg', 'latency', 'targets', 'targetLevel', 'defense', 'toHit', 'resDebuff', 'damageBuff',
+  'maxEnd', 'recovery', 'stamina', 'fightLength',
+]);
+const BOOLEAN = new Set(['physicalPerfection', 'sustainableOnly']);
+// Text fields kept when empty: the archetype's own inherent, an empty incarnate slot
+const CLEARABLE = new Set(['inherent', 'hybrid', 'interface', 'judgement', 'lore', 'destiny']);
+// Slug lists, comma separated
+const LISTS = { disabled: 'off', toggles: 'tog' };
+const SLOTS_KEY = 'enh';
+const RESIST_KEY = 'resist';
+const TEAM_EFFECTS_KEY = 'fx';
+const ALPHA_KEY = 'alpha';
+// Per-power overrides: "s.<slug>=..."
+const POWER_PREFIX = 's.';
+
+const isNumber = value => value !== '' && Number.isFinite(Number(value));
+
+// Characters left readable in the hash; anything else is percent-encoded
+const escape = value => String(value).replace(/[^\w.:/+,-]/g, encodeURIComponent);
+
+export function encodeSlots(config) {
+  const counts = [config.accuracy, config.damage, config.recharge, config.endurance].map(n => n || 0).join('/');
+  const pieces = (config.pieces || []).map(p => `${p.set}.${p.piece}`).join('+');
+  return `${config.origin || 'so'}:${counts}${pieces ? `:${pieces}` : ''}`;
+}
+
+// Returns a slot config, or null if the text isn't one
+export function decodeSlots(text) {
+  const [origin, counts = '', pieces = ''] = String(text).split(':');
+  const numbers = counts.split('/').map(n => Number(n));
+  if (!ENHANCEMENT_ORIGINS[origin] || numbers.length < 3 || numbers.length > 4) return null;
+  if (numbers.some(n => !Number.isInteger(n) || n < 0)) return null;
+  const [accuracy, damage, recharge, endurance = 0] = numbers;
+  const parsedPieces = pieces ? pieces.split('+').map(p => p.split('.')) : [];
+  if (parsedPieces.some(p => p.length !== 2 || !p[0] || !p[1])) return null;
+  return {
+    origin, accuracy, damage, recharge, endurance,
+    pieces: parsedPieces.map(([set, piece]) => ({ set, piece })),
+  };
+}
+
+// "Fire:30,Cold:10" for { Fire: 30, Cold: 10 }
+function encodeResist(resist) {
+  return Object.entries(resist).map(([type, pct]) => `${type}:${pct}`).join(',');
+}
+
+function decodeResist(text) {
+  const resist = {};
+  for (const [type, pct] of text.split(',').map(entry => entry.split(':'))) {
+    if (type && pct != null && isNumber(pct)) resist[type] = Number(pct);
+  }
+  return resist;
+}
+
+// "id:magnitude/duration/period", the duration and period left out for toggles
+function encodeTeamEffect(effect) {
+  const numbers = [effect.magnitude, effect.duration, effect.period];
+  while (numbers.length > 0 && numbers[numbers.length - 1] == null) numbers.pop();
+  return numbers.length > 0 ? `${effect.id}:${numbers.join('/')}` : effect.id;
+}
+
+// Returns a team effect, or null if the text isn't one
+function decodeTeamEffect(text) {
+  const [id, numbers = '', extra] = text.split(':');
+  if (!id || extra != null) return null;
+  const effect = { id };
+  const values = numbers ? numbers.split('/') : [];
+  if (values.length > 3 || !values.every(isNumber)) return null;
+  ['magnitude', 'duration', 'period'].forEach((field, i) => {
+    if (values[i] != null) effect[field] = Number(values[i]);
+  });
+  return effect;
+}
+
+// Hash text (without '#') for a build
+export function encodeBuild(build) {
+  const parts = [];
+  for (const [field, key] of Object.entries(KEYS)) {
+    if (build[field] == null) continue;
+    parts.push(`${key}=${BOOLEAN.has(field) ? (build[field] ? 1 : 0) : escape(build[field])}`);
+  }
+  if (build.resist) parts.push(`${RESIST_KEY}=${escape(encodeResist(build.resist))}`);
+  if (build.teamEffects) parts.push(`${TEAM_EFFECTS_KEY}=${build.teamEffects.map(e => escape(encodeTeamEffect(e))).join(',')}`);
+  if (build.alpha) parts.push(`${ALPHA_KEY}=${escape(`${build.alpha.id}:${build.alpha.tier}`)}`);
+  if (build.slotting) parts.push(`${SLOTS_KEY}=${escape(encodeSlots(build.slotting))}`);
+  for (const [slug, config] of Object.entries(build.perPower || {})) {
+    parts.push(`${POWER_PREFIX}${escape(slug)}=${escape(encodeSlots(config))}`);
+  }
+  for (const [field, key] of Object.entries(LISTS)) {
+    if (build[field]) parts.push(`${key}=${build[field].map(escape).join(',')}`);
+  }
+  return parts.join('&');
+}
+
+// Build from hash text (with or without '#'); unreadable fields are left out.
+// Returns null when nothing in the hash is a build field.
+export function decodeBuild(hash) {
+  const build = {};
+  const fields = Object.fromEntries(Object.entries(KEYS).map(([field, key]) => [key, field]));
+  const lists = Object.fromEntries(Object.entries(LISTS).map(([field, key]) => [key, field]));
+  for (const part of String(hash || '').replace(/^#/, '').split('&')) {
+    const split = part.indexOf('=');
+    if (split < 0) continue;
+    let key;
+    let value;
+    try {
+      key = decodeURIComponent(part.slice(0, split));
+      value = decodeURIComponent(part.slice(split + 1));
+    } catch (e) {
+      continue;
+    }
+
+    if (fields[key]) {
+      const field = fields[key];
+      if (BOOLEAN.has(field)) {
+        if (value === '1' || value === '0') build[field] = value === '1';
+      } else if (!NUMERIC.has(field)) {
+        if (value || CLEARABLE.has(field)) build[field] = value;
+      } else if (isNumber(value)) {
+        build[field] = Number(value);
+      }
+    } else if (lists[key]) {
+      build[lists[key]] = value ? value.split(',') : [];
+    } else if (key === RESIST_KEY) {
+      build.resist = value ? decodeResist(value) : {};
+    } else if (key === TEAM_EFFECTS_KEY) {
+      const effects = value ? value.split(',').map(decodeTeamEffect) : [];
+      if (effects.every(Boolean)) build.teamEffects = effects;
+    } else if (key === ALPHA_KEY) {
+      const [id, tier, extra] = value.split(':');
+      if (id && tier && extra == null) build.alpha = { id, tier };
+    } else if (key === SLOTS_KEY) {
+      const slots = decodeSlots(value);
+      if (slots) build.slotting = slots;
+    } else if (key.startsWith(POWER_PREFIX)) {
+      const slots = decodeSlots(value);
+      if (slots) build.perPower = { ...build.perPower, [key.slice(POWER_PREFIX.length)]: slots };
+    }
+  }
+  return Object.keys(build).length > 0 ? build : null;
+}
+
+// Saved profiles from `storage` (localStorage or anything with getItem/setItem)
+export function loadProfiles(storage) {
+  try {
+    const profiles = JSON.parse(storage.getItem(PROFILES_KEY) || '{}');
+    return profiles && typeof profiles === 'object' && !Array.isArray(profiles) ? profiles : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Add or replace `profiles` in storage; returns every saved profile
+export function saveProfiles(storage, profiles) {
+  const saved = { ...loadProfiles(storage), ...profiles };
+  storage.setItem(PROFILES_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+export function deleteProfile(storage, name) {
+  const saved = loadProfiles(storage);
+  delete saved[name];
+  storage.setItem(PROFILES_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+export function exportProfiles(profiles) {
+  return JSON.stringify({ version: 1, profiles }, null, 2);
+}
+
+// Profiles from an exported file. Each build is normalized through the hash
+// format, dropping fields it can't hold. Throws on a file that isn't an export.
+export function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Profile file is not valid JSON');
+  }
+  if (!data || typeof data.profiles !== 'object' || data.profiles === null || Array.isArray(data.profiles)) {
+    throw new Error('Profile file has no profiles');
+  }
+  const profiles = {};
+  for (const [name, build] of Object.entries(data.profiles)) {
+    const normalized = build && typeof build === 'object' ? decodeBuild(encodeBuild(build)) : null;
+    if (!normalized) throw new Error(`Profile "${name}" is not a build`);
+    profiles[name] = normalized;
+  }
+  return profiles;
+}
@@ -1,130 +1,657 @@
-// Attack chain optimizer: finds the highest DPS repeating chain
-// Supports greedy and exhaustive search up to chain length 8
-// Models Defiance (Blaster inherent) damage buff stacking
-// Handles wait time when powers are on cooldown (dead time lowers DPS)
+// Attack chain optimizer: finds the highest DPS repeating chains
+// Shared simulation core for the Web Worker (optimizer-worker.js), scripts and tests.
+// Branch-and-bound search up to chain length 12 with cooldown waits, activation latency,
+// the archetype inherent (inherents.js), hit chance (accuracy.js), target
+// resistance (resistance.js), the damage cap (damage.js), an endurance budget
+// (endurance.js) and a click-buff overlay (Aim, Build Up).
 
-import { arcanaTime } from './arcanatime.js';
+import { getInherentModel, INHERENT_MODELS } from './inherents.js';
+import { createHitModel, hitChance } from './accuracy.js';
+import { resolveTarget } from './target.js';
+import { DAMAGE_TYPES, resolveResistance, resistanceMultiplier, debuffMultiplier } from './resistance.js';
+import { createDamageModel, strengthMultiplier, buildDamageLedger } from './damage.js';
+import { resolveTeamEffects, isEffectActive } from './team-buffs.js';
+import { createEnduranceModel, clickBuffCost, enduranceVerdict } from './endurance.js';
+import {
+  resolveIncarnates, resolveInterface, createInterfaceState, interfaceResDebuff, applyInterface,
+  incarnateTargetsMultiplier,
+} from './incarnates.js';
 
-const MAX_CHAIN_LENGTH = 8;
+const MAX_CHAIN_LENGTH = 12;
 const TOP_N = 5;
-// Number of full cycles to simulate for Defiance to reach steady state
+// Number of full cycles to simulate for inherent buffs to reach steady state
 const DEFIANCE_WARMUP_CYCLES = 3;
-// Skip chains where estimated wait time would exceed this multiple of cast time
-const MAX_WAIT_RATIO = 3;
-// Max results to accumulate before pruning (performance guard)
-const MAX_RESULTS_PER_LENGTH = 500;
+// Chains needn't be strictly feasible (waits are simulated, for low-recharge scenarios),
+// but a power used K times needs a cycle of at least K * effectiveRecharge: chains
+// where that exceeds this multiple of their cast time are skipped
+export const MAX_WAIT_RATIO = 3;
+// Prefixes a pass may search; a length whose estimate would pass it is skipped with the rest
+const MAX_SEARCHED_PREFIXES = 100_000_000;
+// Report progress every N prefixes searched
+const PROGRESS_INTERVAL = 1_000_000;
 
-export function optimizeChains(powers, rechargeReduction, enhancementConfig = null) {
-  if (!powers || powers.length === 0) return [];
+// Buff overlay: skip first N buff cycles as warmup, measure the rest
+const BUFF_WARMUP_CYCLES = 2;
+const BUFF_MEASURE_CYCLES = 3;
 
-  const powersWithRecharge = powers.map(p => {
-    // Per-power enhancement recharge (from slotted SOs) adds to global recharge in denominator
-    const enhRecharge = p.enhRecharge || 0;
+// Resolve { archetype, id, options } into the inherent model the simulators call:
+// the archetype's, or the one INHERENT_MODELS names by id
+export function createInherentSim(inherent) {
+  const { archetype = 'blaster', id = null, options = {} } = inherent || {};
+  return { archetype, model: (id && INHERENT_MODELS[id]) || getInherentModel(archetype), options };
+}
+
+function scaleByType(byType, mult) {
+  return Object.fromEntries(Object.entries(byType).map(([type, damage]) => [type, damage * mult]));
+}
+
+// Scale a power's damage (and expected proc damage) by the target's purple patch
+// modifier and per-type resistance, keeping damageByType / procDamageByType totals
+// for the chain breakdown. Without resistance the totals are scaled as a whole.
+function resolvePowerDamage(p, damageMod, resistance) {
+  const damageByType = {};
+  for (const c of p.damageComponents || []) {
+    damageByType[c.type] = (damageByType[c.type] || 0) + c.damage * damageMod * resistanceMultiplier(resistance, c.type);
+  }
+  const procDamageByType = {};
+  for (const proc of p.procs || []) {
+    procDamageByType[proc.type] = (procDamageByType[proc.type] || 0)
+      + proc.chance * proc.damage * damageMod * resistanceMultiplier(resistance, proc.type);
+  }
+
+  if (!resistance) {
     return {
       ...p,
-      effectiveRecharge: p.rechargeTime / (1 + enhRecharge / 100 + rechargeReduction / 100),
+      totalDamage: p.totalDamage * damageMod,
+      procDamage: (p.procDamage || 0) * damageMod,
+      dpa: p.dpa * damageMod,
+      damageByType,
+      procDamageByType,
     };
+  }
+
+  const totalDamage = Object.values(damageByType).reduce((sum, d) => sum + d, 0);
+  const procDamage = Object.values(procDamageByType).reduce((sum, d) => sum + d, 0);
+  return {
+    ...p,
+    totalDamage,
+    procDamage,
+    dpa: (totalDamage + procDamage) / p.arcanaTime,
+    damageByType,
+    procDamageByType,
+  };
+}
+
+// Multiplier on a power's enhanced damage for one activation. Damage-buff inherents
+// (Defiance, Fury) add their bonus to click and external buffs under the damage cap;
+// the other inherents (crits, Scourge, Opportunity) multiply the capped damage.
+function activationMultiplier(model, inherentMult, power, clickBuff = 0) {
+  return model.damageBuff
+    ? strengthMultiplier(power, inherentMult - 1 + clickBuff)
+    : inherentMult * strengthMultiplier(power, clickBuff);
+}
+
+// Average damage strength by source over a chain's activations (see buildDamageLedger)
+export function chainDamageLedger(chain, inherentSim, damageModel = null) {
+  const avg = fn => chain.powers.reduce((sum, p) => sum + fn(p), 0) / chain.powers.length;
+  const entries = [
+    { id: 'enhancement', label: 'Enhancements', value: avg(p => (p.enhDamage || 0) / 100) },
+    { id: 'set', label: 'Set bonuses', value: avg(p => (p.setDamage || 0) / 100) },
+    { id: 'alpha', label: 'Alpha', value: avg(p => (p.alphaDamage || 0) / 100) },
+  ];
+  if (inherentSim.model.damageBuff) {
+    entries.push({ id: 'inherent', label: inherentSim.model.name, value: (chain.avgDefianceBuff || 1) - 1 });
+  }
+  if (chain.avgClickBuff) {
+    entries.push({ id: 'click', label: (chain.clickBuffNames || []).join(' + '), value: chain.avgClickBuff });
+  }
+  if (chain.avgTeamBuff) {
+    entries.push({ id: 'team', label: (chain.timedBuffNames || ['Timed team buffs']).join(' + '), value: chain.avgTeamBuff });
+  }
+  entries.push({ id: 'external', label: 'External buffs', value: damageModel ? damageModel.buff : 0 });
+  return buildDamageLedger(entries, damageModel ? damageModel.cap : Infinity);
+}
+
+// Cycle damage of a simulated chain split by damage type, counting the damage
+// multiplier and hit chance each activation got (sums to chain.totalDamage).
+// interfaceSim adds the Interface debuff each activation met and its DoTs.
+export function chainDamageByType(chain, interfaceSim = null) {
+  const totals = {};
+  chain.powers.forEach((p, i) => {
+    const event = chain.timeline && chain.timeline[i];
+    const mult = event ? event.damageMult : 1;
+    const hit = event ? event.hitChance : (p.hitChance ?? 1);
+    const resDebuff = (interfaceSim && event && event.resDebuff) || 0;
+    const debuffed = type => (resDebuff > 0 ? debuffMultiplier(interfaceSim.resistance, type, resDebuff) : 1);
+    for (const [type, damage] of Object.entries(p.damageByType || {})) {
+      totals[type] = (totals[type] || 0) + damage * mult * hit * debuffed(type);
+    }
+    for (const [type, damage] of Object.entries(p.procDamageByType || {})) {
+      totals[type] = (totals[type] || 0) + damage * hit * debuffed(type);
+    }
+    if (event && event.interfaceDamage) {
+      const type = interfaceSim.proc.dot.type;
+      totals[type] = (totals[type] || 0) + event.interfaceDamage;
+    }
+  });
+  return totals;
+}
+
+// Run the Ranged, Hybrid and (for numTargets > 1) AoE passes.
+// config.inherent ({ archetype, id, options }, see createInherentSim) picks the inherent;
+// the damage cap follows its archetype.
+// config.target ({ rank, levelOffset, playerLevel }) applies the purple patch to damage and accuracy.
+// config.resistance ({ preset, resistances, debuff }) applies per-type target resistance.
+// config.damage ({ cap, buff }) sets external damage buffs and overrides the archetype damage cap.
+// config.team ({ effects }) adds teammates' buffs and debuffs (team-buffs.js): always-on
+// effects fold into the numbers above, timed ones run on the buff overlay.
+// config.hit ({ defense, toHitBonus }) turns on expected damage; without it every attack hits.
+// config.endurance (see createEnduranceModel) adds a sustainability verdict to every chain.
+// config.incarnate ({ alpha, hybrid, interface }, incarnates.js) adds the Alpha level shift and Hybrid
+// Assault: its passive damage joins the external buff, its toggle runs on the buff overlay.
+// The Alpha's enhancement is applied with the slotting (applyEnhancements). The Interface
+// proc rolls on every activation in both simulations. Judgement, Lore and Destiny join the
+// buff powers the overlay fires on cooldown, Judgement and Lore hitting every target in AoE.
+// config.passes (['ranged', 'hybrid', 'aoe'] by default) picks the passes to run; the
+// chains of the others come back null.
+// onProgress receives the same { type: 'pass' | 'progress', ... } messages the worker posts.
+export function runOptimization(config, onProgress = () => {}) {
+  const { buffPowers, activationLatency, numTargets, inherent, hit } = config;
+  const team = resolveTeamEffects(config.team);
+  const incarnate = resolveIncarnates(config.incarnate);
+  const clickPowers = [...(buffPowers || []), ...incarnate.powers];
+  const rechargeReduction = config.rechargeReduction + team.constant.recharge * 100;
+  // Click recharge buffs (Hasten, Ageless) at their average uptime for the search; the overlay runs them for real
+  const averagedRecharge = averageRechargeBuff(
+    prepareChainPowers(clickPowers, rechargeReduction, activationLatency || 0), activationLatency || 0) * 100;
+  const target = config.target ? resolveTarget({ ...config.target, playerShift: incarnate.levelShift }) : null;
+  const inherentSim = createInherentSim(target
+    ? { ...inherent, options: { targetRank: target.rank, ...(inherent && inherent.options) } }
+    : inherent);
+  const hitModel = createHitModel(hit && {
+    ...hit,
+    levelOffset: target ? target.effectiveOffset : hit.levelOffset,
+    toHitBonus: (hit.toHitBonus || 0) + team.constant.toHit,
+  });
+  const damageModel = createDamageModel({
+    archetype: inherentSim.archetype,
+    ...config.damage,
+    buff: ((config.damage && config.damage.buff) || 0) + team.constant.damage + incarnate.damage,
   });
 
-  const results = [];
+  const enduranceModel = createEnduranceModel(config.endurance);
 
-  for (let len = 1; len <= Math.min(MAX_CHAIN_LENGTH, 8); len++) {
-    searchChains(powersWithRecharge, len, results);
+  const damageMod = target ? target.damageMod : 1;
+  const resDebuff = ((config.resistance && config.resistance.debuff) || 0) + team.constant.resDebuff;
+  const resistance = config.resistance || resDebuff > 0
+    ? resolveResistance({ ...config.resistance, debuff: resDebuff }, damageMod)
+    : null;
+  // Timed debuffs are purple-patched like the constant ones
+  const teamEffects = [
+    ...team.timed.map(e => (e.kind === 'resDebuff' ? { ...e, magnitude: e.magnitude * damageMod } : e)),
+    ...incarnate.timed,
+  ];
+  const interfaceProc = resolveInterface(config.incarnate && config.incarnate.interface, damageMod);
+  const interfaceSim = interfaceProc ? { proc: interfaceProc, resistance } : null;
+  const passOptions = passLabel => ({
+    passLabel, inherentSim, hitModel, damageModel, teamEffects, resistance, averagedRecharge, enduranceModel,
+    interfaceSim, onProgress,
+  });
+
+  const powers = config.powers.map(p => resolvePowerDamage(p, damageMod, resistance));
+  const rangedPowers = powers.filter(p => !p.isMelee);
+  const allPowers = powers;
+  const incarnateClicks = incarnate.powers.map(p => resolvePowerDamage(p, damageMod, resistance));
+  const singleTargetClicks = [...(buffPowers || []), ...incarnateClicks];
+
+  const passes = new Set(config.passes || ['ranged', 'hybrid', 'aoe']);
+  let rangedChains = null;
+  if (passes.has('ranged')) {
+    onProgress({ type: 'pass', pass: 'ranged' });
+    rangedChains = optimizeChains(rangedPowers, singleTargetClicks, rechargeReduction, activationLatency || 0, passOptions('Ranged'));
   }
 
-  results.sort((a, b) => b.dps - a.dps);
+  let hybridChains = null;
+  if (passes.has('hybrid')) {
+    onProgress({ type: 'pass', pass: 'hybrid' });
+    hybridChains = optimizeChains(allPowers, singleTargetClicks, rechargeReduction, activationLatency || 0, passOptions('Hybrid'));
+  }
+
+  let aoeChains = null;
+  const nt = numTargets || 1;
+  if (nt > 1 && passes.has('aoe')) {
+    // Scale each power's damage by targets hit: min(numTargets, maxTargetsHit)
+    // ST powers get 1x (valid fillers between AoE cooldowns), AoE powers get Nx
+    // Procs roll separately against every target hit
+    const aoePowers = allPowers.map(p => {
+      const targetsHit = Math.min(nt, p.maxTargetsHit || 1);
+      const procDamage = (p.procDamage || 0) * targetsHit;
+      return {
+        ...p,
+        totalDamage: p.totalDamage * targetsHit,
+        procDamage,
+        dpa: (p.totalDamage * targetsHit + procDamage) / p.arcanaTime,
+        damageByType: scaleByType(p.damageByType, targetsHit),
+        procDamageByType: scaleByType(p.procDamageByType, targetsHit),
+        _aoeDamageMultiplier: targetsHit,
+        _originalDamage: p.totalDamage,
+      };
+    });
+
+    // Judgement and Lore pets hit the pack too
+    const aoeClicks = [...(buffPowers || []), ...incarnateClicks.map(p => {
+      const mult = incarnateTargetsMultiplier(p, nt);
+      return { ...p, totalDamage: p.totalDamage * mult, damageByType: scaleByType(p.damageByType, mult) };
+    })];
+
+    onProgress({ type: 'pass', pass: `AoE (${nt}t)` });
+    aoeChains = optimizeChains(aoePowers, aoeClicks, rechargeReduction, activationLatency || 0,
+      { ...passOptions(`AoE (${nt}t)`), topN: 10 });
+
+    // Annotate chain powers with targets hit info
+    if (aoeChains) {
+      for (const chain of aoeChains) {
+        for (const p of chain.powers) {
+          const src = allPowers.find(s => s.slug === p.slug);
+          const maxHit = (src && src.maxTargetsHit) || 1;
+          p.targetsHit = Math.min(nt, maxHit);
+          p.maxTargetsHit = maxHit;
+        }
+      }
+    }
+  }
 
-  const unique = deduplicateChains(results);
-  return unique.slice(0, TOP_N);
+  return {
+    rangedChains, hybridChains, aoeChains, numTargets: nt, target, resistance, damageModel, team, averagedRecharge,
+    endurance: enduranceModel, incarnate, interfaceProc,
+  };
 }
 
-function searchChains(powers, length, results) {
-  const indices = new Array(length).fill(0);
-  const numPowers = powers.length;
-  const totalCombos = Math.pow(numPowers, length);
+// Attach effective recharge, activation latency, unbuffed hit chance and the damage
+// cap and external damage buff (from damageModel) to parsed (enhanced) powers.
+// Per-power enhancement recharge adds to the global bonus in the denominator;
+// incarnate clicks (ignoresRechargeBuffs) keep their base recharge.
+export function prepareChainPowers(powers, rechargeReduction, activationLatency = 0, hitModel = null, damageModel = null) {
+  return powers.map(p => {
+    const enhRecharge = p.enhRecharge || 0;
+    return {
+      ...p,
+      effectiveRecharge: p.ignoresRechargeBuffs
+        ? p.rechargeTime
+        : p.rechargeTime / (1 + enhRecharge / 100 + rechargeReduction / 100),
+      // Activation latency adds dead time after each power activation
+      // This models human reaction time, input delay, and animation queue gaps
+      activationLatency,
+      hitChance: hitChance(hitModel, p),
+      damageCap: damageModel ? damageModel.cap : null,
+      externalDamageBuff: damageModel ? damageModel.buff : 0,
+    };
+  });
+}
+
+// options: { passLabel, topN, maxLength, inherentSim, hitModel, damageModel, teamEffects, resistance,
+// averagedRecharge, enduranceModel, interfaceSim, onProgress }
+// Chains of every length up to maxLength (MAX_CHAIN_LENGTH) are searched by searchChains,
+// shortest first, until the lengths left would pass the search budget.
+// teamEffects are timed team effects for the buff overlay; resistance is the resolved target resistance.
+// enduranceModel judges each chain, counting the click buffs' endurance too.
+// interfaceSim ({ proc, resistance }) runs the Interface proc (resolveInterface) in every simulation.
+// averagedRecharge (percent) is added to the search's recharge only: the overlay simulates
+// the click recharge buffs it stands for (see averageRechargeBuff).
+export function optimizeChains(powers, buffPowers, rechargeReduction, activationLatency, options = {}) {
+  const passLabel = options.passLabel || '';
+  const topN = options.topN || TOP_N;
+  const maxLength = options.maxLength || MAX_CHAIN_LENGTH;
+  const inherentSim = options.inherentSim || createInherentSim(null);
+  const hitModel = options.hitModel || null;
+  const damageModel = options.damageModel || null;
+  const teamEffects = options.teamEffects || [];
+  const averagedRecharge = options.averagedRecharge || 0;
+  const enduranceModel = options.enduranceModel || null;
+  const interfaceSim = options.interfaceSim || null;
+  const onProgress = options.onProgress || (() => {});
+  if (!powers || powers.length === 0) return [];
+
+  const powersWithRecharge = prepareChainPowers(powers, rechargeReduction + averagedRecharge, activationLatency, hitModel, damageModel);
+
+  // Prepare buff powers with effective recharge; Judgement takes the hit chance and damage cap
+  const preparedBuffs = prepareChainPowers(buffPowers, rechargeReduction, activationLatency, hitModel, damageModel);
+  const buffSpend = enduranceModel ? clickBuffCost(preparedBuffs) : 0;
+
+  // Best inherent multiplier any activation can get (upper bound for pruning)
+  const inherentBound = inherentSim.model.upperBound(inherentSim.options, powersWithRecharge);
+  const interfaceBound = interfaceBounds(interfaceSim);
+
+  // Powers by bounded damage per second of activation: the search meets strong chains first
+  const bounded = powersWithRecharge
+    .map(p => ({ power: p, damage: activationDamageBound(p, inherentSim.model, inherentBound, interfaceBound) }))
+    .sort((a, b) => b.damage / stepTime(b.power) - a.damage / stepTime(a.power));
+  const orderedPowers = bounded.map(b => b.power);
+  const damageBounds = bounded.map(b => b.damage);
+  const top = createTopChains(topN);
+  const search = { passLabel, inherentSim, interfaceSim, enduranceModel, buffSpend, onProgress };
 
-  // Track best DPS this length to prune weak chains
-  let bestDpsThisLength = 0;
-  let lengthResults = [];
+  let searched = 0;
+  let previous = 0;
+  let last = 0;
+  for (let len = 1; len <= maxLength; len++) {
+    // Each length costs about as many times the last as the last did the one before
+    const estimate = previous > 0 ? last * (last / previous) : last;
+    if (searched + estimate > MAX_SEARCHED_PREFIXES) {
+      onProgress({
+        type: 'progress',
+        pass: passLabel,
+        length: len,
+        skipped: true,
+        reason: `about ${Math.round(estimate).toLocaleString()} prefixes, over the search budget — `
+          + `${len < maxLength ? `lengths ${len}-${maxLength}` : `length ${len}`} skipped`,
+      });
+      break;
+    }
+    onProgress({ type: 'progress', pass: passLabel, length: len, searched: 0, checked: 0, bestDps: top.bestDps });
+    previous = last;
+    last = searchChains(orderedPowers, damageBounds, len, top, search);
+    searched += last;
+  }
+
+  const topChains = [...top.byKey.values()].sort((a, b) => b.dps - a.dps).map(rotateChainToHighestDpa);
+  for (const chain of topChains) {
+    chain.damageByType = chainDamageByType(chain, interfaceSim);
+  }
 
-  for (let combo = 0; combo < totalCombos; combo++) {
-    let temp = combo;
-    for (let i = length - 1; i >= 0; i--) {
-      indices[i] = temp % numPowers;
-      temp = Math.floor(temp / numPowers);
+  // Apply buff overlay to top chains if there are buff powers or timed team effects
+  if (preparedBuffs.length > 0 || teamEffects.length > 0) {
+    // The overlay starts from the recharge without averaged click buffs
+    const timelineRecharge = new Map(prepareChainPowers(powers, rechargeReduction, activationLatency)
+      .map(p => [p.slug, p.effectiveRecharge]));
+    for (const chain of topChains) {
+      const timelineChain = averagedRecharge
+        ? { ...chain, powers: chain.powers.map(p => ({ ...p, effectiveRecharge: timelineRecharge.get(p.slug) })) }
+        : chain;
+      const overlay = simulateChainWithBuffOverlay(timelineChain, preparedBuffs, activationLatency, inherentSim, hitModel,
+        { teamEffects, resistance: options.resistance || null, interfaceSim });
+      chain.buffedDps = overlay.dpsWithBuffs;
+      chain.buffedAllHitsDps = overlay.allHitsDpsWithBuffs;
+      chain.buffUptime = overlay.buffUptime;
+      chain.avgBuffMult = overlay.avgBuffMult;
+      chain.avgClickBuff = overlay.avgClickBuff;
+      chain.avgTeamBuff = overlay.avgTeamBuff;
+      chain.rechargeBuffUptime = overlay.rechargeBuffUptime;
+      chain.clickBuffNames = preparedBuffs.filter(p => !p.incarnateSlot).map(p => p.name);
+      chain.incarnateClickNames = preparedBuffs.filter(p => p.incarnateSlot).map(p => p.name);
+      chain.clickAttackDps = overlay.clickAttackDps;
+      chain.buffPowerNames = [
+        ...chain.clickBuffNames, ...chain.incarnateClickNames, ...new Set(teamEffects.map(e => e.name)),
+      ];
+      chain.timedBuffNames = teamEffects.filter(e => e.kind === 'damage').map(e => e.name);
     }
+    // Re-sort by buffed DPS
+    topChains.sort((a, b) => (b.buffedDps || b.dps) - (a.buffedDps || a.dps));
+  }
 
-    const chain = indices.map(i => powers[i]);
+  for (const chain of topChains) {
+    chain.damageLedger = chainDamageLedger(chain, inherentSim, damageModel);
+  }
+
+  return topChains;
+}
 
-    // Fast path: check strict feasibility (no waits needed)
-    // Slow path: if not strictly feasible, check if waits are reasonable
-    if (!isChainFeasible(chain) && !isChainWorthSimulating(chain)) continue;
+// Upper bounds of the Interface proc for pruning: the damage multiplier of its full
+// debuff on the least favourable damage type, and its DoT damage per activation
+function interfaceBounds(interfaceSim) {
+  if (!interfaceSim) return { damage: 1, dot: 0 };
+  const { proc, resistance } = interfaceSim;
+  const maxDebuff = proc.resDebuff ? proc.resDebuff.magnitude * proc.resDebuff.stackLimit : 0;
+  const damage = maxDebuff > 0
+    ? Math.max(...DAMAGE_TYPES.map(type => debuffMultiplier(resistance, type, maxDebuff)))
+    : 1;
+  const dot = proc.dot ? proc.dot.chance * proc.dot.damage * resistanceMultiplier(resistance, proc.dot.type) * damage : 0;
+  return { damage, dot };
+}
 
-    // Simulate with Defiance buffs and cooldown waits for accurate DPS
-    const simResult = simulateChainWithDefiance(chain);
+// Most damage one activation can do: the inherent at its upper bound, combined with
+// external buffs under the damage cap, and the Interface proc at full strength
+function activationDamageBound(p, model, inherentBound, interfaceBound) {
+  return ((p.totalDamage * activationMultiplier(model, inherentBound, p) + (p.procDamage || 0)) * interfaceBound.damage
+    + interfaceBound.dot * (p._aoeDamageMultiplier || 1)) * p.hitChance;
+}
 
-    // Skip if DPS is clearly not competitive (>30% below best for this length)
-    if (simResult.dps < bestDpsThisLength * 0.7 && lengthResults.length >= TOP_N) continue;
+// Time an activation takes in the chain before the next can start
+function stepTime(p) {
+  return p.arcanaTime + (p.activationLatency || 0);
+}
 
-    if (simResult.dps > bestDpsThisLength) {
-      bestDpsThisLength = simResult.dps;
+// Best chain found for each normalizeChainKey, kept to the top N. bar is the DPS a
+// chain has to beat to join them, 0 until there are N.
+function createTopChains(topN) {
+  return { topN, byKey: new Map(), bar: 0, bestDps: 0 };
+}
+
+function addTopChain(top, key, chain) {
+  const known = top.byKey.get(key);
+  if (known && known.dps >= chain.dps) return;
+  top.byKey.set(key, chain);
+  top.bestDps = Math.max(top.bestDps, chain.dps);
+  if (top.byKey.size < top.topN) return;
+  const ranked = [...top.byKey.entries()].sort((a, b) => b[1].dps - a[1].dps).slice(0, top.topN);
+  top.byKey = new Map(ranked);
+  top.bar = ranked[ranked.length - 1][1].dps;
+}
+
+// Depth-first search of the chains of one length, adding them to `top`. Returns the
+// number of prefixes searched.
+// Only Lyndon words over the power order are built (the Fredricksen-Kessler-Maiorana
+// order): one rotation of each chain, and no chain that repeats a shorter one, which a
+// shorter length already searched. `powers` come sorted best first with `damageBounds`,
+// their activationDamageBound. A prefix is cut once no way of finishing it passes
+// the MAX_WAIT_RATIO check or can beat the bar of the top chains. The bound on its DPS:
+// - damage: the prefix's bounds plus, for the r powers still to place, the most that r
+//   uses of one power can add (the best finish of a ratio uses a single power);
+// - time: the chain's activations, and for every power the gaps between its uses
+//   round the settled cycle simulateChain measures, each at least its recharge.
+function searchChains(powers, damageBounds, length, top, search) {
+  const { passLabel, inherentSim, interfaceSim, enduranceModel, buffSpend, onProgress } = search;
+  const numPowers = powers.length;
+  const steps = powers.map(stepTime);
+  const recharges = powers.map(p => p.effectiveRecharge);
+  // Longest and shortest activation and most damage among the powers from index i on:
+  // a Lyndon word's later powers come no earlier in the order than its first
+  const maxStepFrom = new Array(numPowers + 1).fill(0);
+  const minStepFrom = new Array(numPowers + 1).fill(Infinity);
+  const maxDamageFrom = new Array(numPowers + 1).fill(0);
+  for (let i = numPowers - 1; i >= 0; i--) {
+    maxStepFrom[i] = Math.max(steps[i], maxStepFrom[i + 1]);
+    minStepFrom[i] = Math.min(steps[i], minStepFrom[i + 1]);
+    maxDamageFrom[i] = Math.max(damageBounds[i], maxDamageFrom[i + 1]);
+  }
+
+  const indices = new Array(length).fill(0);
+  // Per power in the prefix: uses, start of its first and last use, and the time its
+  // gaps between uses take at the least; `used` lists the powers with uses
+  const used = [];
+  const counts = new Array(numPowers).fill(0);
+  const firstAt = new Array(numPowers).fill(0);
+  const lastAt = new Array(numPowers).fill(0);
+  const spanned = new Array(numPowers).fill(0);
+  // Most damage over the bar's pace one use of a power from index i on can add,
+  // recomputed whenever the bar rises
+  const slackFrom = new Array(numPowers + 1).fill(-Infinity);
+  let slackBar = -1;
+  let visited = 0;
+  let checked = 0;
+
+  // Least cycle time of any chain finishing a prefix of `time` with `remaining` powers:
+  // the gap from each power's last use round to its first holds at least the rest
+  const cycleFloor = (time, remaining) => {
+    const rest = remaining * minStepFrom[indices[0]];
+    let floor = time + rest;
+    for (const q of used) {
+      floor = Math.max(floor, spanned[q] + Math.max(recharges[q], time - lastAt[q] + rest + firstAt[q]));
     }
+    return floor;
+  };
 
-    lengthResults.push({
+  // Whether some way of finishing the prefix could beat the bar
+  const canBeat = (damage, time, remaining) => {
+    const { bar } = top;
+    if (bar === 0) return true;
+    if (bar !== slackBar) {
+      for (let i = numPowers - 1; i >= 0; i--) {
+        slackFrom[i] = Math.max(damageBounds[i] - bar * steps[i], slackFrom[i + 1]);
+      }
+      slackBar = bar;
+    }
+    const first = indices[0];
+    if (damage + remaining * slackFrom[first] < bar * time) return false;
+    return damage + remaining * maxDamageFrom[first] >= bar * cycleFloor(time, remaining);
+  };
+
+  const simulate = () => {
+    const chain = indices.map(i => powers[i]);
+    const simResult = simulateChain(chain, inherentSim, interfaceSim);
+    checked++;
+
+    const eps = chain.reduce((sum, p) => sum + p.enduranceCost, 0) / simResult.totalTime;
+    const endurance = enduranceModel && enduranceVerdict(enduranceModel, eps + buffSpend,
+      chain.reduce((sum, p) => sum + (p.enduranceGain || 0), 0) / simResult.totalTime);
+    if (endurance && enduranceModel.sustainableOnly && !endurance.sustainable) return;
+    if (simResult.dps < top.bar) return;
+
+    addTopChain(top, normalizeChainKey(chain.map(p => p.slug)), {
       powers: chain.map((p, i) => ({
         slug: p.slug,
         name: p.name,
         damage: simResult.perPowerDamage[i],
         baseDamage: p.totalDamage,
+        procDamage: p.procDamage || 0,
         arcanaTime: p.arcanaTime,
         castTime: p.castTime,
         rechargeTime: p.rechargeTime,
         effectiveRecharge: p.effectiveRecharge,
         enduranceCost: p.enduranceCost,
+        enduranceGain: p.enduranceGain || 0,
         dpa: simResult.perPowerDamage[i] / p.arcanaTime,
         effectArea: p.effectArea,
         defianceBuff: simResult.perPowerDefianceMult[i],
+        defiance: p.defiance,
+        accuracy: p.accuracy,
+        enhAccuracy: p.enhAccuracy,
+        hitChance: p.hitChance,
+        enhDamage: p.enhDamage,
+        setDamage: p.setDamage,
+        alphaDamage: p.alphaDamage,
+        damageStrength: p.damageStrength,
+        damageCap: p.damageCap,
+        externalDamageBuff: p.externalDamageBuff,
+        damageByType: p.damageByType,
+        procDamageByType: p.procDamageByType,
+        targetsHit: p._aoeDamageMultiplier || 1,
       })),
       totalDamage: simResult.totalDamage,
       totalTime: simResult.totalTime,
       dps: simResult.dps,
-      eps: chain.reduce((sum, p) => sum + p.enduranceCost, 0) / simResult.totalTime,
+      allHitsDps: simResult.allHitsDps,
+      eps,
+      endurance,
       length,
       avgDefianceBuff: simResult.avgDefianceMult,
+      interface: simResult.interface,
+      inherentName: inherentSim.model.name,
+      timeline: simResult.events,
     });
+  };
 
-    // Periodic pruning to keep memory bounded
-    if (lengthResults.length >= MAX_RESULTS_PER_LENGTH * 2) {
-      lengthResults.sort((a, b) => b.dps - a.dps);
-      lengthResults = lengthResults.slice(0, MAX_RESULTS_PER_LENGTH);
-      bestDpsThisLength = lengthResults[0].dps;
+  // Place a power at `depth` after a prefix of `period` (FKM), damage bound `damage`
+  // and activation time `time`. waitNeed is the largest count * recharge among its
+  // repeated powers, for the MAX_WAIT_RATIO check.
+  const extend = (depth, period, damage, time, waitNeed) => {
+    const from = depth === 0 ? 0 : indices[depth - period];
+    const remaining = length - depth - 1;
+    for (let i = from; i < numPowers; i++) {
+      indices[depth] = i;
+      const savedFirst = firstAt[i];
+      const savedLast = lastAt[i];
+      const savedSpan = spanned[i];
+      const count = ++counts[i];
+      if (count === 1) {
+        firstAt[i] = time;
+        used.push(i);
+      } else {
+        spanned[i] += Math.max(recharges[i], time - lastAt[i]);
+      }
+      lastAt[i] = time;
+      const nextDamage = damage + damageBounds[i];
+      const nextTime = time + steps[i];
+      const nextWaitNeed = count > 1 ? Math.max(waitNeed, count * recharges[i]) : waitNeed;
+
+      if (++visited % PROGRESS_INTERVAL === 0) {
+        onProgress({ type: 'progress', pass: passLabel, length, searched: visited, checked, bestDps: top.bestDps });
+      }
+      const nextPeriod = depth === 0 || i === indices[depth - period] ? period : depth + 1;
+      const worthFinishing = (remaining > 0 || nextPeriod === length)
+        && nextWaitNeed <= (nextTime + remaining * maxStepFrom[indices[0]]) * MAX_WAIT_RATIO;
+      if (worthFinishing && canBeat(nextDamage, nextTime, remaining)) {
+        if (remaining > 0) {
+          extend(depth + 1, nextPeriod, nextDamage, nextTime, nextWaitNeed);
+        } else {
+          simulate();
+        }
+      }
+      if (--counts[i] === 0) used.pop();
+      firstAt[i] = savedFirst;
+      lastAt[i] = savedLast;
+      spanned[i] = savedSpan;
     }
-  }
+  };
+
+  extend(0, 1, 0, 0, 0);
+  return visited;
+}
 
-  results.push(...lengthResults);
+// Expected DoT damage an activation's Interface proc applies to `targets` targets,
+// against the target's resistance and the debuff it already carries
+function interfaceDot(interfaceSim, state, time, hit, targets, resDebuff) {
+  const { proc, resistance } = interfaceSim;
+  const applied = applyInterface(proc, state, time, hit) * targets;
+  if (!applied) return 0;
+  const type = proc.dot.type;
+  return applied * resistanceMultiplier(resistance, type)
+    * (resDebuff > 0 ? debuffMultiplier(resistance, type, resDebuff) : 1);
 }
 
-// Simulate a repeating chain with Defiance buff tracking and cooldown waits.
-// Runs several cycles to let buffs and cooldowns reach steady state, then measures the last cycle.
-function simulateChainWithDefiance(chain) {
-  const totalCycles = DEFIANCE_WARMUP_CYCLES + 1; // warmup + 1 measurement cycle
+// Simulate a repeating chain with the archetype inherent and cooldown waits,
+// measuring the last cycle once buffs and cooldowns reach steady state.
+// Damage is expected damage (scaled by power.hitChance); allHitsDps assumes every attack lands.
+// interfaceSim ({ proc, resistance }) rolls the Interface proc on every activation:
+// its DoTs add damage and its debuff raises the damage of later activations.
+export function simulateChain(chain, inherentSim = createInherentSim(null), interfaceSim = null) {
+  const totalCycles = DEFIANCE_WARMUP_CYCLES + 1;
 
-  // Active Defiance buffs: [{slug, scale, expiresAt, stacking}]
-  let activeBuffs = [];
-  // Cooldown tracking: slug -> absolute time when power becomes available
+  const { model, options } = inherentSim;
+  const inherentState = model.createState(options);
+  const interfaceState = interfaceSim && createInterfaceState();
   const cooldowns = {};
   let currentTime = 0;
 
-  // Per-power results for the measurement cycle
   let measureDamage = [];
+  let measureAllHitsDamage = 0;
+  let measureInterfaceDot = 0;
+  let measureInterfaceGain = 0;
+  let measureInterfaceDebuff = 0;
   let measureDefianceMult = [];
   let measureStartTime = 0;
+  let measureEvents = [];
 
   for (let cycle = 0; cycle < totalCycles; cycle++) {
     const isMeasureCycle = cycle === totalCycles - 1;
     if (isMeasureCycle) {
       measureDamage = [];
+      measureAllHitsDamage = 0;
+      measureInterfaceDot = 0;
+      measureInterfaceGain = 0;
+      measureInterfaceDebuff = 0;
       measureDefianceMult = [];
+      measureEvents = [];
       measureStartTime = currentTime;
     }
 
@@ -133,258 +660,429 @@ function simulateChainWithDefiance(chain) {
 
       // Wait for power to come off cooldown
       const readyAt = cooldowns[power.slug] || 0;
+      const waitBefore = readyAt > currentTime ? readyAt - currentTime : 0;
       if (readyAt > currentTime) {
         currentTime = readyAt;
       }
 
-      // Remove expired buffs
-      activeBuffs = activeBuffs.filter(b => b.expiresAt > currentTime);
+      // Current inherent damage multiplier (Defiance, Fury, crits...), combined
+      // with external buffs under the damage cap
+      const defianceMult = model.damageMultiplier(inherentState, power, currentTime);
+      const damageMult = activationMultiplier(model, defianceMult, power);
 
-      // Calculate current Defiance damage multiplier
-      const defianceBonus = activeBuffs.reduce((sum, b) => sum + b.scale, 0);
-      const defianceMult = 1 + defianceBonus;
-
-      // Apply Defiance to this power's damage
-      const effectiveDamage = power.totalDamage * defianceMult;
+      // Expected proc damage is flat and isn't scaled by the inherent
+      const procDamage = power.procDamage || 0;
+      let allHitsDamage = power.totalDamage * damageMult + procDamage;
+      const hit = power.hitChance ?? 1;
+      let resDebuff = 0;
+      let interfaceDamage = 0;
+      let debuffGain = 0;
+      if (interfaceSim) {
+        resDebuff = interfaceResDebuff(interfaceSim.proc, interfaceState, currentTime);
+        if (resDebuff > 0) {
+          const { resistance } = interfaceSim;
+          const undebuffed = allHitsDamage;
+          allHitsDamage = power.totalDamage * damageMult * resDebuffMultiplier(power.damageByType, resistance, resDebuff)
+            + procDamage * resDebuffMultiplier(power.procDamageByType, resistance, resDebuff);
+          debuffGain = (allHitsDamage - undebuffed) * hit;
+        }
+        interfaceDamage = interfaceDot(interfaceSim, interfaceState, currentTime, hit,
+          power._aoeDamageMultiplier || 1, resDebuff);
+      }
+      // Interface DoTs count toward the cycle, not the activation's own damage
+      const effectiveDamage = allHitsDamage * hit;
 
       if (isMeasureCycle) {
         measureDamage.push(effectiveDamage);
+        measureAllHitsDamage += allHitsDamage + interfaceDamage;
+        if (interfaceSim) {
+          measureInterfaceDot += interfaceDamage;
+          measureInterfaceGain += debuffGain;
+          measureInterfaceDebuff += resDebuff;
+        }
         measureDefianceMult.push(defianceMult);
-      }
-
-      // Apply this power's Defiance buff (if any)
-      if (power.defiance && power.defiance.scale > 0) {
-        const newBuff = {
+        measureEvents.push({
           slug: power.slug,
-          scale: power.defiance.scale,
-          expiresAt: currentTime + power.defiance.duration,
-          stacking: power.defiance.stacking,
-        };
-
-        if (power.defiance.stacking === 'Replace') {
-          // Remove existing buffs from same power, add new one
-          activeBuffs = activeBuffs.filter(b => b.slug !== power.slug);
-          activeBuffs.push(newBuff);
-        } else {
-          // Stack: just add
-          activeBuffs.push(newBuff);
-        }
+          name: power.name,
+          startTime: currentTime - measureStartTime,
+          endTime: currentTime - measureStartTime + power.arcanaTime,
+          waitBefore,
+          damage: effectiveDamage,
+          procDamage,
+          hitChance: hit,
+          defianceMult,
+          damageMult,
+          resDebuff,
+          interfaceDamage,
+        });
       }
 
-      // Recharge starts from activation (overlaps with cast animation)
-      cooldowns[power.slug] = currentTime + power.effectiveRecharge;
+      model.afterActivation(inherentState, power, currentTime);
 
-      currentTime += power.arcanaTime;
+      cooldowns[power.slug] = currentTime + power.effectiveRecharge;
+      currentTime += power.arcanaTime + (power.activationLatency || 0);
     }
   }
 
-  const totalDamage = measureDamage.reduce((sum, d) => sum + d, 0);
-  const totalTime = currentTime - measureStartTime; // actual elapsed time including waits
+  const totalDamage = measureDamage.reduce((sum, d) => sum + d, 0) + measureInterfaceDot;
+  const totalTime = currentTime - measureStartTime;
   const avgMult = measureDefianceMult.reduce((sum, m) => sum + m, 0) / measureDefianceMult.length;
 
   return {
     totalDamage,
     totalTime,
     dps: totalDamage / totalTime,
+    allHitsDps: measureAllHitsDamage / totalTime,
     perPowerDamage: measureDamage,
     perPowerDefianceMult: measureDefianceMult,
     avgDefianceMult: avgMult,
+    events: measureEvents,
+    // Interface DoT DPS, the DPS its debuff added to the attacks and the debuff
+    // its stacks held per activation
+    interface: interfaceSim ? {
+      name: interfaceSim.proc.name,
+      dotDamage: measureInterfaceDot,
+      dotDps: measureInterfaceDot / totalTime,
+      debuffDps: measureInterfaceGain / totalTime,
+      avgResDebuff: measureInterfaceDebuff / measureEvents.length,
+    } : null,
   };
 }
 
-// Fast geometric feasibility check: can this chain repeat without any waits?
-// Checks that the gap between consecutive uses of each power >= its effective recharge.
-function isChainFeasible(chain) {
-  const totalTime = chain.reduce((sum, p) => sum + p.arcanaTime, 0);
-
-  const usagesBySlug = {};
-  let timePos = 0;
-  for (let i = 0; i < chain.length; i++) {
-    const slug = chain[i].slug;
-    if (!usagesBySlug[slug]) usagesBySlug[slug] = [];
-    usagesBySlug[slug].push({
-      time: timePos,
-      recharge: chain[i].effectiveRecharge,
-    });
-    timePos += chain[i].arcanaTime;
-  }
-
-  for (const [slug, usages] of Object.entries(usagesBySlug)) {
-    for (let i = 0; i < usages.length; i++) {
-      const nextIdx = (i + 1) % usages.length;
-      let gap;
-      if (nextIdx > i) {
-        gap = usages[nextIdx].time - usages[i].time;
-      } else {
-        gap = (totalTime - usages[i].time) + usages[nextIdx].time;
-      }
+// When a prepared power used at `time` comes off cooldown. Recharge runs at the
+// power's own rate plus the recharge buffs ([{ scale, expiresAt }]) running at `time`,
+// slowing as each expires; buffs applied later don't shorten a cooldown in progress.
+export function cooldownEnd(power, time, rechargeBuffs = []) {
+  const active = power.ignoresRechargeBuffs ? [] : rechargeBuffs.filter(b => b.expiresAt > time);
+  if (active.length === 0 || !(power.effectiveRecharge > 0)) return time + power.effectiveRecharge;
 
-      if (gap < usages[i].recharge - 0.001) {
-        return false;
-      }
-    }
+  // 1 + enhancement + global recharge
+  const baseRate = power.rechargeTime / power.effectiveRecharge;
+  let bonus = active.reduce((sum, b) => sum + b.scale, 0);
+  let work = power.rechargeTime;
+  let t = time;
+  for (const buff of active.sort((a, b) => a.expiresAt - b.expiresAt)) {
+    const rate = baseRate + bonus;
+    const span = buff.expiresAt - t;
+    if (work <= span * rate) return t + work / rate;
+    work -= span * rate;
+    t = buff.expiresAt;
+    bonus -= buff.scale;
   }
-
-  return true;
+  return t + work / baseRate;
 }
 
-// Slower pre-filter for chains that aren't strictly feasible.
-// Allows chains with moderate wait times (for low-recharge scenarios).
-// For each power appearing K times, the repeating cycle needs at least
-// K * effectiveRecharge total time. If that far exceeds the cast time, skip.
-function isChainWorthSimulating(chain) {
-  const castTime = chain.reduce((sum, p) => sum + p.arcanaTime, 0);
-
-  const counts = {};
-  for (const p of chain) {
-    if (!counts[p.slug]) counts[p.slug] = { count: 0, recharge: p.effectiveRecharge };
-    counts[p.slug].count++;
-  }
-
-  for (const { count, recharge } of Object.values(counts)) {
-    if (count > 1) {
-      const minCycleNeeded = count * recharge;
-      if (minCycleNeeded > castTime * MAX_WAIT_RATIO) {
-        return false;
-      }
+// Time-averaged global recharge (fraction) from click recharge buffs like Hasten, each
+// fired on cooldown: scale * duration / cycle, where the cycle counts the buff speeding
+// up its own recharge. Prepared buff powers without recharge buffs add nothing.
+export function averageRechargeBuff(preparedBuffs, activationLatency = 0) {
+  let total = 0;
+  for (const p of preparedBuffs) {
+    for (const buff of p.rechargeBuffs || []) {
+      const fireTime = p.arcanaTime + activationLatency;
+      const cycle = Math.max(fireTime + buff.duration, fireTime + cooldownEnd(p, 0, [{ scale: buff.scale, expiresAt: buff.duration }]));
+      total += buff.scale * Math.min(1, buff.duration / cycle);
     }
   }
-
-  return true;
+  return total;
 }
 
-function deduplicateChains(chains) {
-  const seen = new Set();
-  const unique = [];
-
-  for (const chain of chains) {
-    const key = normalizeChainKey(chain.powers.map(p => p.slug));
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(chain);
-    }
+// Damage multiplier from `debuff` more resistance debuff, weighted by the power's damage types
+function resDebuffMultiplier(byType, resistance, debuff) {
+  let total = 0;
+  let debuffed = 0;
+  for (const [type, damage] of Object.entries(byType || {})) {
+    total += damage;
+    debuffed += damage * debuffMultiplier(resistance, type, debuff);
   }
-
-  return unique;
+  return total > 0 ? debuffed / total : 1 + debuff;
 }
 
-function normalizeChainKey(slugs) {
-  const doubled = slugs.concat(slugs);
-  let best = slugs.join(',');
-  for (let i = 1; i < slugs.length; i++) {
-    const rotation = doubled.slice(i, i + slugs.length).join(',');
-    if (rotation < best) best = rotation;
+// Buff Overlay: simulate the attack chain over a long period with buff powers
+// (Aim, Build Up) fired on cooldown, interrupting the chain.
+// Tracks both the inherent and click buffs together for accurate interaction
+// (under the damage cap); click to-hit buffs raise the hit chance while they last.
+// team.teamEffects are timed team effects (team-buffs.js) and the Hybrid toggle on the same timeline;
+// team.resistance is the target resistance their debuffs stack on. team.interfaceSim rolls the
+// Interface proc as simulateChain does, its debuff stacking with the team's.
+// Damaging clicks among the buff powers (Judgement, Lore) deal their damage when fired:
+// Judgement with the buffs and hit chance of the moment, Lore pets at their own strength.
+export function simulateChainWithBuffOverlay(chainResult, buffPowers, activationLatency, inherentSim = createInherentSim(null), hitModel = null, team = {}) {
+  const teamEffects = team.teamEffects || [];
+  if ((!buffPowers || buffPowers.length === 0) && teamEffects.length === 0) {
+    return {
+      dpsWithBuffs: chainResult.dps, allHitsDpsWithBuffs: chainResult.allHitsDps,
+      buffUptime: 0, avgBuffMult: 1.0, avgClickBuff: 0, avgTeamBuff: 0, rechargeBuffUptime: 0, clickAttackDps: [],
+    };
   }
-  return best;
-}
 
-// Greedy chain builder for quick results
-export function greedyChain(powers, rechargeReduction, maxLength = 20) {
-  if (!powers || powers.length === 0) return null;
+  const chainPowers = chainResult.powers;
+  const chainLength = chainPowers.length;
+
+  // Find the longest buff effective recharge or team refresh period to determine simulation length
+  const maxBuffRecharge = Math.max(...buffPowers.map(p => p.effectiveRecharge), ...teamEffects.map(e => e.period));
+  const totalBuffCycles = BUFF_WARMUP_CYCLES + BUFF_MEASURE_CYCLES;
+  const simDuration = maxBuffRecharge * totalBuffCycles;
+  const measureStartTime = maxBuffRecharge * BUFF_WARMUP_CYCLES;
+
+  // Build buff power info with resolved buff data
+  const buffInfos = buffPowers.map(p => {
+    // Find the click damage buff (not Defiance — exclude Ranged_Ones and Melee_Ones tables)
+    const isDefianceTable = t => {
+      const key = t.toLowerCase();
+      return key === 'ranged_ones' || key === 'melee_ones';
+    };
+    const dmgBuff = (p.buffs || []).find(b =>
+      !isDefianceTable(b.table)
+    ) || (p.buffs || [])[0];
+    const toHitBuff = (p.toHitBuffs || [])[0];
+    const rechargeBuff = (p.rechargeBuffs || [])[0];
 
-  const powersWithRecharge = powers.map(p => {
-    const enhRecharge = p.enhRecharge || 0;
     return {
-      ...p,
-      effectiveRecharge: p.rechargeTime / (1 + enhRecharge / 100 + rechargeReduction / 100),
+      slug: p.slug,
+      name: p.name,
+      arcanaTime: p.arcanaTime,
+      rechargeTime: p.rechargeTime,
+      effectiveRecharge: p.effectiveRecharge,
+      buffScale: dmgBuff ? dmgBuff.resolvedScale : 0,
+      buffDuration: dmgBuff ? dmgBuff.duration : 0,
+      buffStacking: dmgBuff ? dmgBuff.stacking : 'Stack',
+      toHitScale: toHitBuff ? toHitBuff.resolvedScale : 0,
+      toHitDuration: toHitBuff ? toHitBuff.duration : 0,
+      rechargeScale: rechargeBuff ? rechargeBuff.scale : 0,
+      rechargeDuration: rechargeBuff ? rechargeBuff.duration : 0,
+      ignoresRechargeBuffs: !!p.ignoresRechargeBuffs,
+      // Incarnate clicks fire on cooldown whatever they do
+      incarnateSlot: p.incarnateSlot || null,
+      damage: p.totalDamage || 0,
+      power: p,
     };
   });
 
-  const byDpa = [...powersWithRecharge].sort((a, b) => b.dpa - a.dpa);
-
-  const chain = [];
-  const cooldowns = {};
-  let activeBuffs = [];
   let currentTime = 0;
-  let totalDamage = 0;
-  let totalTime = 0;
-
-  for (let step = 0; step < maxLength; step++) {
-    // Find highest DPA power that's ready, or wait for the soonest one
-    let best = null;
-    for (const p of byDpa) {
-      const cd = cooldowns[p.slug] || 0;
-      if (cd <= 0.001) {
-        best = p;
-        break;
-      }
+  let chainIndex = 0;
+  const { model, options } = inherentSim;
+  const inherentState = model.createState(options);
+  const interfaceSim = team.interfaceSim || null;
+  const interfaceState = interfaceSim && createInterfaceState();
+  let clickBuffs = []; // Click buffs from Aim/Build Up
+  let toHitBuffs = []; // Click to-hit buffs from Aim/Build Up
+  let rechargeBuffs = []; // Click recharge buffs from Hasten
+  const buffCooldowns = {}; // slug -> readyAt
+  const attackCooldowns = {}; // slug -> readyAt
+
+  // Measurement accumulators
+  let measureDamage = 0;
+  let measureAllHitsDamage = 0;
+  let measureStartActual = -1;
+  let clickBuffActiveTime = 0;
+  let measureClickBuff = 0;
+  let measureTeamBuff = 0;
+  let measureActivations = 0;
+  let rechargeBuffActiveTime = 0;
+  const measureClickAttack = {}; // name -> damage of damaging clicks
+
+  // Sum of the timed team effects of `kind` running at `time`
+  const teamBonus = (kind, time) => teamEffects.reduce((sum, e) =>
+    (e.kind === kind && isEffectActive(e, time) ? sum + e.magnitude : sum), 0);
+
+  // Click and team recharge buffs running at `time`, with their expiry
+  const activeRechargeBuffs = time => [
+    ...rechargeBuffs.filter(b => b.expiresAt > time),
+    ...teamEffects
+      .filter(e => e.kind === 'recharge' && isEffectActive(e, time))
+      .map(e => ({ scale: e.magnitude, expiresAt: time - (time % e.period) + e.duration })),
+  ];
+
+  // Damage of a damaging click fired at `time`; pets ignore the caster's buffs and to-hit
+  const clickAttackDamage = (power, time) => {
+    if (power.isPetDamage) return { damage: power.totalDamage, allHitsDamage: power.totalDamage };
+    const bonus = clickBuffs.filter(b => b.expiresAt > time).reduce((sum, b) => sum + b.scale, 0)
+      + teamBonus('damage', time);
+    const mult = activationMultiplier(model, model.damageMultiplier(inherentState, power, time), power, bonus);
+    const resDebuff = teamBonus('resDebuff', time)
+      + (interfaceSim ? interfaceResDebuff(interfaceSim.proc, interfaceState, time) : 0);
+    const allHitsDamage = power.totalDamage * mult
+      * (resDebuff > 0 ? resDebuffMultiplier(power.damageByType, team.resistance, resDebuff) : 1);
+    const toHit = toHitBuffs.filter(b => b.expiresAt > time).reduce((sum, b) => sum + b.scale, 0)
+      + teamBonus('toHit', time);
+    return { damage: allHitsDamage * hitChance(hitModel, power, toHit), allHitsDamage };
+  };
+
+  for (const buff of buffInfos) {
+    buffCooldowns[buff.slug] = 0;
+  }
+
+  while (currentTime < simDuration) {
+    const isMeasuring = currentTime >= measureStartTime;
+    if (isMeasuring && measureStartActual < 0) {
+      measureStartActual = currentTime;
     }
 
-    // Nothing ready — wait for the soonest power to come off cooldown
-    if (!best) {
-      let soonest = Infinity;
-      let soonestPower = null;
-      for (const p of byDpa) {
-        const cd = cooldowns[p.slug] || 0;
-        if (cd < soonest) {
-          soonest = cd;
-          soonestPower = p;
+    // Fire any ready buff powers before the next attack
+    for (const buff of buffInfos) {
+      if (buffCooldowns[buff.slug] <= currentTime
+        && (buff.buffScale > 0 || buff.toHitScale > 0 || buff.rechargeScale > 0 || buff.incarnateSlot)) {
+        const buffTime = buff.arcanaTime + (activationLatency || 0);
+        if (buff.damage > 0) {
+          const { damage, allHitsDamage } = clickAttackDamage(buff.power, currentTime);
+          if (isMeasuring) {
+            measureDamage += damage;
+            measureAllHitsDamage += allHitsDamage;
+            measureClickAttack[buff.name] = (measureClickAttack[buff.name] || 0) + damage;
+          }
+        }
+        currentTime += buffTime;
+
+        // Apply the click buff
+        if (buff.buffStacking === 'Replace') {
+          clickBuffs = clickBuffs.filter(b => b.slug !== buff.slug);
+        }
+        clickBuffs.push({
+          slug: buff.slug,
+          scale: buff.buffScale,
+          expiresAt: currentTime + buff.buffDuration,
+        });
+        if (buff.toHitScale > 0) {
+          toHitBuffs = toHitBuffs.filter(b => b.slug !== buff.slug);
+          toHitBuffs.push({ slug: buff.slug, scale: buff.toHitScale, expiresAt: currentTime + buff.toHitDuration });
+        }
+        if (buff.rechargeScale > 0) {
+          rechargeBuffs = rechargeBuffs.filter(b => b.slug !== buff.slug && b.expiresAt > currentTime);
+          rechargeBuffs.push({ slug: buff.slug, scale: buff.rechargeScale, expiresAt: currentTime + buff.rechargeDuration });
         }
-      }
-      if (!soonestPower) break;
 
-      // Wait out the cooldown
-      const waitTime = soonest;
-      for (const slug of Object.keys(cooldowns)) {
-        cooldowns[slug] -= waitTime;
+        buffCooldowns[buff.slug] = cooldownEnd(buff, currentTime, activeRechargeBuffs(currentTime));
       }
-      currentTime += waitTime;
-      totalTime += waitTime;
-      best = soonestPower;
     }
 
-    // Remove expired buffs and calculate multiplier
-    activeBuffs = activeBuffs.filter(b => b.expiresAt > currentTime);
-    const defianceBonus = activeBuffs.reduce((sum, b) => sum + b.scale, 0);
-    const defianceMult = 1 + defianceBonus;
+    // Fire next attack in chain
+    const power = chainPowers[chainIndex % chainLength];
+    chainIndex++;
 
-    const effectiveDamage = best.totalDamage * defianceMult;
+    // Wait for cooldown
+    const readyAt = attackCooldowns[power.slug] || 0;
+    if (readyAt > currentTime) {
+      currentTime = readyAt;
+    }
 
-    chain.push({ ...best, effectiveDamage, defianceMult });
-    totalDamage += effectiveDamage;
-    totalTime += best.arcanaTime;
+    // Remove expired buffs
+    clickBuffs = clickBuffs.filter(b => b.expiresAt > currentTime);
+    toHitBuffs = toHitBuffs.filter(b => b.expiresAt > currentTime);
 
-    // Apply Defiance buff
-    if (best.defiance && best.defiance.scale > 0) {
-      const newBuff = {
-        slug: best.slug,
-        scale: best.defiance.scale,
-        expiresAt: currentTime + best.defiance.duration,
-        stacking: best.defiance.stacking,
-      };
-      if (best.defiance.stacking === 'Replace') {
-        activeBuffs = activeBuffs.filter(b => b.slug !== best.slug);
-      }
-      activeBuffs.push(newBuff);
-    }
+    // Click and team buffs add to damage strength alongside the inherent, under the cap
+    const inherentMult = model.damageMultiplier(inherentState, power, currentTime);
+    const clickBuffBonus = clickBuffs.reduce((sum, b) => sum + b.scale, 0);
+    const teamDamageBonus = teamBonus('damage', currentTime);
+    const totalMult = activationMultiplier(model, inherentMult, power, clickBuffBonus + teamDamageBonus);
+
+    // Timed team and Interface resistance debuffs scale damage and procs by their damage types
+    const resDebuff = teamBonus('resDebuff', currentTime)
+      + (interfaceSim ? interfaceResDebuff(interfaceSim.proc, interfaceState, currentTime) : 0);
+    // Double hits (Hybrid Assault) repeat the attack's damage, not its procs
+    const baseDamage = power.baseDamage * totalMult * (1 + teamBonus('doubleHit', currentTime));
+    const procDamage = power.procDamage || 0;
+    const allHitsDamage = resDebuff > 0
+      ? baseDamage * resDebuffMultiplier(power.damageByType, team.resistance, resDebuff)
+        + procDamage * resDebuffMultiplier(power.procDamageByType, team.resistance, resDebuff)
+      : baseDamage + procDamage;
+    const toHitBonus = toHitBuffs.reduce((sum, b) => sum + b.scale, 0) + teamBonus('toHit', currentTime);
+    const hit = hitChance(hitModel, power, toHitBonus);
+    const interfaceDamage = interfaceSim
+      ? interfaceDot(interfaceSim, interfaceState, currentTime, hit, power.targetsHit || 1, resDebuff)
+      : 0;
+    const effectiveDamage = allHitsDamage * hit + interfaceDamage;
+    const attackTime = power.arcanaTime + (activationLatency || 0);
 
-    cooldowns[best.slug] = best.effectiveRecharge;
-    for (const slug of Object.keys(cooldowns)) {
-      cooldowns[slug] -= best.arcanaTime;
+    if (isMeasuring) {
+      measureDamage += effectiveDamage;
+      measureAllHitsDamage += allHitsDamage + interfaceDamage;
+      measureClickBuff += clickBuffBonus;
+      measureTeamBuff += teamDamageBonus;
+      measureActivations++;
+      if (rechargeBuffs.some(b => b.expiresAt > currentTime)) rechargeBuffActiveTime += attackTime;
+      if (clickBuffBonus > 0) clickBuffActiveTime += attackTime;
     }
-    currentTime += best.arcanaTime;
+
+    model.afterActivation(inherentState, power, currentTime);
+
+    attackCooldowns[power.slug] = cooldownEnd(power, currentTime, activeRechargeBuffs(currentTime));
+    currentTime += attackTime;
   }
 
+  const totalMeasureTime = currentTime - (measureStartActual >= 0 ? measureStartActual : measureStartTime);
+  const dpsWithBuffs = totalMeasureTime > 0 ? measureDamage / totalMeasureTime : chainResult.dps;
+  const allHitsDpsWithBuffs = totalMeasureTime > 0 ? measureAllHitsDamage / totalMeasureTime : chainResult.allHitsDps;
+  const buffUptime = totalMeasureTime > 0 ? clickBuffActiveTime / totalMeasureTime : 0;
+
+  // Average click buff multiplier during measurement
+  const totalClickScale = buffInfos.reduce((sum, b) => sum + b.buffScale, 0);
+  const avgBuffMult = 1 + totalClickScale * buffUptime;
+
   return {
-    powers: chain.map(p => ({
-      slug: p.slug,
-      name: p.name,
-      damage: p.effectiveDamage,
-      baseDamage: p.totalDamage,
-      arcanaTime: p.arcanaTime,
-      castTime: p.castTime,
-      rechargeTime: p.rechargeTime,
-      effectiveRecharge: p.effectiveRecharge,
-      enduranceCost: p.enduranceCost,
-      dpa: p.effectiveDamage / p.arcanaTime,
-      effectArea: p.effectArea,
-      defianceBuff: p.defianceMult,
+    dpsWithBuffs,
+    allHitsDpsWithBuffs,
+    buffUptime,
+    avgBuffMult,
+    // Click buff strength per activation, for the damage ledger
+    avgClickBuff: measureActivations > 0 ? measureClickBuff / measureActivations : 0,
+    avgTeamBuff: measureActivations > 0 ? measureTeamBuff / measureActivations : 0,
+    // Share of attack time with a click recharge buff (Hasten) running
+    rechargeBuffUptime: totalMeasureTime > 0 ? rechargeBuffActiveTime / totalMeasureTime : 0,
+    // DPS of each damaging click (Judgement, Lore)
+    clickAttackDps: Object.entries(measureClickAttack).map(([name, damage]) => ({
+      name, dps: totalMeasureTime > 0 ? damage / totalMeasureTime : 0,
     })),
-    totalDamage,
-    totalTime,
-    dps: totalDamage / totalTime,
-    eps: chain.reduce((sum, p) => sum + p.enduranceCost, 0) / totalTime,
-    length: chain.length,
-    isGreedy: true,
   };
 }
+
+export function normalizeChainKey(slugs) {
+  // Reduce to minimal repeating unit, then sort to ignore rotation/order
+  const minimal = minimalRepeatingUnit(slugs);
+  return minimal.slice().sort().join(',');
+}
+
+function minimalRepeatingUnit(arr) {
+  const n = arr.length;
+  for (let len = 1; len <= n / 2; len++) {
+    if (n % len !== 0) continue;
+    let isRepeat = true;
+    for (let i = len; i < n; i++) {
+      if (arr[i] !== arr[i % len]) {
+        isRepeat = false;
+        break;
+      }
+    }
+    if (isRepeat) return arr.slice(0, len);
+  }
+  return arr;
+}
+
+// Rotate a chain result so it starts from the highest DPA power.
+// Since it's a repeating cycle, rotation doesn't change DPS —
+// this just makes the display read naturally (best attack first).
+export function rotateChainToHighestDpa(chain) {
+  const powers = chain.powers;
+  if (powers.length <= 1) return chain;
+
+  // Find index of highest DPA power
+  let bestIdx = 0;
+  let bestDpa = powers[0].dpa;
+  for (let i = 1; i < powers.length; i++) {
+    if (powers[i].dpa > bestDpa) {
+      bestDpa = powers[i].dpa;
+      bestIdx = i;
+    }
+  }
+
+  if (bestIdx === 0) return chain;
+
+  // Rotate powers array and matching timeline events
+  const rotated = powers.slice(bestIdx).concat(powers.slice(0, bestIdx));
+  let rotatedTimeline = chain.timeline;
+  if (chain.timeline && chain.timeline.length === powers.length) {
+    rotatedTimeline = chain.timeline.slice(bestIdx).concat(chain.timeline.slice(0, bestIdx));
+  }
+
+  return { ...chain, powers: rotated, timeline: rotatedTimeline };
+}
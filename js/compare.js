@@ -0,0 +1,64 @@
+// Configuration comparison: the best chain of each pass across snapshots
+//
+// A snapshot is one run configuration (the worker message and the inputs it came
+// from); the first snapshot is the baseline the others are measured against.
+
+import { normalizeChainKey } from './chain-optimizer.js';
+import { flattenInputs } from './export.js';
+
+// More columns than this no longer fit side by side
+export const MAX_SNAPSHOTS = 4;
+
+const PASSES = [
+  { key: 'rangedChains', label: 'Ranged Chain' },
+  { key: 'hybridChains', label: 'Melee / Hybrid Chain' },
+  { key: 'aoeChains', label: 'AoE Chain' },
+];
+
+const unique = values => [...new Set(values)];
+
+// Settings that differ between snapshots, as dotted keys (see flattenInputs):
+// [{ key, values }] with one value per snapshot, '' where a snapshot lacks the key
+export function settingDifferences(settingsList) {
+  const flat = settingsList.map(settings => new Map(flattenInputs(settings)));
+  const keys = unique(flat.flatMap(map => [...map.keys()]));
+  return keys
+    .map(key => ({ key, values: flat.map(map => (map.has(key) ? map.get(key) : '')) }))
+    .filter(({ values }) => values.some(value => String(value) !== String(values[0])));
+}
+
+// results are worker result messages in snapshot order. Returns a row per pass any
+// snapshot ran, each with the best chain of every snapshot (null where it has none):
+// { key, label, entries: [{ chain, dps, buffedDps, delta, deltaPct, buffedDelta, changed, added, removed }] }.
+// Deltas are against the baseline's best chain; changed is whether the chain uses a
+// different set of powers (order and rotation aside), added and removed the power names.
+export function compareResults(results) {
+  const rows = [];
+  for (const pass of PASSES) {
+    const bests = results.map(result => (result[pass.key] && result[pass.key][0]) || null);
+    if (bests.every(chain => !chain)) continue;
+
+    const base = bests[0];
+    const baseSlugs = base ? new Set(base.powers.map(p => p.slug)) : null;
+    const baseKey = base ? normalizeChainKey(base.powers.map(p => p.slug)) : null;
+    const entries = bests.map((chain, i) => {
+      if (!chain) return null;
+      const slugs = new Set(chain.powers.map(p => p.slug));
+      const compared = i > 0 && base;
+      return {
+        chain,
+        dps: chain.dps,
+        buffedDps: chain.buffedDps ?? null,
+        delta: compared ? chain.dps - base.dps : null,
+        deltaPct: compared && base.dps > 0 ? (chain.dps - base.dps) / base.dps * 100 : null,
+        buffedDelta: compared && chain.buffedDps != null && base.buffedDps != null
+          ? chain.buffedDps - base.buffedDps : null,
+        changed: !!compared && normalizeChainKey(chain.powers.map(p => p.slug)) !== baseKey,
+        added: compared ? unique(chain.powers.filter(p => !baseSlugs.has(p.slug)).map(p => p.name)) : [],
+        removed: compared ? unique(base.powers.filter(p => !slugs.has(p.slug)).map(p => p.name)) : [],
+      };
+    });
+    rows.push({ key: pass.key, label: pass.label, entries });
+  }
+  return rows;
+}
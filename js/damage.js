@@ -16,3 +16,58 @@ export function applyDamageEnhancement(baseDamage, enhPercent) {
 export function tableNameToKey(tableName) {
   return tableName.toLowerCase();
 }
+
+// Damage strength: enhancements, set bonuses, inherent damage buffs (Defiance, Fury),
+// click buffs (Aim, Build Up) and external buffs all add to a base of 1 (100%),
+// and the sum is capped per archetype before it multiplies a power's base damage.
+export const DAMAGE_CAPS = {
+  blaster: 5.0,
+  scrapper: 5.0,
+  stalker: 5.0,
+  corruptor: 5.0,
+  sentinel: 5.0,
+  brute: 7.75,
+  dominator: 4.0,
+  tanker: 4.0,
+  defender: 4.0,
+  controller: 4.0,
+  mastermind: 4.0,
+};
+
+const DEFAULT_DAMAGE_CAP = 4.0;
+
+export function damageCap(archetype) {
+  return DAMAGE_CAPS[archetype] ?? DEFAULT_DAMAGE_CAP;
+}
+
+// options: { archetype, cap, buff } with cap and buff as fractions (5.0 = 500%, 0.2 = +20%).
+// buff is external damage strength (team buffs) present for every activation.
+export function createDamageModel(options = {}) {
+  return {
+    cap: options.cap ?? damageCap(options.archetype),
+    buff: options.buff || 0,
+  };
+}
+
+// Multiplier on a power's enhanced damage once `buff` more strength is added.
+// power.damageStrength is the strength already in its damage (1 + enhancement + set bonus);
+// power.externalDamageBuff and power.damageCap come from prepareChainPowers.
+export function strengthMultiplier(power, buff = 0) {
+  const base = power.damageStrength || 1;
+  const strength = base + (power.externalDamageBuff || 0) + buff;
+  return Math.min(strength, power.damageCap ?? Infinity) / base;
+}
+
+// Ledger of damage strength sources: entries [{ id, label, value }] as fractions.
+// Returns { sources, total, cap, capped, overCap } where total includes the base 100%.
+export function buildDamageLedger(entries, cap) {
+  const sources = [{ id: 'base', label: 'Base', value: 1 }, ...entries.filter(e => e.value !== 0)];
+  const total = sources.reduce((sum, e) => sum + e.value, 0);
+  return {
+    sources,
+    total,
+    cap,
+    capped: Math.min(total, cap),
+    overCap: Math.max(0, total - cap),
+  };
+}
@@ -2,12 +2,23 @@
 
 const DATA_BASE = 'data';
 
-async function loadJSON(path) {
+async function fetchJSON(path) {
   const res = await fetch(`${DATA_BASE}/${path}`);
   if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
   return res.json();
 }
 
+// Loader for paths relative to data/; the browser fetches, Node scripts read from disk
+let jsonLoader = fetchJSON;
+
+export function setJSONLoader(loader) {
+  jsonLoader = loader;
+}
+
+function loadJSON(path) {
+  return jsonLoader(path);
+}
+
 export async function loadArchetypeTables(archetype) {
   return loadJSON(`${archetype}/tables.json`);
 }
@@ -20,11 +31,33 @@ export async function loadPetPower(archetype, powerset, petSlug) {
   return loadJSON(`${archetype}/${powerset}/pets/${petSlug}.json`);
 }
 
+// Powerset manifests written by scripts/fetch-data.js, cached per archetype
+const archetypeIndexes = {};
+
+// Top-level manifest: { archetypes: [{ slug, name }] }
+export async function loadDataIndex() {
+  return loadJSON('index.json');
+}
+
+// Per-archetype manifest: categories, powersets, power slugs and redirect/pet links
+export async function loadArchetypeIndex(archetype) {
+  if (!archetypeIndexes[archetype]) {
+    archetypeIndexes[archetype] = loadJSON(`${archetype}/index.json`).catch(err => {
+      delete archetypeIndexes[archetype];
+      throw err;
+    });
+  }
+  return archetypeIndexes[archetype];
+}
+
 // Load all powers for a given archetype/powerset
 export async function loadAllPowers(archetype, powerset) {
-  const powerSlugs = getPowerSlugs(archetype, powerset);
+  const index = await loadArchetypeIndex(archetype);
+  const entry = index.powersets.find(ps => ps.slug === powerset);
+  if (!entry) throw new Error(`Unknown powerset ${archetype}/${powerset}`);
+
   const powers = {};
-  for (const slug of powerSlugs) {
+  for (const slug of entry.powers) {
     try {
       powers[slug] = await loadPower(archetype, powerset, slug);
     } catch (e) {
@@ -34,35 +67,10 @@ export async function loadAllPowers(archetype, powerset) {
   return powers;
 }
 
-// Hardcoded power lists per powerset (fetched from API)
-function getPowerSlugs(archetype, powerset) {
-  if (archetype === 'blaster' && powerset === 'fire_blast') {
-    return [
-      'flares', 'fire_blast', 'fire_ball', 'fire_breath',
-      'aim', 'blaze', 'blazing_bolt', 'inferno', 'rain_of_fire'
-    ];
-  }
-  if (archetype === 'blaster' && powerset === 'fire_manipulation') {
-    return [
-      'ring_of_fire', 'fire_sword', 'build_up', 'combustion',
-      'blazing_aura', 'hot_feet', 'consume', 'fire_sword_circle'
-    ];
-  }
-  return [];
-}
-
-// Pet/redirect power paths per power
-export function getRedirectSlugs(powerSlug) {
-  if (powerSlug === 'blazing_bolt') {
-    return {
-      quick: 'pets_blaster_fire_snipe_blazing_bolt_quick',
-      normal: 'pets_blaster_fire_snipe_blazing_bolt_normal'
-    };
-  }
-  if (powerSlug === 'rain_of_fire') {
-    return {
-      pet: 'rainoffire_rainoffire'
-    };
-  }
-  return null;
+// Pet/redirect power slugs for a power, from the archetype manifest.
+// Returns e.g. { quick, normal } for snipes or { pet } for Rain of Fire, else null.
+export async function getRedirectSlugs(archetype, powerset, powerSlug) {
+  const index = await loadArchetypeIndex(archetype);
+  const entry = index.powersets.find(ps => ps.slug === powerset);
+  return (entry && entry.links && entry.links[powerSlug]) || null;
 }
@@ -0,0 +1,72 @@
+// Endurance budget: whether a chain can keep going, and for how long
+//
+// Recovery is a share of max endurance per second, raised by recovery bonuses
+// (set bonuses, accolades), Stamina, Physical Perfection and toggles with a
+// +Recovery (Blaster Sustain). Attacks (after endurance reduction), click buffs
+// and toggles spend it; powers like Consume give some back.
+
+export const BASE_MAX_ENDURANCE = 100;
+// Base recovery: 1.67 endurance/s at 100 max endurance
+export const BASE_RECOVERY_RATE = 1.67 / BASE_MAX_ENDURANCE;
+// Stamina (inherent Fitness) unslotted; slotting raises it
+export const STAMINA_RECOVERY = 0.25;
+// Physical Perfection (epic pool)
+export const PHYSICAL_PERFECTION_RECOVERY = 0.2;
+// Stock endurance settings of the UI and CLI: the level 50 build the stock +85% global
+// recharge stands for, with Stamina slotted to the ED cap (three Endurance Modifications),
+// +25% recovery from the Numina's and Miracle uniques, and a fight the chain has to last
+export const STOCK_ENDURANCE = { stamina: 0.49, recoveryBonus: 0.25, fightLength: 60 };
+
+// Toggles that cost nothing and raise recovery (Blaster Sustain, e.g. Cauterizing Aura),
+// running unless turned off
+export function sustainToggles(toggles) {
+  return toggles.filter(t => !t.endPerSecond && t.recovery > 0);
+}
+
+// options: { maxEndurance, recoveryBonus, stamina, physicalPerfection, toggles,
+// fightLength, sustainableOnly } with recovery as fractions (0.25 = +25%).
+// toggles are running toggles as returned by parseToggles (power-parser.js).
+// A chain is sustainable if it never runs dry, or lasts fightLength seconds when given;
+// sustainableOnly drops the rest from the search. Returns null without options.
+export function createEnduranceModel(options) {
+  if (!options) return null;
+  const maxEndurance = options.maxEndurance || BASE_MAX_ENDURANCE;
+  const toggles = options.toggles || [];
+  const recoveryBonus = (options.recoveryBonus || 0)
+    + (options.stamina ?? STAMINA_RECOVERY)
+    + (options.physicalPerfection ? PHYSICAL_PERFECTION_RECOVERY : 0)
+    + toggles.reduce((sum, t) => sum + (t.recovery || 0), 0);
+  return {
+    maxEndurance,
+    recoveryBonus,
+    // Endurance per second
+    recovery: BASE_RECOVERY_RATE * maxEndurance * (1 + recoveryBonus),
+    toggleCost: toggles.reduce((sum, t) => sum + (t.endPerSecond || 0), 0),
+    toggleNames: toggles.map(t => t.name),
+    fightLength: options.fightLength > 0 ? options.fightLength : Infinity,
+    sustainableOnly: !!options.sustainableOnly,
+  };
+}
+
+// Average endurance/s spent firing prepared click buffs (Aim, Build Up, Hasten) on cooldown
+export function clickBuffCost(preparedBuffs) {
+  return preparedBuffs.reduce((sum, p) =>
+    sum + p.enduranceCost / (p.effectiveRecharge + p.arcanaTime + (p.activationLatency || 0)), 0);
+}
+
+// spend and gain are the chain's endurance/s (attacks plus click buffs) and endurance/s
+// returned by its powers. Returns { recovery, spend, gain, net, timeToEmpty, sustainable }
+// with timeToEmpty Infinity when the chain breaks even from full endurance.
+export function enduranceVerdict(model, spend, gain = 0) {
+  const totalSpend = spend + model.toggleCost;
+  const net = model.recovery + gain - totalSpend;
+  const timeToEmpty = net >= 0 ? Infinity : model.maxEndurance / -net;
+  return {
+    recovery: model.recovery,
+    spend: totalSpend,
+    gain,
+    net,
+    timeToEmpty,
+    sustainable: timeToEmpty >= model.fightLength,
+  };
+}
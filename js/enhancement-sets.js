@@ -0,0 +1,177 @@
+// Invention set catalog for attack and To Hit Buff powers
+//
+// Each set lists its category (matched against a power's allowed_boostset_cats),
+// its pieces and the aspects each piece enhances, and the set bonuses the
+// optimizer uses: damage and recharge tiers by number of pieces slotted.
+// Aspects outside enhancements.js SLOT_ASPECTS (range, tohit, interrupt) still
+// count toward a piece's aspect split but aren't modeled.
+// Damage procs carry proc: { ppm, damage, type }; see procChance in enhancements.js.
+// Pieces are in their in-game (and Mids') order; a set listed only in part gives each
+// listed piece its `position` in the full set instead.
+// Piece values are level 50; attuned pieces match that at level 50.
+
+// Level 50 damage of a standard damage proc
+const PROC_DAMAGE = 71.75;
+
+export const ENHANCEMENT_SETS = [
+  {
+    id: 'thunderstrike',
+    name: 'Thunderstrike',
+    category: 'Ranged Damage',
+    pieces: [
+      { id: 'acc_dmg', name: 'Accuracy/Damage', aspects: ['accuracy', 'damage'] },
+      { id: 'dmg_end', name: 'Damage/Endurance', aspects: ['damage', 'endurance'] },
+      { id: 'dmg_rech', name: 'Damage/Recharge', aspects: ['damage', 'recharge'] },
+      { id: 'acc_dmg_rech', name: 'Accuracy/Damage/Recharge', aspects: ['accuracy', 'damage', 'recharge'] },
+      { id: 'acc_dmg_end', name: 'Accuracy/Damage/Endurance', aspects: ['accuracy', 'damage', 'endurance'] },
+      { id: 'dmg_end_rech', name: 'Damage/Endurance/Recharge', aspects: ['damage', 'endurance', 'recharge'] },
+    ],
+    bonuses: [
+      { pieces: 5, recharge: 7.5 },
+    ],
+  },
+  {
+    id: 'apocalypse',
+    name: 'Apocalypse',
+    category: 'Ranged Damage',
+    pieces: [
+      { id: 'dmg', name: 'Damage', aspects: ['damage'] },
+      { id: 'acc_dmg_rech', name: 'Accuracy/Damage/Recharge', aspects: ['accuracy', 'damage', 'recharge'] },
+      { id: 'acc_rech', name: 'Accuracy/Recharge', aspects: ['accuracy', 'recharge'] },
+      { id: 'acc_dmg', name: 'Accuracy/Damage', aspects: ['accuracy', 'damage'] },
+      { id: 'dmg_end', name: 'Damage/Endurance', aspects: ['damage', 'endurance'] },
+      { id: 'proc_negative', name: 'Chance of Damage(Negative)', aspects: [], proc: { ppm: 3.5, damage: 107.1, type: 'Negative_Energy' } },
+    ],
+    bonuses: [
+      { pieces: 4, recharge: 10 },
+    ],
+  },
+  {
+    id: 'ragnarok',
+    name: 'Ragnarok',
+    category: 'Ranged AoE Damage',
+    pieces: [
+      { id: 'dmg', name: 'Damage', aspects: ['damage'] },
+      { id: 'dmg_rech', name: 'Damage/Recharge', aspects: ['damage', 'recharge'] },
+      { id: 'acc_dmg_rech', name: 'Accuracy/Damage/Recharge', aspects: ['accuracy', 'damage', 'recharge'] },
+      { id: 'acc_rech', name: 'Accuracy/Recharge', aspects: ['accuracy', 'recharge'] },
+      { id: 'dmg_end', name: 'Damage/Endurance', aspects: ['damage', 'endurance'] },
+    ],
+    bonuses: [
+      { pieces: 4, recharge: 10 },
+    ],
+  },
+  {
+    id: 'makos_bite',
+    name: "Mako's Bite",
+    category: 'Melee Damage',
+    pieces: [
+      { id: 'acc_dmg', name: 'Accuracy/Damage', aspects: ['accuracy', 'damage'] },
+      { id: 'dmg_end', name: 'Damage/Endurance', aspects: ['damage', 'endurance'] },
+      { id: 'dmg_rech', name: 'Damage/Recharge', aspects: ['damage', 'recharge'] },
+      { id: 'acc_end_rech', name: 'Accuracy/Endurance/Recharge', aspects: ['accuracy', 'endurance', 'recharge'] },
+      { id: 'acc_dmg_end_rech', name: 'Accuracy/Damage/Endurance/Recharge', aspects: ['accuracy', 'damage', 'endurance', 'recharge'] },
+      { id: 'proc_lethal', name: 'Chance of Damage(Lethal)', aspects: [], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Lethal' } },
+    ],
+    bonuses: [
+      { pieces: 5, recharge: 6.25 },
+    ],
+  },
+  {
+    id: 'obliteration',
+    name: 'Obliteration',
+    category: 'Melee AoE Damage',
+    pieces: [
+      { id: 'dmg', name: 'Damage', aspects: ['damage'] },
+      { id: 'acc_rech', name: 'Accuracy/Recharge', aspects: ['accuracy', 'recharge'] },
+      { id: 'dmg_rech', name: 'Damage/Recharge', aspects: ['damage', 'recharge'] },
+      { id: 'acc_dmg_rech', name: 'Accuracy/Damage/Recharge', aspects: ['accuracy', 'damage', 'recharge'] },
+      { id: 'acc_dmg_end_rech', name: 'Accuracy/Damage/Endurance/Recharge', aspects: ['accuracy', 'damage', 'endurance', 'recharge'] },
+      { id: 'proc_smashing', name: 'Chance for Smashing Damage', aspects: [], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Smashing' } },
+    ],
+    bonuses: [
+      { pieces: 5, recharge: 5 },
+    ],
+  },
+  {
+    id: 'sting_of_the_manticore',
+    name: 'Sting of the Manticore',
+    category: 'Sniper Attacks',
+    pieces: [
+      { id: 'acc_dmg', name: 'Accuracy/Damage', aspects: ['accuracy', 'damage'] },
+      { id: 'dmg_end', name: 'Damage/Endurance', aspects: ['damage', 'endurance'] },
+      { id: 'dmg_int_rech', name: 'Damage/Interrupt/Recharge', aspects: ['damage', 'interrupt', 'recharge'] },
+      { id: 'acc_int_range', name: 'Accuracy/Interrupt/Range', aspects: ['accuracy', 'interrupt', 'range'] },
+      { id: 'dmg_int', name: 'Damage/Interrupt', aspects: ['damage', 'interrupt'] },
+      { id: 'proc_toxic', name: 'Chance of Damage(Toxic)', aspects: [], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Toxic' } },
+    ],
+    bonuses: [
+      { pieces: 5, recharge: 6.25 },
+    ],
+  },
+  {
+    id: 'superior_blasters_wrath',
+    name: "Superior Blaster's Wrath",
+    category: 'Blaster Archetype Sets',
+    superior: true,
+    pieces: [
+      { id: 'acc_dmg', name: 'Accuracy/Damage', aspects: ['accuracy', 'damage'] },
+      { id: 'dmg_rech', name: 'Damage/Recharge', aspects: ['damage', 'recharge'] },
+      { id: 'acc_dmg_rech', name: 'Accuracy/Damage/Recharge', aspects: ['accuracy', 'damage', 'recharge'] },
+      { id: 'dmg_end_rech', name: 'Damage/Endurance/Recharge', aspects: ['damage', 'endurance', 'recharge'] },
+      { id: 'acc_dmg_end_rech', name: 'Accuracy/Damage/Endurance/Recharge', aspects: ['accuracy', 'damage', 'endurance', 'recharge'] },
+      { id: 'rech_proc_fire', name: 'Recharge/Chance for Fire Damage', aspects: ['recharge'], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Fire' } },
+    ],
+    bonuses: [
+      { pieces: 4, damage: 5 },
+      { pieces: 5, recharge: 10 },
+    ],
+  },
+  // Explosive Strike and Javelin Volley are slotted for their procs, their sixth pieces;
+  // only those are listed.
+  {
+    id: 'explosive_strike',
+    name: 'Explosive Strike',
+    category: 'Knockback',
+    pieces: [
+      { id: 'proc_smashing', name: 'Chance for Smashing Damage', position: 5, aspects: [], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Smashing' } },
+    ],
+    bonuses: [],
+  },
+  {
+    id: 'javelin_volley',
+    name: 'Javelin Volley',
+    category: 'Universal Damage Sets',
+    pieces: [
+      { id: 'proc_lethal', name: 'Chance of Damage(Lethal)', position: 5, aspects: [], proc: { ppm: 3.5, damage: PROC_DAMAGE, type: 'Lethal' } },
+    ],
+    bonuses: [],
+  },
+  {
+    id: 'gaussians_synchronized_firecontrol',
+    name: "Gaussian's Synchronized Fire-Control",
+    category: 'To Hit Buff',
+    pieces: [
+      { id: 'tohit', name: 'To Hit Buff', aspects: ['tohit'] },
+      { id: 'tohit_rech', name: 'To Hit Buff/Recharge', aspects: ['tohit', 'recharge'] },
+      { id: 'tohit_rech_end', name: 'To Hit Buff/Recharge/Endurance', aspects: ['tohit', 'recharge', 'endurance'] },
+      { id: 'rech_end', name: 'Recharge/Endurance', aspects: ['recharge', 'endurance'] },
+      { id: 'tohit_end', name: 'To Hit Buff/Endurance', aspects: ['tohit', 'endurance'] },
+    ],
+    bonuses: [
+      { pieces: 5, recharge: 6.25 },
+    ],
+  },
+];
+
+const SETS_BY_ID = new Map(ENHANCEMENT_SETS.map(set => [set.id, set]));
+
+export function getEnhancementSet(id) {
+  return SETS_BY_ID.get(id) || null;
+}
+
+// Sets a power can slot, from its allowed_boostset_cats
+export function setsForPower(power) {
+  const categories = power.allowedSetCategories || [];
+  return ENHANCEMENT_SETS.filter(set => categories.includes(set.category));
+}
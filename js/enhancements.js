@@ -1,9 +1,55 @@
-// Enhancement system: ED formula, SO values, slot configuration
-// Designed for extensibility to per-power slotting and IO sets
+// Enhancement system: ED formula, SO/IO values, set pieces and set bonuses
+// Slotting is a global preset plus optional per-power overrides (slotConfig.perPower).
+// A slot config is { origin, accuracy, damage, recharge, endurance, pieces }:
+// generic enhancements of one origin by aspect count, plus invention set pieces
+// as [{ set, piece }] ids from enhancement-sets.js. slotConfig.alpha ({ id, tier },
+// incarnates.js) adds the Alpha slot to every power after ED.
+
+import { getEnhancementSet } from './enhancement-sets.js';
+import { alphaEnhancement } from './incarnates.js';
 
 // SO Schedule A value: 33.33% per enhancement at even level
 const SO_VALUE = 1 / 3;
 
+// Level 50 common IO Schedule A value
+const IO_VALUE = 0.424;
+
+// Set pieces split the level 50 IO value across their aspects
+const SET_ASPECT_SPLIT = { 1: 1, 2: 0.625, 3: 0.5, 4: 0.4375 };
+
+// Superior (catalyzed archetype) pieces enhance 25% more than regular set pieces
+const SUPERIOR_SCALE = 1.25;
+
+// Set bonuses of the same kind and size only count five times across a build
+const RULE_OF_FIVE = 5;
+
+// PPM procs: chance per activation is capped at 90% and floored at 5% + 1.5% per PPM
+const PROC_MAX_CHANCE = 0.9;
+const PROC_MIN_CHANCE_BASE = 0.05;
+const PROC_MIN_CHANCE_PER_PPM = 0.015;
+// AoE penalty: area factor grows 0.15 per foot of radius; cones shrink it by arc
+const PROC_AREA_PER_RADIUS = 0.15;
+const PROC_CONE_ARC_PENALTY = 0.000366669992217794;
+
+export const ENHANCEMENT_ORIGINS = {
+  so: { name: 'Single Origin', value: SO_VALUE },
+  io: { name: 'Common IO (50)', value: IO_VALUE },
+};
+
+// Enhancement slots a power can hold (base slot + 5 added)
+export const MAX_SLOTS = 6;
+
+// Slotted aspects, in display order
+export const SLOT_ASPECTS = ['accuracy', 'damage', 'recharge', 'endurance'];
+
+// boosts_allowed entry a power needs to accept each aspect
+const ASPECT_BOOSTS = {
+  accuracy: 'Enhance Accuracy',
+  damage: 'Enhance Damage',
+  recharge: 'Enhance Recharge Speed',
+  endurance: 'Reduce Endurance Cost',
+};
+
 // Enhancement Diversification (ED) formula for Schedule A
 // Input: raw enhancement percentage (e.g., 99.99 for 3x SO)
 // Output: effective percentage after diminishing returns
@@ -19,6 +65,10 @@ export function soValue() {
   return SO_VALUE;
 }
 
+// Global slotting the UI and CLI start from: the standard attack slotting, its Endurance
+// Reduction keeping the stock chains going (see STOCK_ENDURANCE in endurance.js)
+export const STOCK_SLOTS = { accuracy: 1, damage: 3, recharge: 1, endurance: 1 };
+
 // Get the default global slot configuration
 export function getDefaultSlotConfig() {
   return {
@@ -27,49 +77,237 @@ export function getDefaultSlotConfig() {
       recharge: 2,
       accuracy: 0,
       endurance: 0,
+      origin: 'so',
+      pieces: [],
     },
     perPower: {},
   };
 }
 
-// Calculate post-ED effective percentage for a number of SOs of the same aspect
-export function effectiveEnhancement(numSOs) {
-  if (numSOs <= 0) return 0;
-  const rawPercent = numSOs * SO_VALUE * 100;
+// Total slots used by a config: generic enhancements plus set pieces
+export function slotTotal(config) {
+  const generic = SLOT_ASPECTS.reduce((sum, aspect) => sum + (config[aspect] || 0), 0);
+  return generic + (config.pieces || []).length;
+}
+
+// The slotting a power actually uses: its own override, else the global preset
+export function getPowerSlotConfig(slotConfig, slug) {
+  return (slotConfig.perPower && slotConfig.perPower[slug]) || slotConfig.global;
+}
+
+// Calculate post-ED effective percentage for a number of generic enhancements of the same aspect
+export function effectiveEnhancement(count, origin = 'so') {
+  if (count <= 0) return 0;
+  const rawPercent = count * ENHANCEMENT_ORIGINS[origin].value * 100;
   return edScheduleA(rawPercent);
 }
 
+// Enhancement percentage a set piece gives each of its aspects
+export function setPieceValue(set, piece) {
+  const split = SET_ASPECT_SPLIT[piece.aspects.length] || SET_ASPECT_SPLIT[4];
+  return IO_VALUE * 100 * split * (set.superior ? SUPERIOR_SCALE : 1);
+}
+
+function aspectAllowed(power, aspect) {
+  return !power.allowedBoosts || power.allowedBoosts.includes(ASPECT_BOOSTS[aspect]);
+}
+
+// Check a power's slotting against what the game allows.
+// Returns a list of problems; an empty list means the slotting is legal.
+export function validatePowerSlotting(power, config) {
+  const errors = [];
+  if (slotTotal(config) > MAX_SLOTS) {
+    errors.push(`${slotTotal(config)} enhancements slotted, a power holds ${MAX_SLOTS}`);
+  }
+  for (const aspect of SLOT_ASPECTS) {
+    if ((config[aspect] || 0) > 0 && !aspectAllowed(power, aspect)) {
+      errors.push(`${power.name || power.slug} can't slot ${aspect} enhancements`);
+    }
+  }
+
+  const seen = new Set();
+  for (const { set: setId, piece: pieceId } of (config.pieces || [])) {
+    const set = getEnhancementSet(setId);
+    const piece = set && set.pieces.find(p => p.id === pieceId);
+    if (!piece) {
+      errors.push(`Unknown set piece ${setId}/${pieceId}`);
+      continue;
+    }
+    if (!(power.allowedSetCategories || []).includes(set.category)) {
+      errors.push(`${set.name} (${set.category}) can't be slotted in ${power.name || power.slug}`);
+    }
+    const key = `${setId}/${pieceId}`;
+    if (seen.has(key)) errors.push(`${set.name}: ${piece.name} is slotted twice`);
+    seen.add(key);
+  }
+  return errors;
+}
+
+// Set pieces that can legally sit in this power, resolved to their set/piece definitions.
+// Pieces from disallowed categories and duplicates are dropped.
+function slottedPieces(power, config) {
+  const categories = power.allowedSetCategories || [];
+  const seen = new Set();
+  const pieces = [];
+  for (const { set: setId, piece: pieceId } of (config.pieces || [])) {
+    const set = getEnhancementSet(setId);
+    const piece = set && set.pieces.find(p => p.id === pieceId);
+    const key = `${setId}/${pieceId}`;
+    if (!piece || !categories.includes(set.category) || seen.has(key)) continue;
+    seen.add(key);
+    pieces.push({ set, piece });
+  }
+  return pieces;
+}
+
+// Post-ED enhancement percentage per aspect for a power's slotting.
+// Generic enhancements and set pieces add up before ED, which applies per aspect.
+export function enhancementTotals(power, config) {
+  const origin = ENHANCEMENT_ORIGINS[config.origin] ? config.origin : 'so';
+  const raw = {};
+  for (const aspect of SLOT_ASPECTS) {
+    raw[aspect] = aspectAllowed(power, aspect)
+      ? (config[aspect] || 0) * ENHANCEMENT_ORIGINS[origin].value * 100
+      : 0;
+  }
+  for (const { set, piece } of slottedPieces(power, config)) {
+    const value = setPieceValue(set, piece);
+    for (const aspect of piece.aspects) {
+      if (aspect in raw) raw[aspect] += value;
+    }
+  }
+  const totals = {};
+  for (const aspect of SLOT_ASPECTS) totals[aspect] = edScheduleA(raw[aspect]);
+  return totals;
+}
+
+// Area factor for PPM procs: 1 for single target, larger for AoEs and cones
+function procAreaFactor(power) {
+  const radius = power.radius || 0;
+  if (power.effectArea === 'SingleTarget' || radius <= 0) return 1;
+  const factor = 1 + radius * PROC_AREA_PER_RADIUS;
+  if (power.effectArea === 'Cone') {
+    return factor - radius * PROC_CONE_ARC_PENALTY * (360 - (power.arc || 0));
+  }
+  return factor;
+}
+
+// Chance a PPM proc fires on one activation (per target hit).
+// Uses the base recharge reduced only by recharge enhancement slotted in the power
+// (global recharge doesn't raise the chance) and the base cast time.
+export function procChance(ppm, power, enhRechargePercent) {
+  const recharge = (power.rechargeTime || 0) / (1 + enhRechargePercent / 100);
+  const chance = ppm * (recharge + (power.castTime || 0)) / (60 * procAreaFactor(power));
+  const floor = PROC_MIN_CHANCE_BASE + PROC_MIN_CHANCE_PER_PPM * ppm;
+  return Math.min(PROC_MAX_CHANCE, Math.max(floor, chance));
+}
+
+// Damage procs slotted in a power with their chance per activation
+// Returns [{ name, type, damage, chance }]
+function slottedProcs(power, config, enhRechargePercent) {
+  return slottedPieces(power, config)
+    .filter(({ piece }) => piece.proc)
+    .map(({ set, piece }) => ({
+      name: `${set.name}: ${piece.name}`,
+      type: piece.proc.type,
+      damage: piece.proc.damage,
+      chance: procChance(piece.proc.ppm, power, enhRechargePercent),
+    }));
+}
+
+// Sum the damage and recharge set bonuses of every slotted set in the build.
+// Each set grants the tiers its piece count reaches; identical bonuses
+// (same kind and value) stop counting after five (the Rule of Five).
+// Returns { damage, recharge, sets: [{ slug, set, pieces }] } with percentages.
+export function computeSetBonuses(powers, slotConfig) {
+  const result = { damage: 0, recharge: 0, sets: [] };
+  const counts = new Map();
+
+  for (const power of powers) {
+    const bySet = new Map();
+    for (const { set } of slottedPieces(power, getPowerSlotConfig(slotConfig, power.slug))) {
+      bySet.set(set, (bySet.get(set) || 0) + 1);
+    }
+    for (const [set, pieces] of bySet) {
+      if (pieces < 2) continue;
+      result.sets.push({ slug: power.slug, set: set.id, pieces });
+      for (const bonus of set.bonuses) {
+        if (pieces < bonus.pieces) continue;
+        for (const kind of ['damage', 'recharge']) {
+          if (!bonus[kind]) continue;
+          const key = `${kind}:${bonus[kind]}`;
+          const seen = counts.get(key) || 0;
+          if (seen >= RULE_OF_FIVE) continue;
+          counts.set(key, seen + 1);
+          result[kind] += bonus[kind];
+        }
+      }
+    }
+  }
+  return result;
+}
+
 // Apply enhancement modifiers to a parsed power object
 // Returns a new object with enhanced values (does not mutate original)
-export function applyEnhancements(power, slotConfig) {
-  const config = (slotConfig.perPower && slotConfig.perPower[power.slug])
-    || slotConfig.global;
+// ED applies per aspect, so each aspect's enhancements are diversified separately.
+// setBonuses (from computeSetBonuses) adds its damage bonus on top of enhancement;
+// its recharge bonus belongs in the global recharge passed to the optimizer.
+// The Alpha slot skips ED and only boosts aspects the power accepts.
+export function applyEnhancements(power, slotConfig, setBonuses = null) {
+  const config = getPowerSlotConfig(slotConfig, power.slug);
+  const totals = enhancementTotals(power, config);
+  const alpha = alphaEnhancement(slotConfig.alpha);
+  for (const aspect of SLOT_ASPECTS) {
+    if (!aspectAllowed(power, aspect)) alpha[aspect] = 0;
+  }
 
-  const rechEnhPercent = effectiveEnhancement(config.recharge || 0);
+  const rechEnhPercent = totals.recharge + alpha.recharge;
+  const accEnhPercent = totals.accuracy + alpha.accuracy;
+  const endEnhPercent = totals.endurance + alpha.endurance;
+  // Endurance reduction divides the cost, like recharge divides the timer
+  const enduranceCost = power.enduranceCost / (1 + endEnhPercent / 100);
 
-  // Buff powers (like Aim) don't deal damage — only apply recharge enhancements
+  // Buff powers (like Aim) don't deal damage — only apply recharge/endurance enhancements
   if (power.isBuff) {
     return {
       ...power,
+      enduranceCost,
       enhRecharge: rechEnhPercent,
+      enhEndurance: endEnhPercent,
     };
   }
 
-  const dmgEnhPercent = effectiveEnhancement(config.damage || 0);
-  const dmgMult = 1 + dmgEnhPercent / 100;
+  const dmgEnhPercent = totals.damage;
+  // Damage bonuses from sets and Alpha stack additively with enhancement (they skip ED)
+  const dmgMult = 1 + (dmgEnhPercent + alpha.damage + (setBonuses ? setBonuses.damage : 0)) / 100;
   const enhancedDamage = power.totalDamage * dmgMult;
 
+  // Proc damage is flat: enhancements and damage buffs don't scale it
+  const procs = slottedProcs(power, config, rechEnhPercent);
+  const procDamage = procs.reduce((sum, proc) => sum + proc.chance * proc.damage, 0);
+
   return {
     ...power,
     totalDamage: enhancedDamage,
-    dpa: enhancedDamage / power.arcanaTime,
+    dpa: (enhancedDamage + procDamage) / power.arcanaTime,
+    // Expected proc damage per activation, per target hit
+    procs,
+    procDamage,
     damageComponents: power.damageComponents.map(c => ({
       ...c,
       damage: c.damage * dmgMult,
     })),
+    enduranceCost,
     // Store enhancement recharge as a percentage for the optimizer
     // e.g., 95.0 means 95% recharge enhancement
     enhRecharge: rechEnhPercent,
+    enhAccuracy: accEnhPercent,
+    enhEndurance: endEnhPercent,
+    enhDamage: dmgEnhPercent,
+    setDamage: setBonuses ? setBonuses.damage : 0,
+    alphaDamage: alpha.damage,
+    // Damage strength already in totalDamage; buffs add to it under the damage cap
+    damageStrength: dmgMult,
     baseTotalDamage: power.totalDamage,
   };
 }
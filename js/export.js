@@ -0,0 +1,125 @@
+// Result export: a search's result set as JSON, CSV or a Markdown post
+//
+// A report is { inputs, rangedChains, hybridChains, aoeChains, numTargets }: the
+// worker's result message (runOptimization's return) plus the inputs it ran with,
+// as scripts/optimize.js and the browser both assemble them.
+
+import { describeTarget } from './target.js';
+
+const PASSES = [
+  { key: 'aoeChains', label: report => `AoE Chain (${report.numTargets} targets)` },
+  { key: 'rangedChains', label: () => 'Ranged Chain' },
+  { key: 'hybridChains', label: () => 'Melee / Hybrid Chain' },
+];
+
+const CSV_COLUMNS = [
+  'pass', 'rank', 'chain', 'dps', 'all_hits_dps', 'buffed_dps', 'cycle_s', 'cycle_damage', 'eps', 'time_to_empty_s',
+  'step', 'power', 'start_s', 'wait_s', 'damage', 'cast_s', 'arcana_s', 'recharge_s', 'dpa', 'hit_chance',
+  'end_cost', 'area', 'targets',
+];
+
+const round = (value, digits = 3) => (value == null ? '' : Number(value.toFixed(digits)));
+const chainLabel = chain => chain.powers.map(p => p.name).join(' > ');
+const markdownCell = text => String(text).replace(/\|/g, '\\|');
+const timeToEmpty = chain => {
+  if (!chain.endurance) return '';
+  return chain.endurance.timeToEmpty === Infinity ? 'never' : round(chain.endurance.timeToEmpty, 1);
+};
+
+// Start of a chain's step within the cycle, counted from its first power: chains are
+// rotated for display (see rotateChainToHighestDpa) along with their timeline
+function stepStart(chain, step) {
+  const events = chain.timeline;
+  if (!events || !events[step]) return null;
+  const offset = events[step].startTime - events[0].startTime;
+  return offset < 0 ? offset + chain.totalTime : offset;
+}
+
+function passes(report) {
+  return PASSES.filter(pass => report[pass.key] && report[pass.key].length > 0)
+    .map(pass => ({ label: pass.label(report), chains: report[pass.key] }));
+}
+
+// Everything, as the CLI's --format json prints it. Infinite values (a chain that never
+// runs dry) come out as null.
+export function exportJson(report) {
+  const { inputs, rangedChains, hybridChains, aoeChains } = report;
+  return JSON.stringify({ inputs, rangedChains, hybridChains, aoeChains }, null, 2) + '\n';
+}
+
+// Inputs as "setting,value" rows, a blank row, then one row per power of every chain
+export function exportCsv(report) {
+  const rows = [['setting', 'value'], ...flattenInputs(report.inputs || {}), [], CSV_COLUMNS];
+  for (const pass of passes(report)) {
+    pass.chains.forEach((chain, i) => {
+      const chainCells = [
+        pass.label, i + 1, chainLabel(chain), round(chain.dps), round(chain.allHitsDps), round(chain.buffedDps),
+        round(chain.totalTime), round(chain.totalDamage), round(chain.eps), timeToEmpty(chain),
+      ];
+      chain.powers.forEach((p, step) => {
+        const event = chain.timeline && chain.timeline[step];
+        rows.push([
+          ...chainCells, step + 1, p.name, round(stepStart(chain, step)), round(event && event.waitBefore),
+          round(p.damage), round(p.castTime), round(p.arcanaTime), round(p.effectiveRecharge), round(p.dpa),
+          round(p.hitChance ?? 1), round(p.enduranceCost), p.effectArea, p.targetsHit || 1,
+        ]);
+      });
+    });
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Nested inputs as dotted keys; lists of plain values join with ";", lists of objects stay JSON
+export function flattenInputs(value, prefix = '') {
+  if (value === null || typeof value !== 'object') return [[prefix, value ?? '']];
+  if (Array.isArray(value)) {
+    return [[prefix, value.some(v => v !== null && typeof v === 'object') ? JSON.stringify(value) : value.join(';')]];
+  }
+  return Object.entries(value).flatMap(([key, v]) => flattenInputs(v, prefix ? `${prefix}.${key}` : key));
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A post for forums and Discord: the setup, each pass's top chains, and the best
+// chain's breakdown with its timeline
+export function exportMarkdown(report, { top = 5 } = {}) {
+  const inputs = report.inputs || {};
+  const lines = [`## ${[inputs.archetype, [inputs.primary, inputs.secondary].filter(Boolean).join('/')]
+    .filter(Boolean).join(' ')}${inputs.level ? ` L${inputs.level}` : ''}`];
+  const setup = [
+    inputs.rechargeBonus != null ? `+${inputs.rechargeBonus}% recharge` : null,
+    inputs.lotgRecharge ? `+${inputs.lotgRecharge}% Luck of the Gambler recharge` : null,
+    inputs.latencyMs != null ? `${inputs.latencyMs}ms latency` : null,
+    inputs.target ? `vs ${describeTarget(inputs.target)}` : null,
+    inputs.incarnate && inputs.incarnate.names && inputs.incarnate.names.length > 0
+      ? `incarnates ${inputs.incarnate.names.join(', ')}` : null,
+  ].filter(Boolean);
+  if (setup.length > 0) lines.push('', setup.join(', '));
+
+  for (const pass of passes(report)) {
+    const anyBuffed = pass.chains.some(chain => chain.buffedDps != null);
+    lines.push('', `### ${pass.label}`, '',
+      `| # | Chain | DPS |${anyBuffed ? ' Buffed |' : ''} Cycle | End/s |`,
+      `|---:|---|---:|${anyBuffed ? '---:|' : ''}---:|---:|`);
+    pass.chains.slice(0, top).forEach((chain, i) => {
+      const buffed = anyBuffed ? ` ${chain.buffedDps != null ? chain.buffedDps.toFixed(1) : '-'} |` : '';
+      lines.push(`| ${i + 1} | ${markdownCell(chainLabel(chain))} | ${chain.dps.toFixed(1)} |${buffed} `
+        + `${chain.totalTime.toFixed(2)}s | ${chain.eps.toFixed(2)} |`);
+    });
+
+    const best = pass.chains[0];
+    lines.push('', '**#1 breakdown**', '',
+      '| Power | Start | Damage | Cast | Arcana | Eff. Rech | DPA | Hit | End |',
+      '|---|---:|---:|---:|---:|---:|---:|---:|---:|');
+    best.powers.forEach((p, step) => {
+      const start = stepStart(best, step);
+      lines.push(`| ${markdownCell(p.name)} | ${start != null ? `${start.toFixed(2)}s` : '-'} | ${p.damage.toFixed(1)} | `
+        + `${p.castTime.toFixed(2)}s | ${p.arcanaTime.toFixed(3)}s | ${p.effectiveRecharge.toFixed(1)}s | ${p.dpa.toFixed(1)} | `
+        + `${((p.hitChance ?? 1) * 100).toFixed(0)}% | ${p.enduranceCost.toFixed(1)} |`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,280 @@
+// Incarnate abilities: Alpha boosts, Hybrid Assault, Interface procs, Judgement,
+// Lore and Destiny clicks, and incarnate level shifts
+//
+// Alpha is a global enhancement that skips Enhancement Diversification: its
+// percentages add to every power that accepts the aspect, after ED (see
+// applyEnhancements). Tier 3 and 4 Alphas also grant a +1 level shift, which
+// lowers the target's effective level for the purple patch (target.js).
+//
+// Hybrid Assault is a click toggle that runs for `duration` out of every `period`
+// seconds: a passive damage buff always, plus a damage buff and a double-hit
+// chance (an extra hit repeating the attack's damage) while it runs. The toggle
+// runs on the buff overlay timeline like timed team effects (team-buffs.js).
+//
+// Interface procs roll on every hit: a chance to apply a DoT and/or a resistance
+// debuff, each stacking up to a limit. The simulators track expected stacks, so
+// a 25% proc adds a quarter stack per hit while there is room under the limit.
+//
+// Judgement, Lore and Destiny are clicks the buff overlay fires on cooldown, shaped
+// like parsed powers (power-parser.js) so they take the purple patch, resistance and
+// hit chance. Their recharge ignores recharge bonuses and buffs. Judgement is an AoE
+// attack that takes damage buffs but no enhancements; Lore pets fight at their own
+// strength for `duration` and are counted at the summon like location pets; Ageless
+// is a recharge buff, and Barrier only costs its activation (its defense and
+// resistance don't change damage).
+// Values are approximate Homecoming numbers.
+
+import { arcanaTime } from './arcanatime.js';
+
+// Percent per branch: the primary aspect and the branch's secondary aspects
+export const ALPHA_TIERS = {
+  t1: { name: 'Boost', primary: 20, secondary: 0, levelShift: 0 },
+  t2_core: { name: 'Core Boost', primary: 25, secondary: 0, levelShift: 0 },
+  t2_radial: { name: 'Radial Boost', primary: 20, secondary: 20, levelShift: 0 },
+  t3_core: { name: 'Total Core Revamp', primary: 33, secondary: 20, levelShift: 1 },
+  t3_radial: { name: 'Total Radial Revamp', primary: 25, secondary: 25, levelShift: 1 },
+  t4_core: { name: 'Core Paragon', primary: 45, secondary: 20, levelShift: 1 },
+  t4_radial: { name: 'Radial Paragon', primary: 33, secondary: 33, levelShift: 1 },
+};
+
+// Enhancement aspects (enhancements.js SLOT_ASPECTS) each boost raises; other
+// attributes (defense, healing, mez) don't affect the chain and are left out
+export const ALPHA_BOOSTS = {
+  musculature: { name: 'Musculature', primary: 'damage', secondary: [] },
+  spiritual: { name: 'Spiritual', primary: 'recharge', secondary: [] },
+  cardiac: { name: 'Cardiac', primary: 'endurance', secondary: [] },
+  nerve: { name: 'Nerve', primary: 'accuracy', secondary: [] },
+  agility: { name: 'Agility', primary: null, secondary: ['recharge'] },
+  intuition: { name: 'Intuition', primary: null, secondary: ['damage'] },
+};
+
+export const HYBRID_ASSAULT = {
+  core: { name: 'Assault Core Embodiment', passive: 0.05, damage: 0.2, doubleHit: 0.1, duration: 120, period: 240 },
+  radial: { name: 'Assault Radial Embodiment', passive: 0.05, damage: 0.1, doubleHit: 0.2, duration: 120, period: 240 },
+};
+
+// dot.damage is the whole DoT per application at level 50; damage buffs don't raise it
+export const INTERFACE_PROCS = {
+  reactive_radial_flames: {
+    name: 'Reactive Radial Flames',
+    dot: { type: 'Fire', chance: 0.75, damage: 64, duration: 4.1, stackLimit: 2 },
+    resDebuff: { chance: 0.25, magnitude: 0.05, duration: 10, stackLimit: 4 },
+  },
+  reactive_core_flawless: {
+    name: 'Reactive Core Flawless Interface',
+    dot: { type: 'Fire', chance: 0.25, damage: 64, duration: 4.1, stackLimit: 2 },
+    resDebuff: { chance: 0.75, magnitude: 0.05, duration: 10, stackLimit: 4 },
+  },
+  degenerative_core_flawless: {
+    name: 'Degenerative Core Flawless Interface',
+    dot: { type: 'Toxic', chance: 0.75, damage: 72, duration: 4.1, stackLimit: 4 },
+  },
+  degenerative_radial_flawless: {
+    name: 'Degenerative Radial Flawless Interface',
+    dot: { type: 'Toxic', chance: 0.25, damage: 72, duration: 4.1, stackLimit: 4 },
+  },
+};
+
+// Final (tier 4 core) Judgements at level 50
+export const JUDGEMENTS = {
+  pyronic: { name: 'Pyronic Core Final Judgement', type: 'Fire', damage: 430, maxTargetsHit: 16 },
+  ion: { name: 'Ion Core Final Judgement', type: 'Energy', damage: 380, maxTargetsHit: 10 },
+  void: { name: 'Void Core Final Judgement', type: 'Negative_Energy', damage: 420, maxTargetsHit: 16 },
+  cryonic: { name: 'Cryonic Core Final Judgement', type: 'Cold', damage: 420, maxTargetsHit: 16 },
+  vorpal: { name: 'Vorpal Core Final Judgement', type: 'Lethal', damage: 420, maxTargetsHit: 16 },
+  mighty: { name: 'Mighty Core Final Judgement', type: 'Smashing', damage: 420, maxTargetsHit: 16 },
+};
+const JUDGEMENT_TIMING = { castTime: 2, rechargeTime: 90 };
+
+// Tier 4 radial Lore pets: combined DPS on their main target, and the share of it from
+// AoE attacks that also lands on up to maxTargetsHit targets
+export const LORE_PETS = {
+  polar_lights: { name: 'Polar Lights Radial Superior Ally', type: 'Energy', dps: 130, aoeShare: 0.2, maxTargetsHit: 10 },
+  storm_elemental: { name: 'Storm Elemental Radial Superior Ally', type: 'Energy', dps: 115, aoeShare: 0.4, maxTargetsHit: 10 },
+  banished_pantheon: { name: 'Banished Pantheon Radial Superior Ally', type: 'Negative_Energy', dps: 120, aoeShare: 0.3, maxTargetsHit: 10 },
+  cimerorans: { name: 'Cimeroran Radial Superior Ally', type: 'Lethal', dps: 125, aoeShare: 0.1, maxTargetsHit: 5 },
+};
+const LORE_TIMING = { castTime: 1.5, rechargeTime: 300, duration: 90 };
+
+export const DESTINIES = {
+  ageless_core: { name: 'Ageless Core Epiphany', rechargeBuff: { scale: 0.5, duration: 120 } },
+  ageless_radial: { name: 'Ageless Radial Epiphany', rechargeBuff: { scale: 0.3, duration: 120 } },
+  barrier_core: { name: 'Barrier Core Epiphany', rechargeBuff: null },
+  barrier_radial: { name: 'Barrier Radial Epiphany', rechargeBuff: null },
+};
+const DESTINY_TIMING = { castTime: 1.5, rechargeTime: 120 };
+// Tier 4 Lore and Destiny (all of the above) each shift the player a level, on top of the Alpha
+const T4_LEVEL_SHIFT = 1;
+
+function incarnatePower(slot, id, entry, timing, fields) {
+  return {
+    slug: `${slot}_${id}`,
+    name: entry.name,
+    incarnateSlot: slot,
+    castTime: timing.castTime,
+    arcanaTime: arcanaTime(timing.castTime),
+    rechargeTime: timing.rechargeTime,
+    ignoresRechargeBuffs: true,
+    enduranceCost: 0,
+    effectArea: 'SingleTarget',
+    totalDamage: 0,
+    damageComponents: [],
+    dpa: 0,
+    buffs: [],
+    toHitBuffs: [],
+    rechargeBuffs: [],
+    isBuff: false,
+    accuracy: 1,
+    maxTargetsHit: 1,
+    allowedBoosts: [],
+    allowedSetCategories: [],
+    ...fields,
+  };
+}
+
+// Incarnate clicks chosen in options ({ judgement, lore, destiny } ids) as powers
+function createIncarnatePowers(options) {
+  const powers = [];
+  const judgement = options && JUDGEMENTS[options.judgement];
+  if (judgement) {
+    powers.push(incarnatePower('judgement', options.judgement, judgement, JUDGEMENT_TIMING, {
+      effectArea: 'AoE',
+      totalDamage: judgement.damage,
+      damageComponents: [{ type: judgement.type, damage: judgement.damage }],
+      dpa: judgement.damage / arcanaTime(JUDGEMENT_TIMING.castTime),
+      maxTargetsHit: judgement.maxTargetsHit,
+    }));
+  }
+  const lore = options && LORE_PETS[options.lore];
+  if (lore) {
+    const damage = lore.dps * LORE_TIMING.duration;
+    powers.push(incarnatePower('lore', options.lore, lore, LORE_TIMING, {
+      effectArea: 'Location',
+      totalDamage: damage,
+      damageComponents: [{ type: lore.type, damage, source: 'pet' }],
+      dpa: damage / arcanaTime(LORE_TIMING.castTime),
+      isPetDamage: true,
+      aoeShare: lore.aoeShare,
+      maxTargetsHit: lore.maxTargetsHit,
+      duration: LORE_TIMING.duration,
+      levelShift: T4_LEVEL_SHIFT,
+    }));
+  }
+  const destiny = options && DESTINIES[options.destiny];
+  if (destiny) {
+    powers.push(incarnatePower('destiny', options.destiny, destiny, DESTINY_TIMING, {
+      isBuff: true,
+      rechargeBuffs: destiny.rechargeBuff ? [destiny.rechargeBuff] : [],
+      levelShift: T4_LEVEL_SHIFT,
+    }));
+  }
+  return powers;
+}
+
+// Damage multiplier of an incarnate click against `numTargets` targets: Judgement hits
+// up to its cap, Lore pets spread only their AoE share
+export function incarnateTargetsMultiplier(power, numTargets) {
+  const targets = Math.min(numTargets, power.maxTargetsHit || 1);
+  return power.aoeShare != null ? 1 + power.aoeShare * (targets - 1) : targets;
+}
+
+function resolveAlpha(alpha) {
+  const boost = alpha && ALPHA_BOOSTS[alpha.id];
+  const tier = alpha && ALPHA_TIERS[alpha.tier];
+  return boost && tier ? { boost, tier } : null;
+}
+
+// alpha: { id, tier }. Returns { accuracy, damage, recharge, endurance } in percent
+export function alphaEnhancement(alpha) {
+  const totals = { accuracy: 0, damage: 0, recharge: 0, endurance: 0 };
+  const resolved = resolveAlpha(alpha);
+  if (!resolved) return totals;
+  const { boost, tier } = resolved;
+  if (boost.primary) totals[boost.primary] += tier.primary;
+  for (const aspect of boost.secondary) totals[aspect] += tier.secondary;
+  return totals;
+}
+
+// Interface proc `id` against a target with purple patch modifier damageMod, which
+// scales the DoT and the debuff. Returns { id, name, dot, resDebuff } or null.
+export function resolveInterface(id, damageMod = 1) {
+  const proc = INTERFACE_PROCS[id];
+  if (!proc) return null;
+  return {
+    id,
+    name: proc.name,
+    dot: proc.dot ? { ...proc.dot, damage: proc.dot.damage * damageMod } : null,
+    resDebuff: proc.resDebuff ? { ...proc.resDebuff, magnitude: proc.resDebuff.magnitude * damageMod } : null,
+  };
+}
+
+// Expected Interface stacks on the target, one list per effect: [{ amount, expiresAt }]
+export function createInterfaceState() {
+  return { dot: [], resDebuff: [] };
+}
+
+// Add `chance` of a stack, up to the room left under the stack limit at `time`
+function stackUp(stacks, effect, time, chance) {
+  const active = stacks.filter(s => s.expiresAt > time);
+  const room = effect.stackLimit - active.reduce((sum, s) => sum + s.amount, 0);
+  const amount = Math.min(chance, Math.max(0, room));
+  if (amount > 0) active.push({ amount, expiresAt: time + effect.duration });
+  return { stacks: active, amount };
+}
+
+// Resistance debuff the proc holds on the target at `time`
+export function interfaceResDebuff(proc, state, time) {
+  if (!proc.resDebuff) return 0;
+  const stacks = state.resDebuff.reduce((sum, s) => (s.expiresAt > time ? sum + s.amount : sum), 0);
+  return stacks * proc.resDebuff.magnitude;
+}
+
+// Roll the proc for an activation landing with chance `hit` at `time`.
+// Returns the expected DoT damage it applies, before the target's resistance.
+export function applyInterface(proc, state, time, hit) {
+  let dotDamage = 0;
+  if (proc.dot) {
+    const { stacks, amount } = stackUp(state.dot, proc.dot, time, proc.dot.chance * hit);
+    state.dot = stacks;
+    dotDamage = amount * proc.dot.damage;
+  }
+  if (proc.resDebuff) {
+    state.resDebuff = stackUp(state.resDebuff, proc.resDebuff, time, proc.resDebuff.chance * hit).stacks;
+  }
+  return dotDamage;
+}
+
+// options: { alpha: { id, tier }, hybrid: { branch, damage, doubleHit, duration, period }, interface: id,
+// judgement: id, lore: id, destiny: id } with hybrid fields overriding the branch's values.
+// Returns { levelShift, damage, timed, powers, names }: levelShift adds the Alpha's to the
+// Lore and Destiny clicks', damage is the always-on damage buff,
+// timed the Hybrid toggle as timed effects ({ id, name, kind: 'damage' | 'doubleHit',
+// magnitude, duration, period }) and powers the Judgement, Lore and Destiny clicks.
+export function resolveIncarnates(options) {
+  const resolved = resolveAlpha(options && options.alpha);
+  const powers = createIncarnatePowers(options);
+  const result = {
+    levelShift: powers.reduce((sum, p) => sum + (p.levelShift || 0), resolved ? resolved.tier.levelShift : 0),
+    damage: 0,
+    timed: [],
+    powers,
+    names: [],
+  };
+  if (resolved) result.names.push(`${resolved.boost.name} ${resolved.tier.name}`);
+  const proc = options && INTERFACE_PROCS[options.interface];
+  if (proc) result.names.push(proc.name);
+  result.names.push(...result.powers.map(p => p.name));
+
+  const hybridOptions = options && options.hybrid;
+  const branch = hybridOptions && HYBRID_ASSAULT[hybridOptions.branch];
+  if (branch) {
+    const hybrid = { ...branch, ...hybridOptions };
+    result.damage += hybrid.passive;
+    result.names.push(hybrid.name);
+    const timing = { id: 'hybrid_assault', name: 'Hybrid Assault', duration: hybrid.duration, period: hybrid.period };
+    for (const kind of ['damage', 'doubleHit']) {
+      if (hybrid[kind] > 0) result.timed.push({ ...timing, kind, magnitude: hybrid[kind] });
+    }
+  }
+  return result;
+}
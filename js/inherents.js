@@ -0,0 +1,217 @@
+// Archetype inherent models for the chain simulators
+//
+// Every simulated activation goes through the archetype's inherent model:
+//   createState(options)                  -> fresh per-simulation state
+//   damageMultiplier(state, power, time)  -> multiplier for this activation's damage
+//   afterActivation(state, power, time)   -> update state once `power` has fired
+//   upperBound(options, powers)           -> best multiplier any activation of the prepared
+//                                            powers can get (for pruning)
+// options may carry targetRank (target.js) for inherents that depend on the enemy.
+// Models with damageBuff: true (Defiance, Fury) are damage strength buffs: their bonus
+// adds to enhancements and other buffs under the archetype damage cap (damage.js).
+// The rest (crits, Scourge, Opportunity) multiply the capped damage.
+//
+// Chance-based inherents (critical hits, Scourge) are modeled as their expected
+// value, so a chain's DPS is its long-run average rather than one lucky roll.
+
+// Fury: each point of the bar is +2% damage, bar caps at 100
+const FURY_DAMAGE_PER_POINT = 0.02;
+// Fury level a Brute holds in sustained single-target combat
+const DEFAULT_FURY_LEVEL = 70;
+
+// Scrapper critical chance vs lieutenants and above (5% vs minions)
+const DEFAULT_SCRAPPER_CRIT_CHANCE = 0.10;
+const SCRAPPER_MINION_CRIT_CHANCE = 0.05;
+
+// Stalker critical chance outside Hide: 10% solo, +3% per teammate
+const STALKER_BASE_CRIT_CHANCE = 0.10;
+const STALKER_CRIT_PER_TEAMMATE = 0.03;
+
+// Scourge: no chance above 50% target health, rising linearly to 100% at 10%.
+// Averaged over a target dropping from full to zero health: 0.4 * 0.5 + 0.1 = 30%.
+const DEFAULT_SCOURGE_CHANCE = 0.30;
+
+// Opportunity: attacking fills the bar (points per second of animation);
+// a full bar opens Offensive Opportunity, a resistance debuff on the target.
+const OPPORTUNITY_FILL_PER_SECOND = 10;
+const OPPORTUNITY_DURATION = 10;
+const OPPORTUNITY_RES_DEBUFF = 0.20;
+
+// Blaster Defiance: each attack grants a short self damage buff (power.defiance)
+const defiance = {
+  id: 'defiance',
+  name: 'Defiance',
+  damageBuff: true,
+  createState() {
+    return { buffs: [] };
+  },
+  damageMultiplier(state, power, time) {
+    state.buffs = state.buffs.filter(b => b.expiresAt > time);
+    return 1 + state.buffs.reduce((sum, b) => sum + b.scale, 0);
+  },
+  afterActivation(state, power, time) {
+    if (!power.defiance || !(power.defiance.scale > 0)) return;
+    if (power.defiance.stacking === 'Replace') {
+      state.buffs = state.buffs.filter(b => b.slug !== power.slug);
+    }
+    state.buffs.push({
+      slug: power.slug,
+      scale: power.defiance.scale,
+      expiresAt: time + power.defiance.duration,
+    });
+  },
+  upperBound(options, powers = []) {
+    return 1 + maxDefianceScale(powers);
+  },
+};
+
+// Most Defiance scale an activation can meet: the buffs of the activations before it
+// within the longest buff duration, no power more often than its recharge allows
+// (once for 'Replace' buffs), the strongest buffs filling the activations that fit.
+function maxDefianceScale(powers) {
+  const buffing = powers.filter(p => p.defiance && p.defiance.scale > 0);
+  if (buffing.length === 0) return 0;
+  const stepOf = p => p.arcanaTime + (p.activationLatency || 0);
+  const window = Math.max(...buffing.map(p => p.defiance.duration));
+  let slots = Math.ceil(window / Math.min(...powers.map(stepOf)));
+  let total = 0;
+  for (const p of [...buffing].sort((a, b) => b.defiance.scale - a.defiance.scale)) {
+    const uses = p.defiance.stacking === 'Replace'
+      ? 1
+      : Math.ceil(p.defiance.duration / Math.max(p.effectiveRecharge ?? p.rechargeTime, stepOf(p)));
+    const held = Math.min(uses, slots);
+    total += held * p.defiance.scale;
+    slots -= held;
+    if (slots === 0) break;
+  }
+  return total;
+}
+
+// Critical hits double an attack's damage; the expected bonus is the crit chance
+function critModel(id, name, chanceFromOptions) {
+  return {
+    id,
+    name,
+    createState(options = {}) {
+      return { chance: chanceFromOptions(options) };
+    },
+    damageMultiplier(state) {
+      return 1 + state.chance;
+    },
+    afterActivation() {},
+    upperBound(options = {}) {
+      return 1 + chanceFromOptions(options);
+    },
+  };
+}
+
+const criticalHits = critModel('criticalHits', 'Critical Hits',
+  options => options.critChance
+    ?? (options.targetRank === 'minion' ? SCRAPPER_MINION_CRIT_CHANCE : DEFAULT_SCRAPPER_CRIT_CHANCE));
+
+const assassination = critModel('assassination', 'Assassination',
+  options => options.critChance ?? Math.min(
+    STALKER_BASE_CRIT_CHANCE + STALKER_CRIT_PER_TEAMMATE * (Math.min(options.teamSize || 1, 8) - 1),
+    1
+  ));
+
+const scourge = critModel('scourge', 'Scourge',
+  options => options.scourgeChance ?? DEFAULT_SCOURGE_CHANCE);
+
+// Brute Fury: a steady bar level converted to a flat damage bonus
+const fury = {
+  id: 'fury',
+  name: 'Fury',
+  damageBuff: true,
+  createState(options = {}) {
+    return { bonus: furyBonus(options) };
+  },
+  damageMultiplier(state) {
+    return 1 + state.bonus;
+  },
+  afterActivation() {},
+  upperBound(options = {}) {
+    return 1 + furyBonus(options);
+  },
+};
+
+function furyBonus(options) {
+  const level = Math.max(0, Math.min(100, options.furyLevel ?? DEFAULT_FURY_LEVEL));
+  return level * FURY_DAMAGE_PER_POINT;
+}
+
+// Dominator Domination boosts mez magnitude/duration and refills endurance;
+// it has no damage effect, so Dominator chains run unbuffed through the engine.
+const domination = {
+  id: 'domination',
+  name: 'Domination',
+  createState() {
+    return {};
+  },
+  damageMultiplier() {
+    return 1;
+  },
+  afterActivation() {},
+  upperBound() {
+    return 1;
+  },
+};
+
+// Sentinel Opportunity: fill the bar by attacking, then debuff the target's resistance
+const opportunity = {
+  id: 'opportunity',
+  name: 'Opportunity',
+  createState() {
+    return { bar: 0, activeUntil: -Infinity };
+  },
+  damageMultiplier(state, power, time) {
+    return time < state.activeUntil ? 1 + OPPORTUNITY_RES_DEBUFF : 1;
+  },
+  afterActivation(state, power, time) {
+    if (time < state.activeUntil) return;
+    state.bar += power.arcanaTime * OPPORTUNITY_FILL_PER_SECOND;
+    if (state.bar >= 100) {
+      state.bar = 0;
+      state.activeUntil = time + power.arcanaTime + OPPORTUNITY_DURATION;
+    }
+  },
+  upperBound() {
+    return 1 + OPPORTUNITY_RES_DEBUFF;
+  },
+};
+
+// Archetypes without a damage-relevant inherent
+const none = {
+  id: 'none',
+  name: 'Inherent',
+  createState() {
+    return {};
+  },
+  damageMultiplier() {
+    return 1;
+  },
+  afterActivation() {},
+  upperBound() {
+    return 1;
+  },
+};
+
+// Every damage model by id, for running a powerset under an inherent other than its
+// archetype's (only Blaster power data is bundled)
+export const INHERENT_MODELS = Object.fromEntries(
+  [defiance, criticalHits, scourge, fury, assassination, domination, opportunity].map(model => [model.id, model])
+);
+
+const INHERENTS_BY_ARCHETYPE = {
+  blaster: defiance,
+  scrapper: criticalHits,
+  corruptor: scourge,
+  brute: fury,
+  stalker: assassination,
+  dominator: domination,
+  sentinel: opportunity,
+};
+
+export function getInherentModel(archetype) {
+  return INHERENTS_BY_ARCHETYPE[archetype] || none;
+}
@@ -1,26 +1,418 @@
 // Entry point: UI wiring for CoH DPS Finder
 
-import { loadArchetypeTables, loadAllPowers } from './data.js';
-import { parsePowers } from './power-parser.js';
-import { renderPowerList, renderResults, initEnhancementControls, getEnhancementConfigFromUI, setPowerToggleCallback } from './ui.js';
-import { applyEnhancements, getDefaultSlotConfig } from './enhancements.js';
+import { loadDataIndex, loadArchetypeIndex, loadArchetypeTables, loadAllPowers } from './data.js';
+import { parsePowers, parseToggles } from './power-parser.js';
+import { renderPowerList, renderResults, renderSetBonuses, initEnhancementControls, getEnhancementConfigFromUI, initResistanceControls, getResistanceConfigFromUI, initTeamControls, getTeamConfigFromUI, renderEnduranceToggles, getEnduranceConfigFromUI, initIncarnateControls, getIncarnateConfigFromUI, setResistanceConfigInUI, setTeamConfigInUI, setEnduranceConfigInUI, setIncarnateConfigInUI, initInherentControls, getInherentFromUI, setPowerToggleCallback, setPowerSlotCallback, setEnhancementConfigInUI, renderProfiles, setProfileStatus, renderImportReport, renderSnapshots, renderComparison, snapshotLabel, initSweepControls, getSweepConfigFromUI, renderSweep } from './ui.js';
+import { applyEnhancements, computeSetBonuses } from './enhancements.js';
+import { createPoolPowers, poolPowerSlugs, POOL_POWERSET } from './pool-powers.js';
+import { encodeBuild, decodeBuild, loadProfiles, saveProfiles, deleteProfile, exportProfiles, parseProfiles } from './build-state.js';
+import { parseMidsBuild, GLOBAL_RECHARGE } from './mids-import.js';
+import { exportJson, exportCsv, exportMarkdown } from './export.js';
+import { compareResults, settingDifferences, MAX_SNAPSHOTS } from './compare.js';
+import { SWEEP_PARAMETERS, sweepValues, sweepMessages, sweepSeries } from './sweep.js';
 
 const state = {
-  archetype: 'blaster',
-  powerset: 'fire_blast',
-  secondaryPowerset: 'fire_manipulation',
+  // Archetype and powersets are filled in from the data manifests
+  archetype: null,
+  // Archetype entries of the data manifest
+  archetypes: [],
+  powerset: null,
+  secondaryPowerset: null,
+  archetypeIndex: null,
   level: 50,
   rechargeBonus: 85,
   tables: null,
   rawPowers: null,
   rawSecondaryPowers: null,
   parsedPowers: null,
+  // Toggles of both powersets for the endurance panel (see parseToggles)
+  toggles: [],
+  // Running toggles of a build being loaded, checked once its powersets load
+  buildToggles: null,
+  // Worker of the search in progress and the reject of its promise (see runWorker)
   worker: null,
-  disabledPowers: new Set(),
+  workerReject: null,
+  // Run, comparison or sweep in progress; it keeps all three run buttons disabled
+  run: null,
+  // Pool powers are opt-in
+  disabledPowers: new Set(poolPowerSlugs()),
+  // Per-power slotting overrides: slug -> { origin, accuracy, damage, recharge, endurance, pieces }
+  perPowerSlots: {},
+  // Damage/recharge set bonuses of the current slotting (see computeSetBonuses)
+  setBonuses: { damage: 0, recharge: 0, sets: [] },
+  // Last search's result with the inputs it ran with, for export (see export.js)
+  lastReport: null,
+  // Compare mode configurations: { message, inputs, settings }, the first the baseline
+  snapshots: [],
 };
 
-function formatPowersetName(slug) {
-  return slug.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+const EXPORTS = {
+  json: { render: exportJson, extension: 'json', type: 'application/json' },
+  csv: { render: exportCsv, extension: 'csv', type: 'text/csv' },
+  markdown: { render: exportMarkdown, extension: 'md', type: 'text/markdown' },
+};
+
+function fillSelect(select, options, selected) {
+  select.innerHTML = options
+    .map(o => `<option value="${o.slug}"${o.slug === selected ? ' selected' : ''}>${o.name}</option>`)
+    .join('');
+}
+
+function powersetsOfKind(kind) {
+  return state.archetypeIndex.powersets.filter(ps => ps.kind === kind);
+}
+
+function powersetLabels() {
+  const labels = [state.powerset, state.secondaryPowerset].map(slug => {
+    const entry = state.archetypeIndex.powersets.find(ps => ps.slug === slug);
+    return { slug, label: entry ? entry.name : slug };
+  });
+  return [...labels, POOL_POWERSET];
+}
+
+// Load an archetype's manifest and modifier tables, and populate the powerset selects.
+// Keeps the current powerset selections if the archetype offers them.
+async function loadArchetype(archetype) {
+  state.archetype = archetype;
+  state.archetypeIndex = await loadArchetypeIndex(archetype);
+  state.tables = await loadArchetypeTables(archetype);
+
+  const primaries = powersetsOfKind('primary');
+  const secondaries = powersetsOfKind('secondary');
+  if (!primaries.some(ps => ps.slug === state.powerset)) {
+    state.powerset = primaries[0] ? primaries[0].slug : null;
+  }
+  if (!secondaries.some(ps => ps.slug === state.secondaryPowerset)) {
+    state.secondaryPowerset = secondaries[0] ? secondaries[0].slug : null;
+  }
+
+  fillSelect(document.getElementById('powerset-select'), primaries, state.powerset);
+  fillSelect(document.getElementById('secondary-select'), secondaries, state.secondaryPowerset);
+}
+
+// Parse both selected powersets at the current level
+async function parseSelectedPowers() {
+  const primaryParsed = await parsePowers(
+    state.rawPowers, state.tables, state.archetype, state.powerset, state.level
+  );
+  const secondaryParsed = await parsePowers(
+    state.rawSecondaryPowers, state.tables, state.archetype, state.secondaryPowerset, state.level
+  );
+  primaryParsed.forEach(p => p.powersetSlug = state.powerset);
+  secondaryParsed.forEach(p => p.powersetSlug = state.secondaryPowerset);
+  state.parsedPowers = [...primaryParsed, ...secondaryParsed, ...createPoolPowers(state.level)];
+  state.toggles = [state.rawPowers, state.rawSecondaryPowers]
+    .flatMap(raw => parseToggles(raw, state.tables, state.level));
+}
+
+// Load and parse the selected powersets, then redraw the power list
+async function loadPowersets() {
+  const powerList = document.getElementById('power-list');
+  powerList.innerHTML = '<div class="loading">Loading power data...</div>';
+
+  state.rawPowers = await loadAllPowers(state.archetype, state.powerset);
+  state.rawSecondaryPowers = await loadAllPowers(state.archetype, state.secondaryPowerset);
+  await parseSelectedPowers();
+
+  // Disabled powers and slotting only make sense for the powersets they came from
+  const slugs = new Set(state.parsedPowers.map(p => p.slug));
+  for (const slug of state.disabledPowers) {
+    if (!slugs.has(slug)) state.disabledPowers.delete(slug);
+  }
+  for (const slug of Object.keys(state.perPowerSlots)) {
+    if (!slugs.has(slug)) delete state.perPowerSlots[slug];
+  }
+
+  renderPowers();
+  renderEnduranceToggles(state.toggles, state.buildToggles);
+  state.buildToggles = null;
+}
+
+// Apply the current slotting and redraw the power list; returns the enhanced powers
+function renderPowers() {
+  // The Alpha slot enhances every power along with the slotting
+  const enhConfig = { ...getEnhancementConfigFromUI(state.perPowerSlots), alpha: getIncarnateConfigFromUI().alpha };
+  // Set bonuses come from every slotted power, even ones left out of the search
+  state.setBonuses = computeSetBonuses(state.parsedPowers, enhConfig);
+  renderSetBonuses(state.setBonuses, state.parsedPowers);
+  const enhancedPowers = state.parsedPowers.map(p => applyEnhancements(p, enhConfig, state.setBonuses));
+  renderPowerList(
+    enhancedPowers,
+    document.getElementById('power-list'),
+    powersetLabels(),
+    state.disabledPowers,
+    enhConfig
+  );
+  return enhancedPowers;
+}
+
+// Reload data after a selection change, reporting failures in the power list
+async function reloadSelection(load) {
+  const runBtn = document.getElementById('run-btn');
+  runBtn.disabled = true;
+  try {
+    if (load) await load();
+    await loadPowersets();
+  } catch (err) {
+    console.error('Failed to load data:', err);
+    document.getElementById('power-list').innerHTML =
+      `<div class="error-msg">Failed to load power data: ${err && err.message || String(err)}</div>`;
+  } finally {
+    runBtn.disabled = state.run != null;
+  }
+}
+
+// Luck of the Gambler global recharge uniques slotted, up to the Rule of Five
+function lotgCount() {
+  const count = parseInt(document.getElementById('lotg-input').value, 10) || 0;
+  return Math.max(0, Math.min(GLOBAL_RECHARGE.limit, count));
+}
+
+// The current configuration as a build (see build-state.js)
+function currentBuild() {
+  const number = id => parseFloat(document.getElementById(id).value) || 0;
+  const resistPreset = document.getElementById('target-res-preset').value;
+  const resistance = getResistanceConfigFromUI();
+  const team = getTeamConfigFromUI();
+  const endurance = getEnduranceConfigFromUI(state.toggles);
+  const incarnate = getIncarnateConfigFromUI();
+  const percent = fraction => Math.round(fraction * 1000) / 10;
+  return {
+    archetype: state.archetype,
+    primary: state.powerset,
+    secondary: state.secondaryPowerset,
+    level: state.level,
+    inherent: getInherentFromUI() || '',
+    recharge: state.rechargeBonus,
+    lotg: lotgCount(),
+    latency: parseInt(document.getElementById('latency-slider').value, 10) || 0,
+    targets: parseInt(document.getElementById('targets-slider').value, 10) || 1,
+    rank: document.getElementById('target-rank-select').value,
+    targetLevel: parseInt(document.getElementById('target-level-select').value, 10) || 0,
+    defense: number('target-defense-input'),
+    toHit: number('tohit-bonus-input'),
+    resistPreset,
+    // Preset values come back with the preset; only Custom needs its own
+    ...(resistPreset === 'custom'
+      ? { resist: Object.fromEntries(Object.entries(resistance.resistances).map(([type, r]) => [type, percent(r)])) }
+      : {}),
+    resDebuff: number('target-res-debuff'),
+    damageBuff: number('external-dmg-input'),
+    team: document.getElementById('team-preset').value,
+    teamEffects: team.effects.map(e => ({ ...e, magnitude: percent(e.magnitude) })),
+    maxEnd: endurance.maxEndurance,
+    recovery: number('recovery-bonus-input'),
+    stamina: number('stamina-input'),
+    physicalPerfection: endurance.physicalPerfection,
+    toggles: endurance.toggles.map(t => t.slug),
+    fightLength: endurance.fightLength,
+    sustainableOnly: endurance.sustainableOnly,
+    alpha: incarnate.alpha,
+    hybrid: incarnate.hybrid ? incarnate.hybrid.branch : '',
+    interface: incarnate.interface || '',
+    judgement: incarnate.judgement || '',
+    lore: incarnate.lore || '',
+    destiny: incarnate.destiny || '',
+    slotting: getEnhancementConfigFromUI().global,
+    perPower: { ...state.perPowerSlots },
+    disabled: [...state.disabledPowers],
+  };
+}
+
+// Set the controls a build covers, short of loading its archetype and powersets.
+// Running toggles wait in state.buildToggles for the powersets' toggle list.
+// Returns the archetype to load: the build's if the data has it, else the current one.
+function applyBuildControls(build) {
+  const setInput = (id, value, event = 'input') => {
+    if (value == null) return;
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new Event(event));
+  };
+  setInput('level-input', build.level, 'change');
+  setInput('inherent-select', build.inherent, 'change');
+  setInput('recharge-slider', build.recharge);
+  setInput('lotg-input', build.lotg);
+  setInput('latency-slider', build.latency);
+  setInput('targets-slider', build.targets);
+  setInput('target-rank-select', build.rank, 'change');
+  setInput('target-level-select', build.targetLevel, 'change');
+  setInput('target-defense-input', build.defense);
+  setInput('tohit-bonus-input', build.toHit);
+  setInput('external-dmg-input', build.damageBuff);
+  setResistanceConfigInUI({ preset: build.resistPreset, debuff: build.resDebuff });
+  if (build.resist) setResistanceConfigInUI({ resistances: build.resist });
+  setTeamConfigInUI({ preset: build.team, effects: build.teamEffects });
+  setEnduranceConfigInUI(build);
+  if (build.toggles) state.buildToggles = build.toggles;
+  // A build with any incarnate field sets all of the slots (older links have none)
+  if (['alpha', 'hybrid', 'interface', 'judgement', 'lore', 'destiny'].some(slot => build[slot] != null)) {
+    setIncarnateConfigInUI(build);
+  }
+
+  if (build.primary) state.powerset = build.primary;
+  if (build.secondary) state.secondaryPowerset = build.secondary;
+  if (build.perPower) state.perPowerSlots = { ...build.perPower };
+  if (build.disabled) state.disabledPowers = new Set(build.disabled);
+  if (build.slotting) setEnhancementConfigInUI(build.slotting);
+
+  const known = state.archetypes.some(at => at.slug === build.archetype);
+  return known ? build.archetype : state.archetype;
+}
+
+async function applyBuild(build) {
+  const archetype = applyBuildControls(build);
+  document.getElementById('archetype-select').value = archetype;
+  await reloadSelection(() => loadArchetype(archetype));
+}
+
+// Load a Mids' Reborn build: its powers taken become the enabled ones, and anything the
+// import or the loaded data can't place is listed under the profile controls
+async function importMids(text) {
+  renderImportReport([]);
+  let imported;
+  try {
+    imported = await parseMidsBuild(text);
+  } catch (err) {
+    setProfileStatus(`Import failed: ${err.message}`, true);
+    return;
+  }
+  const { name, build, taken, unmapped, globalRecharge } = imported;
+  await applyBuild(build);
+  if (!state.parsedPowers) return;
+
+  const report = [...unmapped];
+  if (globalRecharge > 0) {
+    report.push(`Luck of the Gambler: ${build.lotg} unique(s), +${globalRecharge}% recharge on top of the global `
+      + `${state.rechargeBonus}%; lower that if it already counts them`);
+  }
+  if (build.archetype && build.archetype !== state.archetype) {
+    report.unshift(`Archetype ${build.archetype}: no power data, kept ${state.archetype}`);
+  }
+  for (const [field, current] of [['primary', state.powerset], ['secondary', state.secondaryPowerset]]) {
+    if (build[field] && build[field] !== current) report.unshift(`Powerset ${build[field]}: no power data, kept ${current}`);
+  }
+  const slugs = new Set(state.parsedPowers.map(p => p.slug));
+  state.disabledPowers = new Set([...slugs].filter(slug => !taken.includes(slug)));
+  for (const slug of taken.filter(slug => !slugs.has(slug))) {
+    report.push(`${slug}: not an attack or buff the search models`);
+  }
+  renderPowers();
+
+  if (name) document.getElementById('profile-name-input').value = name;
+  setProfileStatus(`Imported ${name ? `"${name}"` : 'Mids build'}${report.length > 0 ? `; ${report.length} item(s) not mapped` : ''}`);
+  renderImportReport(report);
+}
+
+function downloadFile(filename, text, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Export buttons over the results: downloads of the last search, and its Markdown on the clipboard
+function initExport() {
+  const status = document.getElementById('export-status');
+  document.querySelectorAll('#export-actions [data-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (!state.lastReport) return;
+      const format = EXPORTS[button.dataset.format];
+      const { archetype, primary, secondary } = state.lastReport.inputs;
+      downloadFile(`${[archetype, primary, secondary].join('-')}-chains.${format.extension}`,
+        format.render(state.lastReport), format.type);
+    });
+  });
+  document.getElementById('copy-markdown-btn').addEventListener('click', async () => {
+    if (!state.lastReport) return;
+    try {
+      await navigator.clipboard.writeText(exportMarkdown(state.lastReport));
+      status.textContent = 'Copied';
+    } catch (err) {
+      status.textContent = 'Could not copy; use Export Markdown';
+    }
+  });
+}
+
+// Saved profiles in localStorage, a JSON export/import of them, and the share link
+function initProfiles() {
+  const select = document.getElementById('profile-select');
+  const nameInput = document.getElementById('profile-name-input');
+  const importInput = document.getElementById('profile-import-input');
+  renderProfiles(loadProfiles(localStorage));
+
+  document.getElementById('profile-save-btn').addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      setProfileStatus('Enter a name for the profile', true);
+      return;
+    }
+    renderProfiles(saveProfiles(localStorage, { [name]: currentBuild() }), name);
+    setProfileStatus(`Saved "${name}"`);
+  });
+
+  document.getElementById('profile-load-btn').addEventListener('click', () => {
+    const name = select.value;
+    const build = loadProfiles(localStorage)[name];
+    if (!build) return;
+    nameInput.value = name;
+    applyBuild(build);
+    setProfileStatus(`Loaded "${name}"`);
+  });
+
+  document.getElementById('profile-delete-btn').addEventListener('click', () => {
+    const name = select.value;
+    if (!name) return;
+    renderProfiles(deleteProfile(localStorage, name));
+    setProfileStatus(`Deleted "${name}"`);
+  });
+
+  document.getElementById('profile-export-btn').addEventListener('click', () => {
+    downloadFile('coh-dps-profiles.json', exportProfiles(loadProfiles(localStorage)), 'application/json');
+  });
+
+  document.getElementById('profile-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    if (!file) return;
+    try {
+      const profiles = parseProfiles(await file.text());
+      renderProfiles(saveProfiles(localStorage, profiles), select.value);
+      setProfileStatus(`Imported ${Object.keys(profiles).length} profile(s)`);
+    } catch (err) {
+      setProfileStatus(`Import failed: ${err.message}`, true);
+    } finally {
+      importInput.value = '';
+    }
+  });
+
+  const midsText = document.getElementById('mids-text-input');
+  const midsFile = document.getElementById('mids-file-input');
+  document.getElementById('mids-paste-btn').addEventListener('click', () => importMids(midsText.value));
+  document.getElementById('mids-file-btn').addEventListener('click', () => midsFile.click());
+  midsFile.addEventListener('change', async () => {
+    const file = midsFile.files[0];
+    if (!file) return;
+    // Mids' old binary format (.mxd files, MxD chunks) isn't supported, only .mbd
+    if (/\.mxd$/i.test(file.name)) {
+      setProfileStatus("Import failed: .mxd files use Mids' old binary format, which isn't supported; save the build as .mbd and import that", true);
+    } else {
+      await importMids(await file.text());
+    }
+    midsFile.value = '';
+  });
+
+  document.getElementById('share-link-btn').addEventListener('click', async () => {
+    const hash = `#${encodeBuild(currentBuild())}`;
+    history.replaceState(null, '', hash);
+    try {
+      await navigator.clipboard.writeText(location.href);
+      setProfileStatus('Share link copied');
+    } catch (err) {
+      setProfileStatus('Could not copy; the link is in the address bar', true);
+    }
+  });
 }
 
 async function init() {
@@ -36,7 +428,7 @@ async function init() {
   const targetsDisplay = document.getElementById('targets-display');
 
   rechargeSlider.addEventListener('input', () => {
-    state.rechargeBonus = parseInt(rechargeSlider.value, 10);
+    state.rechargeBonus = parseFloat(rechargeSlider.value) || 0;
     rechargeDisplay.textContent = `${state.rechargeBonus}%`;
   });
 
@@ -54,9 +446,54 @@ async function init() {
   });
 
   runBtn.addEventListener('click', () => runOptimizer());
+  document.getElementById('snapshot-add-btn').addEventListener('click', () => addSnapshot());
+  document.getElementById('compare-run-btn').addEventListener('click', () => runComparison());
+  document.getElementById('sweep-run-btn').addEventListener('click', () => runSweep());
+  document.getElementById('snapshot-clear-btn').addEventListener('click', () => {
+    state.snapshots = [];
+    renderSnapshotList();
+  });
+
+  const archetypeSelect = document.getElementById('archetype-select');
+  const powersetSelect = document.getElementById('powerset-select');
+  const secondarySelect = document.getElementById('secondary-select');
 
-  // Enhancement controls (no-op onChange during init; just sets up listeners)
-  initEnhancementControls(() => {});
+  archetypeSelect.addEventListener('change', () => {
+    reloadSelection(() => loadArchetype(archetypeSelect.value));
+  });
+
+  powersetSelect.addEventListener('change', () => {
+    state.powerset = powersetSelect.value;
+    reloadSelection();
+  });
+
+  secondarySelect.addEventListener('change', () => {
+    state.secondaryPowerset = secondarySelect.value;
+    reloadSelection();
+  });
+
+  // Enhancement controls: powers without an override follow the global preset
+  initEnhancementControls(() => {
+    if (state.parsedPowers) renderPowers();
+  });
+
+  initInherentControls();
+  initResistanceControls();
+  initSweepControls();
+  initTeamControls();
+  initIncarnateControls(() => {
+    if (state.parsedPowers) renderPowers();
+  });
+
+  // Per-power slotting overrides from the power list editors
+  setPowerSlotCallback((slug, config) => {
+    if (config) {
+      state.perPowerSlots[slug] = config;
+    } else {
+      delete state.perPowerSlots[slug];
+    }
+    renderPowers();
+  });
 
   // Power toggle callback
   setPowerToggleCallback((slug, enabled) => {
@@ -67,48 +504,25 @@ async function init() {
     }
   });
 
-  // Load data
-  try {
-    state.tables = await loadArchetypeTables(state.archetype);
-    state.rawPowers = await loadAllPowers(state.archetype, state.powerset);
-    state.rawSecondaryPowers = await loadAllPowers(state.archetype, state.secondaryPowerset);
-
-    const primaryParsed = await parsePowers(
-      state.rawPowers, state.tables, state.archetype, state.powerset, state.level
-    );
-    const secondaryParsed = await parsePowers(
-      state.rawSecondaryPowers, state.tables, state.archetype, state.secondaryPowerset, state.level
-    );
-    primaryParsed.forEach(p => p.powersetSlug = state.powerset);
-    secondaryParsed.forEach(p => p.powersetSlug = state.secondaryPowerset);
-    state.parsedPowers = [...primaryParsed, ...secondaryParsed];
-
-    renderPowerList(
-      state.parsedPowers,
-      document.getElementById('power-list'),
-      [
-        { slug: state.powerset, label: formatPowersetName(state.powerset) },
-        { slug: state.secondaryPowerset, label: formatPowersetName(state.secondaryPowerset) },
-      ],
-      state.disabledPowers
-    );
-
-    // Validate Flares damage
-    const flares = state.parsedPowers.find(p => p.slug === 'flares');
-    if (flares) {
-      console.log(`Flares L${state.level} damage: ${flares.totalDamage.toFixed(2)} (expected ~63.19)`);
-      console.log(`Flares ArcanaTime: ${flares.arcanaTime.toFixed(3)}s (expected 1.188s)`);
-    }
+  initProfiles();
+  initExport();
 
-    // Validate Aim buff parsing
-    const aim = state.parsedPowers.find(p => p.slug === 'aim');
-    if (aim) {
-      const dmgBuff = (aim.buffs || []).find(b => {
-        const t = b.table.toLowerCase();
-        return t !== 'ranged_ones' && t !== 'melee_ones';
-      });
-      console.log(`Aim isBuff: ${aim.isBuff}, buffs: ${aim.buffs.length}, dmg buff: +${dmgBuff ? (dmgBuff.resolvedScale * 100).toFixed(1) : '?'}% (expected +62.5%)`);
-    }
+  // A pasted share link replaces the configuration
+  window.addEventListener('hashchange', () => {
+    const build = decodeBuild(location.hash);
+    if (build) applyBuild(build);
+  });
+
+  // Load data, starting from the build in the URL hash if there is one
+  try {
+    const dataIndex = await loadDataIndex();
+    state.archetypes = dataIndex.archetypes;
+    state.archetype = dataIndex.archetypes[0].slug;
+    const build = decodeBuild(location.hash);
+    const archetype = build ? applyBuildControls(build) : state.archetype;
+    fillSelect(archetypeSelect, dataIndex.archetypes, archetype);
+    await loadArchetype(archetype);
+    await loadPowersets();
   } catch (err) {
     console.error('Failed to load data:', err);
     document.getElementById('power-list').innerHTML =
@@ -116,107 +530,295 @@ async function init() {
   }
 }
 
-async function runOptimizer() {
-  const runBtn = document.getElementById('run-btn');
-  const resultsContent = document.getElementById('results-content');
-
-  runBtn.disabled = true;
-  runBtn.textContent = 'Calculating...';
-  resultsContent.innerHTML = '<p class="loading">Finding optimal attack chains...</p>';
-
+// Worker message for the current configuration, and the inputs to record with its results
+async function collectRunConfig() {
   // Re-parse powers at current level
-  const primaryParsed = await parsePowers(
-    state.rawPowers, state.tables, state.archetype, state.powerset, state.level
-  );
-  const secondaryParsed = await parsePowers(
-    state.rawSecondaryPowers, state.tables, state.archetype, state.secondaryPowerset, state.level
-  );
-  primaryParsed.forEach(p => p.powersetSlug = state.powerset);
-  secondaryParsed.forEach(p => p.powersetSlug = state.secondaryPowerset);
-  state.parsedPowers = [...primaryParsed, ...secondaryParsed];
+  await parseSelectedPowers();
 
-  // Apply enhancements to parsed powers
-  const enhConfig = getEnhancementConfigFromUI();
-  const enhancedPowers = state.parsedPowers.map(p => applyEnhancements(p, enhConfig));
-
-  renderPowerList(
-    enhancedPowers,
-    document.getElementById('power-list'),
-    [
-      { slug: state.powerset, label: formatPowersetName(state.powerset) },
-      { slug: state.secondaryPowerset, label: formatPowersetName(state.secondaryPowerset) },
-    ],
-    state.disabledPowers
-  );
+  // Apply global and per-power enhancements to parsed powers
+  const enhancedPowers = renderPowers();
 
   // Filter out disabled powers before sending to worker
   const attackPowers = enhancedPowers.filter(p => !p.isBuff && !state.disabledPowers.has(p.slug));
   const buffPowers = enhancedPowers.filter(p => p.isBuff && !state.disabledPowers.has(p.slug));
 
-  // Terminate any existing worker
-  if (state.worker) {
-    state.worker.terminate();
-    state.worker = null;
-  }
+  // Read activation latency (ms -> seconds)
+  const latencyMs = parseInt(document.getElementById('latency-slider').value, 10) || 0;
+  const latencySec = latencyMs / 1000;
 
-  // Run optimizer in a Web Worker
-  const worker = new Worker('js/optimizer-worker.js');
-  state.worker = worker;
+  // Read number of targets for AoE optimization
+  const numTargets = parseInt(document.getElementById('targets-slider').value, 10) || 1;
 
-  worker.onmessage = (e) => {
-    const msg = e.data;
+  // Target rank and level drive the purple patch for damage and accuracy
+  const target = {
+    rank: document.getElementById('target-rank-select').value,
+    levelOffset: parseInt(document.getElementById('target-level-select').value, 10) || 0,
+    playerLevel: state.level,
+  };
 
-    if (msg.type === 'progress') {
-      const passPrefix = msg.pass ? `${msg.pass}: ` : '';
-      const progressText = msg.skipped
-        ? `${passPrefix}Chain length ${msg.length}: ${msg.reason}`
-        : `${passPrefix}Chain length ${msg.length}: ${msg.checked?.toLocaleString() || 0} / ${msg.totalCombos?.toLocaleString() || '?'} checked${msg.bestDps ? ` (best: ${msg.bestDps.toFixed(1)} DPS)` : ''}`;
-      resultsContent.innerHTML = `<p class="loading">${progressText}</p>`;
-    }
+  // Target for the hit chance model (percent inputs -> fractions)
+  const hit = {
+    defense: (parseFloat(document.getElementById('target-defense-input').value) || 0) / 100,
+    toHitBonus: (parseFloat(document.getElementById('tohit-bonus-input').value) || 0) / 100,
+  };
 
-    if (msg.type === 'result') {
-      renderResults({ rangedChains: msg.rangedChains, hybridChains: msg.hybridChains, aoeChains: msg.aoeChains, numTargets: msg.numTargets }, resultsContent);
-      runBtn.disabled = false;
-      runBtn.textContent = 'Find Optimal Chain';
-      worker.terminate();
-      state.worker = null;
-    }
+  const enhConfig = getEnhancementConfigFromUI(state.perPowerSlots);
+  const lotgRecharge = lotgCount() * GLOBAL_RECHARGE.recharge;
+  const inputs = {
+    archetype: state.archetype,
+    primary: state.powerset,
+    secondary: state.secondaryPowerset,
+    level: state.level,
+    inherent: getInherentFromUI(),
+    rechargeBonus: state.rechargeBonus,
+    lotgRecharge,
+    latencyMs,
+    numTargets,
+    hit,
+    slotConfig: { ...enhConfig, alpha: getIncarnateConfigFromUI().alpha },
+    setBonuses: state.setBonuses,
+    disabledPowers: [...state.disabledPowers],
+  };
 
-    if (msg.type === 'error') {
-      console.error('Worker error:', msg.message);
-      resultsContent.innerHTML =
-        `<div class="error-msg">Optimization failed: ${msg.message}</div>`;
-      runBtn.disabled = false;
-      runBtn.textContent = 'Find Optimal Chain';
-      worker.terminate();
+  // Powers data for the worker (serializable plain objects)
+  const message = {
+    powers: attackPowers,
+    buffPowers,
+    // Luck of the Gambler uniques and recharge set bonuses add to the global recharge slider
+    rechargeReduction: state.rechargeBonus + lotgRecharge + state.setBonuses.recharge,
+    activationLatency: latencySec,
+    numTargets,
+    inherent: { archetype: state.archetype, id: getInherentFromUI() },
+    target,
+    resistance: getResistanceConfigFromUI(),
+    // External damage buffs (team buffs); the cap follows the archetype
+    damage: { buff: (parseFloat(document.getElementById('external-dmg-input').value) || 0) / 100 },
+    team: getTeamConfigFromUI(),
+    endurance: getEnduranceConfigFromUI(state.toggles),
+    incarnate: getIncarnateConfigFromUI(),
+    hit,
+  };
+  return { message, inputs };
+}
+
+function progressText(msg) {
+  const passPrefix = msg.pass ? `${msg.pass}: ` : '';
+  return msg.skipped
+    ? `${passPrefix}Chain length ${msg.length}: ${msg.reason}`
+    : `${passPrefix}Chain length ${msg.length}: ${msg.searched?.toLocaleString() || 0} prefixes searched, `
+      + `${msg.checked?.toLocaleString() || 0} chains simulated${msg.bestDps ? ` (best: ${msg.bestDps.toFixed(1)} DPS)` : ''}`;
+}
+
+// Run the optimizer in a Web Worker, ending any run still going (its promise rejects
+// with a cancelled error). Resolves with the result message; rejects on the worker's
+// error message or a crash.
+function runWorker(message, onProgress) {
+  if (state.worker) {
+    state.workerReject(Object.assign(new Error('Cancelled by a newer run'), { cancelled: true }));
+    state.worker.terminate();
+  }
+  const worker = new Worker('js/optimizer-worker.js', { type: 'module' });
+  state.worker = worker;
+  const finish = () => {
+    worker.terminate();
+    if (state.worker === worker) {
       state.worker = null;
+      state.workerReject = null;
     }
   };
 
-  worker.onerror = (e) => {
-    console.error('Worker crashed:', e);
-    resultsContent.innerHTML =
-      `<div class="error-msg">Optimization failed: ${e.message || 'Worker crashed'}</div>`;
-    runBtn.disabled = false;
-    runBtn.textContent = 'Find Optimal Chain';
-    state.worker = null;
-  };
+  return new Promise((resolve, reject) => {
+    state.workerReject = reject;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') onProgress(msg);
+      if (msg.type === 'result') {
+        finish();
+        resolve(msg);
+      }
+      if (msg.type === 'error') {
+        finish();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'Worker crashed'));
+    };
+    worker.postMessage(message);
+  });
+}
 
-  // Read activation latency (ms -> seconds)
-  const latencyMs = parseInt(document.getElementById('latency-slider').value, 10) || 0;
-  const latencySec = latencyMs / 1000;
+// Start a run, comparison or sweep: it owns the run buttons until endRun, unless a newer
+// one starts first
+function startRun() {
+  const run = {};
+  state.run = run;
+  updateRunButtons();
+  return run;
+}
 
-  // Read number of targets for AoE optimization
-  const numTargets = parseInt(document.getElementById('targets-slider').value, 10) || 1;
+// Whether run still owns the run buttons; if so they come back
+function endRun(run) {
+  if (state.run !== run) return false;
+  state.run = null;
+  updateRunButtons();
+  return true;
+}
 
-  // Send powers data to worker (serializable plain objects)
-  worker.postMessage({
-    powers: attackPowers,
-    buffPowers,
-    rechargeReduction: state.rechargeBonus,
-    activationLatency: latencySec,
-    numTargets,
+function updateRunButtons() {
+  document.getElementById('run-btn').disabled = state.run != null;
+  document.getElementById('sweep-run-btn').disabled = state.run != null;
+  renderSnapshotList();
+}
+
+async function runOptimizer() {
+  const runBtn = document.getElementById('run-btn');
+  const resultsContent = document.getElementById('results-content');
+
+  const run = startRun();
+  runBtn.textContent = 'Calculating...';
+  state.lastReport = null;
+  document.getElementById('export-actions').hidden = true;
+  document.getElementById('export-status').textContent = '';
+  resultsContent.innerHTML = '<p class="loading">Finding optimal attack chains...</p>';
+
+  try {
+    const { message, inputs } = await collectRunConfig();
+    // Keep the URL a link back to this run's configuration
+    history.replaceState(null, '', `#${encodeBuild(currentBuild())}`);
+
+    const msg = await runWorker(message, progress => {
+      resultsContent.innerHTML = `<p class="loading">${progressText(progress)}</p>`;
+    });
+    state.lastReport = {
+      // The resolved target, resistance, team and incarnates, as the CLI exports them
+      inputs: {
+        ...inputs,
+        target: msg.target,
+        resistance: msg.resistance,
+        damage: msg.damageModel,
+        team: msg.team,
+        endurance: msg.endurance,
+        incarnate: msg.incarnate,
+      },
+      numTargets: msg.numTargets,
+      rangedChains: msg.rangedChains,
+      hybridChains: msg.hybridChains,
+      aoeChains: msg.aoeChains,
+    };
+    document.getElementById('export-actions').hidden = false;
+    renderResults({ rangedChains: msg.rangedChains, hybridChains: msg.hybridChains, aoeChains: msg.aoeChains, numTargets: msg.numTargets, target: msg.target }, resultsContent);
+  } catch (err) {
+    if (err.cancelled) return;
+    console.error('Optimization failed:', err);
+    resultsContent.innerHTML = `<div class="error-msg">Optimization failed: ${err.message}</div>`;
+  } finally {
+    if (endRun(run)) runBtn.textContent = 'Find Optimal Chain';
+  }
+}
+
+// Snapshot the current configuration for compare mode
+async function addSnapshot() {
+  if (state.snapshots.length >= MAX_SNAPSHOTS) return;
+  const { message, inputs } = await collectRunConfig();
+  // What the comparison lists when snapshots differ: the inputs and the raw panel settings
+  const settings = {
+    ...inputs,
+    resistance: message.resistance,
+    damage: message.damage,
+    team: message.team,
+    endurance: { ...message.endurance, toggles: message.endurance.toggles.map(t => t.name) },
+    incarnate: message.incarnate,
+  };
+  delete settings.setBonuses;
+  state.snapshots.push({ message, inputs, settings });
+  renderSnapshotList();
+}
+
+function renderSnapshotList() {
+  renderSnapshots(state.snapshots.map(s => s.inputs), index => {
+    state.snapshots.splice(index, 1);
+    renderSnapshotList();
   });
+  if (state.run) document.getElementById('compare-run-btn').disabled = true;
+}
+
+// Run every snapshot in turn and show their best chains side by side
+async function runComparison() {
+  const snapshots = state.snapshots;
+  if (snapshots.length < 2) return;
+  const resultsContent = document.getElementById('results-content');
+
+  const run = startRun();
+  state.lastReport = null;
+  document.getElementById('export-actions').hidden = true;
+
+  const labels = snapshots.map((_, i) => snapshotLabel(i));
+  const results = [];
+  try {
+    for (const [i, snapshot] of snapshots.entries()) {
+      results.push(await runWorker(snapshot.message, progress => {
+        resultsContent.innerHTML = `<p class="loading">Config ${labels[i]} (${i + 1}/${snapshots.length}): ${progressText(progress)}</p>`;
+      }));
+    }
+    renderComparison({
+      labels,
+      differences: settingDifferences(snapshots.map(s => s.settings)),
+      rows: compareResults(results),
+    }, resultsContent);
+  } catch (err) {
+    if (err.cancelled) return;
+    console.error('Comparison failed:', err);
+    resultsContent.innerHTML = `<div class="error-msg">Comparison failed: ${err.message}</div>`;
+  } finally {
+    endRun(run);
+  }
+}
+
+// Run the search at each value of the sweep, charting the best chain as points arrive
+async function runSweep() {
+  const sweep = getSweepConfigFromUI();
+  const { label, unit } = SWEEP_PARAMETERS[sweep.parameter];
+  const resultsContent = document.getElementById('results-content');
+
+  let values;
+  try {
+    values = sweepValues(sweep.parameter, sweep.from, sweep.to, sweep.step);
+  } catch (err) {
+    resultsContent.innerHTML = `<div class="error-msg">${err.message}</div>`;
+    return;
+  }
+
+  const run = startRun();
+  state.lastReport = null;
+  document.getElementById('export-actions').hidden = true;
+  resultsContent.innerHTML = '<p class="loading">Starting sweep...</p>';
+
+  const results = [];
+  const render = status => renderSweep({
+    ...sweep,
+    ...sweepSeries(sweep.pass, values.slice(0, results.length), results),
+  }, resultsContent, status);
+  try {
+    const { message, inputs } = await collectRunConfig();
+    const messages = sweepMessages(sweep.parameter, sweep.pass, message, inputs, values);
+    for (const [i, sweepMessage] of messages.entries()) {
+      const point = `${label} ${values[i]}${unit} (${i + 1}/${values.length})`;
+      render(point);
+      results.push(await runWorker(sweepMessage, progress => {
+        const status = document.getElementById('sweep-status');
+        if (status) status.textContent = `${point}: ${progressText(progress)}`;
+      }));
+    }
+    render();
+  } catch (err) {
+    if (err.cancelled) return;
+    console.error('Sweep failed:', err);
+    resultsContent.innerHTML = `<div class="error-msg">Sweep failed: ${err.message}</div>`;
+  } finally {
+    endRun(run);
+  }
 }
 
 init();
@@ -0,0 +1,205 @@
+// Mids' Reborn build import
+//
+// Reads a Mids' Reborn build, either the .mbd JSON or the data chunk its share menu
+// copies ("|MBD;size;compressed;encoded;BASE64;|" then the zlib-compressed JSON), into
+// a build for build-state.js. Names map through Mids' internal ones: "Class_Blaster"
+// is blaster, "Blaster_Ranged.Fire_Blast.Blaze" is blaze in fire_blast. Set pieces
+// are "<Prefix>_<Set_Name>_<letter>", the letter being the piece's place in its set.
+// Anything without a counterpart here is listed in `unmapped`, never guessed at.
+
+import { getEnhancementSet } from './enhancement-sets.js';
+
+// Origin prefixes of generic enhancement uids
+const SO_ORIGINS = ['magic', 'mutation', 'natural', 'science', 'technology'];
+const IO_PREFIX = 'crafted';
+// Uid prefixes ahead of a set name; attuned pieces match level 50 IOs
+const PIECE_PREFIXES = ['superior_attuned_', 'attuned_', 'crafted_'];
+const GENERIC_ASPECTS = {
+  accuracy: /^acc(uracy)?$/,
+  damage: /^(damage|dmg)$/,
+  recharge: /^(recharge|rechg|rech|recharge_reduction)$/,
+  endurance: /^(endrdx|endurance|endurance_reduction)$/,
+};
+// Luck of the Gambler's global recharge piece (the sixth): +7.5% each, five at most (Rule of Five).
+// Its set isn't in the catalog; the build counts these as lotg instead.
+export const GLOBAL_RECHARGE = { set: 'luck_of_the_gambler', piece: 5, recharge: 7.5, limit: 5 };
+// Powers every character has (Brawl, Sprint, Rest, Fitness); nothing to report
+const INHERENT_GROUP = 'inherent';
+// Data chunk formats: MBD holds the .mbd JSON; MxD is Mids' older binary format (also
+// its .mxd files), which isn't supported
+const CHUNK_HEADER = /^(\w+);(\d+);(\d+);(\d+);(BASE64|HEX);/i;
+
+const slugOf = name => String(name).toLowerCase();
+const lastPart = name => slugOf(String(name).split('.').pop());
+
+// Parsed build JSON from .mbd text or a data chunk. Throws when it's neither.
+export async function readMidsText(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('{')) return parseBuildJson(trimmed);
+
+  // Chunks come wrapped in "|" borders and dashed rules, neither of which base64 or hex use
+  const chunk = trimmed.replace(/[|\s-]/g, '');
+  const header = chunk.match(CHUNK_HEADER);
+  if (!header) throw new Error('Not a Mids build file or data chunk');
+  const [, format, size, compressedSize, , encoding] = header;
+  if (format.toUpperCase() !== 'MBD') {
+    throw new Error(`${format} data chunks use Mids' old binary format, which isn't supported; save the build as .mbd and import that`);
+  }
+
+  const payload = chunk.slice(header[0].length);
+  let bytes;
+  try {
+    bytes = encoding.toUpperCase() === 'HEX'
+      ? Uint8Array.from(payload.match(/../g) || [], pair => parseInt(pair, 16))
+      : Uint8Array.from(atob(payload), c => c.charCodeAt(0));
+  } catch (e) {
+    throw new Error('Data chunk is damaged: it does not decode');
+  }
+  if (Number(compressedSize) !== Number(size)) bytes = await inflate(bytes);
+  return parseBuildJson(new TextDecoder().decode(bytes));
+}
+
+function parseBuildJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('Mids build is not valid JSON');
+  }
+}
+
+// zlib stream, falling back to raw deflate
+async function inflate(bytes) {
+  for (const format of ['deflate', 'deflate-raw']) {
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (e) {
+      continue;
+    }
+  }
+  throw new Error('Data chunk is damaged: it does not decompress');
+}
+
+// Enhancement uid -> { generic: { origin, aspect } } | { piece: { set, piece } }
+// | { globalRecharge: true } | { unknownSet } | { unknownPiece: { set, letter } } | null
+function classifyEnhancement(uid) {
+  const lower = slugOf(uid);
+  const [prefix, ...rest] = lower.split('_');
+  const suffix = rest.join('_');
+  if (prefix === IO_PREFIX || SO_ORIGINS.includes(prefix)) {
+    const aspect = Object.keys(GENERIC_ASPECTS).find(a => GENERIC_ASPECTS[a].test(suffix));
+    if (aspect) return { generic: { origin: prefix === IO_PREFIX ? 'io' : 'so', aspect } };
+  }
+
+  const piecePrefix = PIECE_PREFIXES.find(p => lower.startsWith(p));
+  const match = piecePrefix && lower.slice(piecePrefix.length).match(/^(.+)_([a-z])$/);
+  if (!match) return null;
+  const [, setName, letter] = match;
+  const index = letter.charCodeAt(0) - 'a'.charCodeAt(0);
+  if (setName === GLOBAL_RECHARGE.set && index === GLOBAL_RECHARGE.piece) return { globalRecharge: true };
+  // Superior sets keep "Superior_" in the set name after the prefix, like the catalog ids
+  const set = getEnhancementSet(setName);
+  if (!set) return { unknownSet: setName };
+  const piece = set.pieces.find((p, i) => (p.position ?? i) === index);
+  if (!piece) return { unknownPiece: { set: set.name, letter: letter.toUpperCase() } };
+  return { piece: { set: set.id, piece: piece.id } };
+}
+
+// Slot config for one power entry, reporting what it leaves out
+function slotConfigOf(entry, powerName, unmapped) {
+  const counts = { so: {}, io: {} };
+  const pieces = [];
+  let globalRecharge = 0;
+  const unknownSets = new Set();
+  for (const slot of entry.SlotEntries || []) {
+    const enhancement = slot && slot.Enhancement;
+    if (!enhancement || !enhancement.Uid) continue;
+    const kind = classifyEnhancement(enhancement.Uid);
+    if (!kind) {
+      unmapped.push(`${powerName}: enhancement ${enhancement.Uid}`);
+    } else if (kind.generic) {
+      const { origin, aspect } = kind.generic;
+      counts[origin][aspect] = (counts[origin][aspect] || 0) + 1;
+    } else if (kind.piece) {
+      pieces.push(kind.piece);
+    } else if (kind.globalRecharge) {
+      globalRecharge++;
+    } else if (kind.unknownPiece) {
+      const { set, letter } = kind.unknownPiece;
+      unmapped.push(`${powerName}: ${set} piece ${letter} (piece not in the catalog)`);
+    } else {
+      unknownSets.add(kind.unknownSet);
+    }
+  }
+  for (const set of unknownSets) {
+    unmapped.push(`${powerName}: ${set} set pieces (set not in the catalog; its bonuses aren't counted)`);
+  }
+
+  // A slot config holds one origin: keep the one with more enhancements
+  const total = origin => Object.values(counts[origin]).reduce((sum, n) => sum + n, 0);
+  const origin = total('io') >= total('so') ? 'io' : 'so';
+  const other = origin === 'io' ? 'so' : 'io';
+  if (total(other) > 0) {
+    unmapped.push(`${powerName}: ${total(other)} ${other.toUpperCase()}(s) counted as ${origin.toUpperCase()}s`);
+  }
+  const count = aspect => (counts.so[aspect] || 0) + (counts.io[aspect] || 0);
+  const config = {
+    origin,
+    accuracy: count('accuracy'),
+    damage: count('damage'),
+    recharge: count('recharge'),
+    endurance: count('endurance'),
+    pieces,
+  };
+  return { config, globalRecharge };
+}
+
+// Build (see build-state.js) from parsed Mids JSON. Returns
+// { name, build, taken, unmapped, globalRecharge }: taken is the slugs of every power
+// picked in the build, which the caller turns into disabled powers once it knows which
+// powers the data has. The build's lotg counts its Luck of the Gambler uniques (up to the
+// Rule of Five), globalRecharge being the recharge percent they give; it carries no
+// recharge of its own, so importing keeps the current global recharge, which the
+// uniques add to. Catalog set bonuses come back from the per-power slotting.
+export function importMidsBuild(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.PowerEntries)) {
+    throw new Error('Not a Mids build: it has no power entries');
+  }
+  const unmapped = [];
+  const build = {};
+
+  if (data.Class) build.archetype = slugOf(data.Class).replace(/^class_/, '');
+  const [primary, secondary] = data.PowerSets || [];
+  if (primary) build.primary = lastPart(primary);
+  if (secondary) build.secondary = lastPart(secondary);
+  const level = parseInt(data.Level, 10);
+  if (level >= 1) build.level = Math.min(50, level);
+
+  const taken = [];
+  const perPower = {};
+  let lotgCount = 0;
+  for (const entry of data.PowerEntries) {
+    if (!entry || !entry.PowerName) continue;
+    const parts = entry.PowerName.split('.');
+    if (slugOf(parts[0]) === INHERENT_GROUP) continue;
+    if (parts.length !== 3) {
+      unmapped.push(`${entry.PowerName}: unrecognized power name`);
+      continue;
+    }
+    const slug = lastPart(entry.PowerName);
+    const { config, globalRecharge } = slotConfigOf(entry, entry.PowerName, unmapped);
+    taken.push(slug);
+    perPower[slug] = config;
+    lotgCount += globalRecharge;
+  }
+  build.perPower = perPower;
+  build.lotg = Math.min(lotgCount, GLOBAL_RECHARGE.limit);
+  const globalRecharge = build.lotg * GLOBAL_RECHARGE.recharge;
+
+  return { name: data.Name || null, build, taken, unmapped, globalRecharge };
+}
+
+// importMidsBuild on .mbd text or a data chunk
+export async function parseMidsBuild(text) {
+  return importMidsBuild(await readMidsText(text));
+}
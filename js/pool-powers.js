@@ -0,0 +1,51 @@
+// Power pool buffs any build can take, shaped like parsed buff powers (power-parser.js).
+// The bundled data only covers archetype powersets, so pool powers are defined here.
+//
+// rechargeBuffs: [{ scale, duration }] is a global recharge buff while it runs; the
+// buff overlay fires it on cooldown so its uptime, not perma uptime, is what counts.
+
+import { arcanaTime } from './arcanatime.js';
+
+export const POOL_POWERSET = { slug: 'pool', label: 'Pool Powers' };
+
+const POOL_POWERS = [
+  {
+    slug: 'hasten',
+    name: 'Hasten',
+    pool: 'Speed',
+    availableLevel: 4,
+    castTime: 1.17,
+    rechargeTime: 450,
+    enduranceCost: 2.6,
+    rechargeBuff: { scale: 0.7, duration: 120 },
+  },
+];
+
+export function poolPowerSlugs() {
+  return POOL_POWERS.map(p => p.slug);
+}
+
+// Pool powers available at `level`
+export function createPoolPowers(level = 50) {
+  return POOL_POWERS.filter(p => p.availableLevel <= level).map(p => ({
+    slug: p.slug,
+    name: p.name,
+    pool: p.pool,
+    powersetSlug: POOL_POWERSET.slug,
+    availableLevel: p.availableLevel,
+    castTime: p.castTime,
+    arcanaTime: arcanaTime(p.castTime),
+    rechargeTime: p.rechargeTime,
+    enduranceCost: p.enduranceCost,
+    effectArea: 'SingleTarget',
+    totalDamage: 0,
+    damageComponents: [],
+    dpa: 0,
+    buffs: [],
+    toHitBuffs: [],
+    rechargeBuffs: [p.rechargeBuff],
+    isBuff: true,
+    allowedBoosts: ['Enhance Recharge Speed', 'Reduce Endurance Cost'],
+    allowedSetCategories: [],
+  }));
+}
@@ -31,11 +31,46 @@ export async function parsePowers(rawPowers, tables, archetype, powerset, level)
   return powers;
 }
 
+// Parse the toggles parsePowers skips (Blazing Aura, Hot Feet) for the endurance
+// model: { slug, name, availableLevel, endPerSecond, recovery } with recovery as the
+// self +Recovery the toggle grants (Blaster Sustain), 0.5 = +50%.
+export function parseToggles(rawPowers, tables, level) {
+  const levelIndex = level - 1;
+  const toggles = [];
+  for (const [slug, data] of Object.entries(rawPowers)) {
+    if (data.type !== 'Toggle') continue;
+    const period = data.activate_period || 0;
+    toggles.push({
+      slug,
+      name: data.display_name || data.name || slug,
+      availableLevel: data.available_level || 1,
+      endPerSecond: period > 0 ? (data.endurance_cost || 0) / period : 0,
+      recovery: sumSelfEffect(data, tables.named_tables, levelIndex, 'Recovery', 'Current'),
+    });
+  }
+  return toggles;
+}
+
+// Sum of resolved self `attrib` effects with `aspect` over a power's effects and
+// activation (per-tick) effects, e.g. Consume's +Endurance
+function sumSelfEffect(powerData, namedTables, levelIndex, attrib, aspect) {
+  let total = 0;
+  for (const effect of [...(powerData.effects || []), ...(powerData.activation_effects || [])]) {
+    if (effect.is_pvp === 'PVP') continue;
+    for (const tpl of (effect.templates || [])) {
+      if (!(tpl.attribs || []).includes(attrib) || tpl.aspect !== aspect || tpl.target !== 'Self') continue;
+      const tableValues = namedTables[tableNameToKey(tpl.table || '')];
+      total += tableValues ? (tpl.scale || 0) * Math.abs(tableValues[levelIndex]) : (tpl.scale || 0);
+    }
+  }
+  return total;
+}
+
 async function parseSinglePower(slug, data, namedTables, levelIndex, archetype, powerset) {
   // Skip toggle powers (always-on auras like Blazing Aura, Hot Feet)
   if (data.type === 'Toggle') return null;
 
-  const redirects = getRedirectSlugs(slug);
+  const redirects = await getRedirectSlugs(archetype, powerset, slug);
   let damageData = data;
   let castTime = data.activation_time || 0;
   let isRedirected = false;
@@ -55,9 +90,9 @@ async function parseSinglePower(slug, data, namedTables, levelIndex, archetype,
     }
   }
 
-  // Handle Rain of Fire (entity-spawned damage)
+  // Handle entity-spawned damage (Rain of Fire, Ice Storm, etc.)
   if (redirects && redirects.pet) {
-    return await parseRainOfFire(slug, data, namedTables, levelIndex, archetype, powerset, redirects.pet);
+    return await parsePetDamage(slug, data, namedTables, levelIndex, archetype, powerset, redirects.pet);
   }
 
   // Extract PvE damage from effects
@@ -66,6 +101,7 @@ async function parseSinglePower(slug, data, namedTables, levelIndex, archetype,
 
   // Extract all buff effects (Defiance from attacks, click buffs from Aim/Build Up)
   const buffs = extractBuffs(data, namedTables, levelIndex);
+  const toHitBuffs = extractToHitBuffs(data, namedTables, levelIndex);
 
   // Backward-compat: populate defiance field from the first Defiance-style buff
   // Defiance buffs use Ranged_Ones table (scale IS the percentage)
@@ -90,41 +126,69 @@ async function parseSinglePower(slug, data, namedTables, levelIndex, archetype,
     enduranceCost: data.endurance_cost || 0,
     range: data.range || 0,
     effectArea: data.effect_area || 'SingleTarget',
+    radius: data.radius || 0,
+    // Cone arc in degrees (power JSON stores radians)
+    arc: (data.arc || 0) * 180 / Math.PI,
     totalDamage,
     damageComponents,
     dpa: totalDamage / at,
     defiance,
     buffs,
+    toHitBuffs,
     isBuff,
     isMelee,
     isRedirected,
+    // Endurance the power returns to the caster per activation (Consume)
+    enduranceGain: sumSelfEffect(data, namedTables, levelIndex, 'Endurance', 'Absolute'),
+    // Accuracy multiplier of the attack itself (snipes roll at 1.2)
+    accuracy: damageData.accuracy ?? data.accuracy ?? 1,
     maxTargetsHit: (data.max_targets_hit || 0) === 0 ? 1 : data.max_targets_hit,
     availableLevel: data.available_level || 1,
+    // What the power accepts: enhancement aspects and invention set categories
+    allowedBoosts: data.boosts_allowed || [],
+    allowedSetCategories: data.allowed_boostset_cats || [],
   };
 }
 
-async function parseRainOfFire(slug, data, namedTables, levelIndex, archetype, powerset, petSlug) {
+// Default lifetime of a spawned damage entity when the power doesn't state one
+const DEFAULT_PET_DURATION = 15;
+// Approximate interval between a location pet's damage ticks
+const PET_TICK_INTERVAL = 2;
+
+// Lifetime of the entity spawned by a power, from its EntCreate template
+function entityDuration(data) {
+  for (const effect of (data.effects || [])) {
+    for (const tpl of (effect.templates || [])) {
+      if (!tpl.params || tpl.params.type !== 'EntCreate') continue;
+      const match = (tpl.duration || '').match(/([\d.]+)\s*seconds?/);
+      if (match) return parseFloat(match[1]);
+    }
+  }
+  return DEFAULT_PET_DURATION;
+}
+
+async function parsePetDamage(slug, data, namedTables, levelIndex, archetype, powerset, petSlug) {
   const castTime = data.activation_time || 0;
   const at = arcanaTime(castTime);
 
-  // Rain of Fire spawns a pet that auto-attacks for 15 seconds
-  // The pet fires every ~2 seconds, hitting each tick
-  // Total damage = pet damage scales * melee_damage table * number of ticks
+  // Location powers like Rain of Fire spawn a pet that pulses damage for its lifetime.
+  // Rain of Fire: fires every ~2s for 15s duration = ~8 ticks (including initial)
+  // Total damage = pet damage per tick * number of ticks
   let totalDamage = 0;
+  let damageType = 'Unknown';
+  let maxTargetsHit = 16;
+  let radius = data.radius || 0;
   try {
     const petData = await loadPetPower(archetype, powerset, petSlug);
     const petDamagePerTick = extractDamage(petData, namedTables, levelIndex);
     const tickDamage = petDamagePerTick.reduce((sum, d) => sum + d.damage, 0);
-    // Pet entity lives for 15 seconds, auto-attacks every 2 seconds = ~8 ticks
-    // But actually it attacks every tick period which is the pet's activate_period
-    // For RoF, the pet fires its auto-attack power periodically
-    // Standard RoF: fires every ~2s for 15s duration = ~8 ticks (including initial)
-    const entityDuration = 15;
-    const tickInterval = 2; // approximate auto-attack interval
-    const numTicks = Math.floor(entityDuration / tickInterval) + 1;
+    const numTicks = Math.floor(entityDuration(data) / PET_TICK_INTERVAL) + 1;
     totalDamage = tickDamage * numTicks;
+    if (petDamagePerTick.length > 0) damageType = petDamagePerTick[0].type;
+    if (petData.max_targets_hit) maxTargetsHit = petData.max_targets_hit;
+    if (petData.radius) radius = petData.radius;
   } catch (e) {
-    console.warn('Could not load Rain of Fire pet data:', e);
+    console.warn(`Could not load pet data for ${slug}:`, e);
     totalDamage = 0;
   }
 
@@ -143,17 +207,24 @@ async function parseRainOfFire(slug, data, namedTables, levelIndex, archetype, p
     enduranceCost: data.endurance_cost || 0,
     range: data.range || 0,
     effectArea: data.effect_area || 'Location',
+    radius,
+    arc: 0,
     totalDamage,
-    damageComponents: [{ type: 'Fire', damage: totalDamage, source: 'pet' }],
+    damageComponents: [{ type: damageType, damage: totalDamage, source: 'pet' }],
     dpa: totalDamage / at,
     defiance,
     buffs,
+    toHitBuffs: [],
     isBuff: false,
     isMelee: false,
     isRedirected: false,
     isPetDamage: true,
-    maxTargetsHit: 16,
+    accuracy: data.accuracy ?? 1,
+    maxTargetsHit,
     availableLevel: data.available_level || 1,
+    // What the power accepts: enhancement aspects and invention set categories
+    allowedBoosts: data.boosts_allowed || [],
+    allowedSetCategories: data.allowed_boostset_cats || [],
   };
 }
 
@@ -161,7 +232,7 @@ async function parseRainOfFire(slug, data, namedTables, levelIndex, archetype, p
 // Returns an array of buff objects. This covers both:
 // - Defiance buffs from attack powers (small scale, Ranged_Ones table)
 // - Click buffs like Aim/Build Up (large scale, Melee_Buff_Dmg table)
-function extractBuffs(powerData, namedTables, levelIndex) {
+export function extractBuffs(powerData, namedTables, levelIndex) {
   const buffs = [];
 
   for (const effect of (powerData.effects || [])) {
@@ -206,7 +277,43 @@ function extractBuffs(powerData, namedTables, levelIndex) {
   return buffs;
 }
 
-function extractDamage(powerData, namedTables, levelIndex) {
+// Extract self to-hit buffs (Aim, Build Up): same shape as extractBuffs,
+// with resolvedScale as the to-hit bonus (0.2 = +20%).
+export function extractToHitBuffs(powerData, namedTables, levelIndex) {
+  const buffs = [];
+
+  for (const effect of (powerData.effects || [])) {
+    if (effect.is_pvp === 'PVP') continue;
+
+    for (const tpl of (effect.templates || [])) {
+      if (!(tpl.attribs || []).includes('ToHit')) continue;
+      if (tpl.target !== 'Self') continue;
+
+      const scale = tpl.scale || 0;
+      if (scale === 0) continue;
+
+      const table = tpl.table || '';
+      const tableValues = namedTables[tableNameToKey(table)];
+      const resolvedScale = tableValues
+        ? scale * Math.abs(tableValues[levelIndex])
+        : scale;
+
+      const match = (tpl.duration || '0 seconds').match(/([\d.]+)\s*seconds?/);
+
+      buffs.push({
+        attribute: 'ToHit',
+        scale,
+        resolvedScale,
+        duration: match ? parseFloat(match[1]) : 0,
+        stacking: tpl.stack || 'Stack',
+        table,
+      });
+    }
+  }
+  return buffs;
+}
+
+export function extractDamage(powerData, namedTables, levelIndex) {
   const components = [];
 
   for (const effect of (powerData.effects || [])) {
@@ -0,0 +1,63 @@
+// Target damage resistance by type, with presets and resistance debuffs
+//
+// Each damage component (and each proc) is scaled by 1 - resistance for its
+// type. Resistance debuffs lower every type, scaled by the purple patch like any
+// other effect, but can't push a target's resistance below RESISTANCE_FLOOR.
+
+// Damage types as tagged by extractDamage (power-parser.js)
+export const DAMAGE_TYPES = [
+  'Smashing', 'Lethal', 'Fire', 'Cold', 'Energy', 'Negative_Energy', 'Psionic', 'Toxic',
+];
+
+// Lowest resistance debuffs can take a target to (-300%, i.e. 4x damage)
+export const RESISTANCE_FLOOR = -3;
+
+function allTypes(value) {
+  return Object.fromEntries(DAMAGE_TYPES.map(type => [type, value]));
+}
+
+// Approximate boss-rank resistances of common enemy groups, as fractions
+export const RESISTANCE_PRESETS = {
+  none: { name: 'None', resistances: {} },
+  pylon: { name: 'Pylon', resistances: allTypes(0.3) },
+  circle_of_thorns: { name: 'Circle of Thorns', resistances: { Fire: 0.3, Negative_Energy: 0.3, Psionic: 0.2 } },
+  devouring_earth: { name: 'Devouring Earth', resistances: { Smashing: 0.3, Lethal: 0.3, Toxic: 0.5 } },
+  freakshow: { name: 'Freakshow', resistances: { Smashing: 0.2, Lethal: 0.2 } },
+  carnival_of_shadows: { name: 'Carnival of Shadows', resistances: { Psionic: 0.5, Negative_Energy: 0.2 } },
+  vahzilok: { name: 'Vahzilok', resistances: { Cold: 0.3, Toxic: 0.3, Fire: -0.2 } },
+  malta: { name: 'Malta', resistances: { Smashing: 0.2, Lethal: 0.2, Energy: 0.2 } },
+};
+
+// Human-readable type name ("Negative_Energy" -> "Negative Energy")
+export function damageTypeLabel(type) {
+  return type.replace(/_/g, ' ');
+}
+
+// options: { preset, resistances, debuff } with fractions (0.3 = 30%); per-type
+// resistances override the preset's. debuffMod scales the debuff (purple patch).
+// Returns { preset, base, debuff, resistances } where resistances are after debuffs.
+export function resolveResistance(options = {}, debuffMod = 1) {
+  const preset = RESISTANCE_PRESETS[options.preset] ? options.preset : null;
+  const base = { ...(preset ? RESISTANCE_PRESETS[preset].resistances : {}), ...(options.resistances || {}) };
+  const debuff = (options.debuff || 0) * debuffMod;
+
+  const resistances = {};
+  for (const type of DAMAGE_TYPES) {
+    resistances[type] = Math.max(RESISTANCE_FLOOR, (base[type] || 0) - debuff);
+  }
+  return { preset, base, debuff, resistances };
+}
+
+// Damage multiplier for `type` against a resolved resistance (null = no resistance)
+export function resistanceMultiplier(resistance, type) {
+  if (!resistance) return 1;
+  return 1 - (resistance.resistances[type] || 0);
+}
+
+// Damage multiplier from `debuff` more resistance debuff on `type`, relative to the
+// resolved resistance (used for timed team debuffs on the overlay timeline)
+export function debuffMultiplier(resistance, type, debuff) {
+  const current = resistance ? (resistance.resistances[type] || 0) : 0;
+  if (current >= 1) return 1;
+  return (1 - Math.max(RESISTANCE_FLOOR, current - debuff)) / (1 - current);
+}
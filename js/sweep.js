@@ -0,0 +1,91 @@
+// Parameter sweeps: one pass's best chain across a range of one setting
+//
+// Every point is a full search of the pass with the setting changed in the worker
+// message. Breakpoints are where the best chain switches to a different set of
+// powers, located to within one step of the sweep.
+
+import { normalizeChainKey } from './chain-optimizer.js';
+
+// Each point is a full search; more than this takes minutes
+export const MAX_SWEEP_POINTS = 41;
+
+// Settings a sweep can vary, with default ranges inside the matching slider's.
+// apply(message, value, inputs) returns the worker message for one point; recharge
+// keeps the set bonuses the message carries on top of the slider value.
+export const SWEEP_PARAMETERS = {
+  recharge: {
+    label: 'Global Recharge', unit: '%', min: 0, max: 300, from: 0, to: 200, step: 10,
+    apply: (message, value, inputs) =>
+      ({ ...message, rechargeReduction: message.rechargeReduction - inputs.rechargeBonus + value }),
+  },
+  latency: {
+    label: 'Activation Latency', unit: 'ms', min: 0, max: 500, from: 0, to: 250, step: 25,
+    apply: (message, value) => ({ ...message, activationLatency: value / 1000 }),
+  },
+  targets: {
+    label: 'Number of Targets', unit: '', min: 1, max: 16, from: 2, to: 16, step: 1,
+    // Targets only change the AoE pass
+    pass: 'aoe',
+    apply: (message, value) => ({ ...message, numTargets: value }),
+  },
+};
+
+export const SWEEP_PASSES = {
+  ranged: { key: 'rangedChains', label: 'Ranged Chain' },
+  hybrid: { key: 'hybridChains', label: 'Melee / Hybrid Chain' },
+  aoe: { key: 'aoeChains', label: 'AoE Chain' },
+};
+
+// Values from `from` to `to` in steps of `step`, within the parameter's range.
+// Throws on an empty, reversed or too fine range.
+export function sweepValues(parameter, from, to, step) {
+  const { min, max, label } = SWEEP_PARAMETERS[parameter];
+  if (![from, to, step].every(Number.isFinite) || step <= 0 || from > to) {
+    throw new Error('Sweep needs a start no higher than its end and a step above 0');
+  }
+  if (from < min || to > max) throw new Error(`${label} sweeps run from ${min} to ${max}`);
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_POINTS) {
+    throw new Error(`${count} points is more than ${MAX_SWEEP_POINTS}; use a larger step`);
+  }
+  return Array.from({ length: count }, (_, i) => Number((from + i * step).toFixed(6)));
+}
+
+// Worker messages for each value, running only the swept pass
+export function sweepMessages(parameter, pass, message, inputs, values) {
+  const { apply } = SWEEP_PARAMETERS[parameter];
+  return values.map(value => ({ ...apply(message, value, inputs), passes: [pass] }));
+}
+
+// results are the worker result messages of each value. Returns
+// { points: [{ value, dps, buffedDps, key, label }], breakpoints: [{ after, value, from, to, dpsChange }] }
+// with dps null where the pass found no chain. A breakpoint sits between `after` and
+// `value`, the chain changing from `from` to `to` (chain labels).
+export function sweepSeries(pass, values, results) {
+  const { key: passKey } = SWEEP_PASSES[pass];
+  const points = values.map((value, i) => {
+    const chain = results[i] && results[i][passKey] && results[i][passKey][0];
+    if (!chain) return { value, dps: null, buffedDps: null, key: null, label: null };
+    return {
+      value,
+      dps: chain.dps,
+      buffedDps: chain.buffedDps ?? null,
+      key: normalizeChainKey(chain.powers.map(p => p.slug)),
+      label: chain.powers.map(p => p.name).join(' > '),
+    };
+  });
+
+  const breakpoints = [];
+  let previous = null;
+  for (const point of points) {
+    if (point.key == null) continue;
+    if (previous && point.key !== previous.key) {
+      breakpoints.push({
+        after: previous.value, value: point.value, from: previous.label, to: point.label,
+        dpsChange: point.dps - previous.dps,
+      });
+    }
+    previous = point;
+  }
+  return { points, breakpoints };
+}
@@ -0,0 +1,67 @@
+// Target configuration: enemy rank, level and the purple patch
+//
+// The purple patch scales damage (here) and accuracy (accuracy.js) by the
+// target's level relative to the player. Archvillains carry a +1 level shift,
+// the player's incarnate level shift (incarnates.js) counts the other way, and
+// the Rikti War Zone pylon is always level 54.
+
+// Purple patch damage modifier by target level relative to the player
+const LEVEL_DAMAGE_MODS = {
+  '-1': 1.1,
+  0: 1.0,
+  1: 0.9,
+  2: 0.8,
+  3: 0.65,
+  4: 0.48,
+  5: 0.3,
+};
+
+const MIN_LEVEL_OFFSET = -1;
+const MAX_LEVEL_OFFSET = 5;
+
+export const TARGET_RANKS = {
+  minion: { name: 'Minion' },
+  lieutenant: { name: 'Lieutenant' },
+  boss: { name: 'Boss' },
+  elite_boss: { name: 'Elite Boss' },
+  archvillain: { name: 'Archvillain', levelShift: 1 },
+  pylon: { name: 'Pylon', fixedLevel: 54 },
+};
+
+export function clampLevelOffset(levelOffset) {
+  return Math.max(MIN_LEVEL_OFFSET, Math.min(MAX_LEVEL_OFFSET, Math.round(levelOffset || 0)));
+}
+
+export function levelDamageModifier(levelOffset) {
+  return LEVEL_DAMAGE_MODS[clampLevelOffset(levelOffset)];
+}
+
+// options: { rank, levelOffset, playerLevel, playerShift } with playerShift the incarnate level shift
+// Returns { rank, rankName, levelOffset, effectiveOffset, damageMod }, where
+// effectiveOffset includes the rank's level shift and drives the purple patch.
+export function resolveTarget(options = {}) {
+  const rank = TARGET_RANKS[options.rank] ? options.rank : 'boss';
+  const info = TARGET_RANKS[rank];
+  const levelOffset = options.levelOffset || 0;
+  const playerShift = options.playerShift || 0;
+  const effectiveOffset = info.fixedLevel
+    ? clampLevelOffset(info.fixedLevel - (options.playerLevel || 50) - playerShift)
+    : clampLevelOffset(levelOffset + (info.levelShift || 0) - playerShift);
+
+  return {
+    rank,
+    rankName: info.name,
+    levelOffset: info.fixedLevel ? effectiveOffset : levelOffset,
+    effectiveOffset,
+    playerShift,
+    damageMod: levelDamageModifier(effectiveOffset),
+  };
+}
+
+// "+4 Boss" / "Pylon (+4)" for headers
+export function describeTarget(target) {
+  const offset = `${target.effectiveOffset >= 0 ? '+' : ''}${target.effectiveOffset}`;
+  if (TARGET_RANKS[target.rank].fixedLevel) return `${target.rankName} (${offset})`;
+  const shift = target.effectiveOffset !== target.levelOffset ? ` (${offset} with level shift)` : '';
+  return `${target.levelOffset >= 0 ? '+' : ''}${target.levelOffset} ${target.rankName}${shift}`;
+}
@@ -0,0 +1,53 @@
+// Outside effects from teammates: damage buffs, resistance debuffs, to-hit and recharge
+//
+// Each effect has a magnitude (fraction), a duration and a refresh period in seconds:
+// the teammate reapplies it every period and it lasts duration seconds. Toggles and
+// effects that last as long as their period are always on and fold into the chain
+// search; the rest run on the buff overlay timeline (simulateChainWithBuffOverlay).
+// Magnitudes are typical values for a teammate in range; every field is editable.
+
+export const TEAM_EFFECTS = [
+  { id: 'fulcrum_shift', name: 'Fulcrum Shift', kind: 'damage', magnitude: 1.0, duration: 30, period: 45 },
+  { id: 'assault', name: 'Assault', kind: 'damage', magnitude: 0.1, toggle: true },
+  { id: 'siphon_power', name: 'Siphon Power', kind: 'damage', magnitude: 0.25, duration: 30, period: 60 },
+  { id: 'sonic_res_debuff', name: 'Sonic Resistance Debuffs', kind: 'resDebuff', magnitude: 0.3, duration: 30, period: 30 },
+  { id: 'tactics', name: 'Tactics', kind: 'toHit', magnitude: 0.07, toggle: true },
+  { id: 'speed_boost', name: 'Speed Boost / Accelerate Metabolism', kind: 'recharge', magnitude: 0.5, duration: 120, period: 120 },
+];
+
+export const TEAM_PRESETS = {
+  solo: { name: 'Solo', effects: [] },
+  kinetics: { name: 'Kinetics teammate', effects: ['fulcrum_shift', 'siphon_power', 'speed_boost'] },
+  support: { name: 'Support team', effects: ['fulcrum_shift', 'assault', 'siphon_power', 'sonic_res_debuff', 'tactics', 'speed_boost'] },
+};
+
+const EFFECTS_BY_ID = new Map(TEAM_EFFECTS.map(effect => [effect.id, effect]));
+
+export function getTeamEffect(id) {
+  return EFFECTS_BY_ID.get(id) || null;
+}
+
+// True while a timed effect applied at 0, period, 2*period... is running
+export function isEffectActive(effect, time) {
+  return time % effect.period < effect.duration;
+}
+
+// options: { effects: [{ id, magnitude, duration, period }] } with catalog defaults for
+// missing fields. Returns { constant: { damage, resDebuff, toHit, recharge }, timed: [effect] }
+// where constant sums the always-on effects by kind.
+export function resolveTeamEffects(options) {
+  const constant = { damage: 0, resDebuff: 0, toHit: 0, recharge: 0 };
+  const timed = [];
+  for (const entry of (options && options.effects) || []) {
+    const base = getTeamEffect(entry.id);
+    if (!base) continue;
+    const effect = { ...base, ...entry };
+    if (!(effect.magnitude > 0)) continue;
+    if (effect.toggle || effect.duration >= effect.period) {
+      constant[effect.kind] += effect.magnitude;
+    } else if (effect.duration > 0) {
+      timed.push(effect);
+    }
+  }
+  return { constant, timed };
+}
@@ -1,115 +1,438 @@
 // UI rendering for the DPS calculator
 
-import { effectiveEnhancement } from './enhancements.js';
+import {
+  effectiveEnhancement, enhancementTotals, validatePowerSlotting, getPowerSlotConfig, slotTotal,
+  MAX_SLOTS, SLOT_ASPECTS, ENHANCEMENT_ORIGINS,
+} from './enhancements.js';
+import { getEnhancementSet, setsForPower } from './enhancement-sets.js';
+import { describeTarget } from './target.js';
+import { levelAccuracyModifier } from './accuracy.js';
+import { DAMAGE_TYPES, RESISTANCE_PRESETS, damageTypeLabel } from './resistance.js';
+import { TEAM_EFFECTS, TEAM_PRESETS } from './team-buffs.js';
+import { INHERENT_MODELS } from './inherents.js';
+import { sustainToggles } from './endurance.js';
+import { MAX_SNAPSHOTS } from './compare.js';
+import { SWEEP_PARAMETERS, SWEEP_PASSES } from './sweep.js';
+import {
+  ALPHA_BOOSTS, ALPHA_TIERS, HYBRID_ASSAULT, INTERFACE_PROCS, JUDGEMENTS, LORE_PETS, DESTINIES,
+} from './incarnates.js';
 
 let _powerToggleCallback = null;
+let _powerSlotCallback = null;
+// Powers whose slot editor is expanded; survives power list re-renders
+const _openSlotEditors = new Set();
+// Sets picked in a power's editor before any of their pieces are checked: slug -> Set of set ids
+const _shownSets = new Map();
 
 export function setPowerToggleCallback(cb) {
   _powerToggleCallback = cb;
 }
 
+// cb(slug, config) with config = { origin, accuracy, damage, recharge, endurance, pieces },
+// or null to drop the override and fall back to the global preset
+export function setPowerSlotCallback(cb) {
+  _powerSlotCallback = cb;
+}
+
+// Global slot pip class and effectiveness readout of each aspect
+const GLOBAL_SLOT_DISPLAY = {
+  accuracy: { pip: 'acc' },
+  damage: { pip: 'dmg', readout: 'enh-dmg-eff' },
+  recharge: { pip: 'rech', readout: 'enh-rech-eff' },
+  endurance: { pip: 'end', readout: 'enh-end-eff' },
+};
+
+const globalSlider = aspect => document.getElementById(`enh-${aspect}-slider`);
+
 // Set up enhancement control event handlers
 // Returns a callback that reads the current enhancement config
 export function initEnhancementControls(onChange) {
   const preset = document.getElementById('enh-preset');
-  const accSlider = document.getElementById('enh-accuracy-slider');
-  const dmgSlider = document.getElementById('enh-damage-slider');
-  const rechSlider = document.getElementById('enh-recharge-slider');
-  const accDisplay = document.getElementById('enh-accuracy-display');
-  const dmgDisplay = document.getElementById('enh-damage-display');
-  const rechDisplay = document.getElementById('enh-recharge-display');
-  const dmgEff = document.getElementById('enh-dmg-eff');
-  const rechEff = document.getElementById('enh-rech-eff');
+  const origin = document.getElementById('enh-origin');
   const slotCount = document.getElementById('enh-slot-count');
   const pipsContainer = document.querySelector('.enh-slot-pips');
+  // Slider counts in SLOT_ASPECTS order, the form of the preset values ("1/3/1/1")
+  const counts = () => SLOT_ASPECTS.map(aspect => parseInt(globalSlider(aspect).value, 10));
 
   function updateDisplay() {
-    const acc = parseInt(accSlider.value, 10);
-    const dmg = parseInt(dmgSlider.value, 10);
-    const rech = parseInt(rechSlider.value, 10);
-    const total = acc + dmg + rech;
+    const values = counts();
+    const total = values.reduce((sum, n) => sum + n, 0);
 
-    // Cap each slider's max so total can't exceed 6
-    accSlider.max = 6 - dmg - rech;
-    dmgSlider.max = 6 - acc - rech;
-    rechSlider.max = 6 - acc - dmg;
-
-    accDisplay.textContent = acc;
-    dmgDisplay.textContent = dmg;
-    rechDisplay.textContent = rech;
-
-    dmgEff.textContent = `+${effectiveEnhancement(dmg).toFixed(1)}%`;
-    rechEff.textContent = `+${effectiveEnhancement(rech).toFixed(1)}%`;
+    SLOT_ASPECTS.forEach((aspect, i) => {
+      // Cap each slider's max so total can't exceed 6
+      globalSlider(aspect).max = MAX_SLOTS - (total - values[i]);
+      document.getElementById(`enh-${aspect}-display`).textContent = values[i];
+      const { readout } = GLOBAL_SLOT_DISPLAY[aspect];
+      if (readout) {
+        document.getElementById(readout).textContent = `+${effectiveEnhancement(values[i], origin.value).toFixed(1)}%`;
+      }
+    });
 
     // Slot pips
-    slotCount.textContent = `${total} / 6`;
-
-    let pipsHtml = '';
-    for (let i = 0; i < 6; i++) {
-      let cls = '';
-      if (i < acc) cls = 'acc';
-      else if (i < acc + dmg) cls = 'dmg';
-      else if (i < total) cls = 'rech';
-      pipsHtml += `<span class="enh-pip ${cls}"></span>`;
-    }
-    pipsContainer.innerHTML = pipsHtml;
+    slotCount.textContent = `${total} / ${MAX_SLOTS}`;
+    const pips = SLOT_ASPECTS.flatMap((aspect, i) => Array(values[i]).fill(GLOBAL_SLOT_DISPLAY[aspect].pip));
+    pipsContainer.innerHTML = Array.from({ length: MAX_SLOTS }, (_, i) => `<span class="enh-pip ${pips[i] || ''}"></span>`).join('');
   }
 
   function syncPreset() {
-    const acc = parseInt(accSlider.value, 10);
-    const dmg = parseInt(dmgSlider.value, 10);
-    const rech = parseInt(rechSlider.value, 10);
-    if (acc === 1 && dmg === 3 && rech === 2) preset.value = '1/3/2';
-    else if (acc === 1 && dmg === 5 && rech === 0) preset.value = '1/5/0';
-    else if (acc === 0 && dmg === 0 && rech === 0) preset.value = '0/0/0';
-    else preset.value = 'custom';
+    const value = counts().join('/');
+    preset.value = [...preset.options].some(option => option.value === value) ? value : 'custom';
   }
 
   preset.addEventListener('change', () => {
-    const val = preset.value;
-    if (val === '1/3/2') { accSlider.value = 1; dmgSlider.value = 3; rechSlider.value = 2; }
-    else if (val === '1/5/0') { accSlider.value = 1; dmgSlider.value = 5; rechSlider.value = 0; }
-    else if (val === '0/0/0') { accSlider.value = 0; dmgSlider.value = 0; rechSlider.value = 0; }
-    updateDisplay();
-    onChange();
-  });
-
-  accSlider.addEventListener('input', () => {
+    if (preset.value !== 'custom') {
+      const values = preset.value.split('/');
+      SLOT_ASPECTS.forEach((aspect, i) => {
+        globalSlider(aspect).max = MAX_SLOTS;
+        globalSlider(aspect).value = values[i];
+      });
+    }
     updateDisplay();
-    syncPreset();
     onChange();
   });
 
-  dmgSlider.addEventListener('input', () => {
+  origin.addEventListener('change', () => {
     updateDisplay();
-    syncPreset();
     onChange();
   });
 
-  rechSlider.addEventListener('input', () => {
-    updateDisplay();
-    syncPreset();
-    onChange();
-  });
+  for (const aspect of SLOT_ASPECTS) {
+    globalSlider(aspect).addEventListener('input', () => {
+      updateDisplay();
+      syncPreset();
+      onChange();
+    });
+  }
 
   updateDisplay();
 }
 
-export function getEnhancementConfigFromUI() {
-  const dmg = parseInt(document.getElementById('enh-damage-slider').value, 10);
-  const rech = parseInt(document.getElementById('enh-recharge-slider').value, 10);
+// Global preset from the sliders; perPower overrides come from the power list editors
+export function getEnhancementConfigFromUI(perPower = {}) {
   return {
     global: {
-      damage: dmg,
-      recharge: rech,
-      accuracy: 0,
-      endurance: 0,
+      ...Object.fromEntries(SLOT_ASPECTS.map(aspect => [aspect, parseInt(globalSlider(aspect).value, 10)])),
+      origin: document.getElementById('enh-origin').value,
+      pieces: [],
     },
-    perPower: {},
+    perPower,
   };
 }
 
-export function renderPowerList(powers, container, powersets, disabledPowers) {
+// Set the global sliders and origin from a slot config, then refresh the panel as
+// a slider move would
+export function setEnhancementConfigInUI(config) {
+  document.getElementById('enh-origin').value = config.origin || 'so';
+  // Lift the per-slider caps first so the new counts aren't clamped by the old ones
+  for (const aspect of SLOT_ASPECTS) {
+    globalSlider(aspect).max = MAX_SLOTS;
+    globalSlider(aspect).value = config[aspect] || 0;
+  }
+  globalSlider('accuracy').dispatchEvent(new Event('input'));
+}
+
+// Saved profile names into the profile select, keeping `selected` when it still exists
+export function renderProfiles(profiles, selected = null) {
+  const select = document.getElementById('profile-select');
+  const names = Object.keys(profiles).sort((a, b) => a.localeCompare(b));
+  // Names are user text, so they go in as options rather than markup
+  select.replaceChildren(...names.map(name => new Option(name, name, false, name === selected)));
+  if (names.length === 0) select.replaceChildren(new Option('No saved profiles', ''));
+  for (const id of ['profile-load-btn', 'profile-delete-btn']) {
+    document.getElementById(id).disabled = names.length === 0;
+  }
+}
+
+export function setProfileStatus(message, isError = false) {
+  const status = document.getElementById('profile-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+// What a build import couldn't carry over, one line each
+export function renderImportReport(lines) {
+  const list = document.getElementById('import-report');
+  list.replaceChildren(...lines.map(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    return item;
+  }));
+}
+
+// What-if inherent select: the archetype's own, or another archetype's damage model run
+// on this archetype's tables, powers and damage cap (not that archetype's real numbers)
+export function initInherentControls() {
+  document.getElementById('inherent-select').innerHTML = '<option value="">Archetype\'s own</option>'
+    + Object.values(INHERENT_MODELS).map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+}
+
+// Inherent id for runOptimization, null for the archetype's own
+export function getInherentFromUI() {
+  return document.getElementById('inherent-select').value || null;
+}
+
+// Target resistance controls: a preset select filling one input per damage type.
+// Editing any type switches the preset to Custom.
+export function initResistanceControls() {
+  const preset = document.getElementById('target-res-preset');
+  const grid = document.getElementById('target-res-grid');
+
+  preset.innerHTML = Object.entries(RESISTANCE_PRESETS)
+    .map(([id, p]) => `<option value="${id}">${p.name}</option>`)
+    .join('') + '<option value="custom">Custom</option>';
+
+  grid.innerHTML = DAMAGE_TYPES.map(type => `
+    <label class="target-res-type">
+      <span>${damageTypeLabel(type)}</span>
+      <input type="number" class="level-input" data-type="${type}" value="0" min="-100" max="100" step="5">
+    </label>
+  `).join('');
+
+  const inputs = [...grid.querySelectorAll('input')];
+
+  preset.addEventListener('change', () => {
+    const entry = RESISTANCE_PRESETS[preset.value];
+    if (!entry) return;
+    for (const input of inputs) {
+      input.value = Math.round((entry.resistances[input.dataset.type] || 0) * 100);
+    }
+  });
+
+  for (const input of inputs) {
+    input.addEventListener('input', () => { preset.value = 'custom'; });
+  }
+}
+
+// Resistance config for runOptimization (percent inputs -> fractions)
+export function getResistanceConfigFromUI() {
+  const resistances = {};
+  for (const input of document.querySelectorAll('#target-res-grid input')) {
+    const value = (parseFloat(input.value) || 0) / 100;
+    if (value !== 0) resistances[input.dataset.type] = value;
+  }
+  return {
+    resistances,
+    debuff: (parseFloat(document.getElementById('target-res-debuff').value) || 0) / 100,
+  };
+}
+
+// Set the preset select, then (for Custom, or overrides) the per-type percent inputs
+// and the resistance debuff
+export function setResistanceConfigInUI({ preset, resistances, debuff }) {
+  const select = document.getElementById('target-res-preset');
+  if (preset != null) {
+    select.value = preset;
+    select.dispatchEvent(new Event('change'));
+  }
+  if (resistances) {
+    for (const input of document.querySelectorAll('#target-res-grid input')) {
+      input.value = resistances[input.dataset.type] || 0;
+    }
+    select.value = 'custom';
+  }
+  if (debuff != null) document.getElementById('target-res-debuff').value = debuff;
+}
+
+// Team scenario controls: a preset select and one row per outside effect with its
+// magnitude, duration and refresh period. Toggling an effect switches the preset to Custom.
+export function initTeamControls() {
+  const preset = document.getElementById('team-preset');
+  const list = document.getElementById('team-effects');
+
+  preset.innerHTML = Object.entries(TEAM_PRESETS)
+    .map(([id, p]) => `<option value="${id}">${p.name}</option>`)
+    .join('') + '<option value="custom">Custom</option>';
+
+  list.innerHTML = TEAM_EFFECTS.map(effect => `
+    <div class="team-effect" data-effect="${effect.id}">
+      <label class="team-effect-name">
+        <input type="checkbox" class="team-effect-toggle">
+        ${effect.name}
+      </label>
+      <div class="team-effect-fields">
+        <label>${effect.kind === 'resDebuff' ? '-Res' : '+'}%
+          <input type="number" class="level-input" data-field="magnitude" value="${Math.round(effect.magnitude * 100)}" min="0" max="1000" step="1">
+        </label>
+        ${effect.toggle ? '<span class="team-effect-toggle-note">toggle</span>' : `
+        <label>Dur
+          <input type="number" class="level-input" data-field="duration" value="${effect.duration}" min="0" max="3600" step="1">
+        </label>
+        <label>Every
+          <input type="number" class="level-input" data-field="period" value="${effect.period}" min="1" max="3600" step="1">
+        </label>`}
+      </div>
+    </div>
+  `).join('');
+
+  preset.addEventListener('change', () => {
+    const entry = TEAM_PRESETS[preset.value];
+    if (!entry) return;
+    for (const row of list.querySelectorAll('.team-effect')) {
+      row.querySelector('.team-effect-toggle').checked = entry.effects.includes(row.dataset.effect);
+    }
+  });
+
+  for (const toggle of list.querySelectorAll('.team-effect-toggle')) {
+    toggle.addEventListener('change', () => { preset.value = 'custom'; });
+  }
+}
+
+// Checked team effects for runOptimization (percent magnitude -> fraction)
+export function getTeamConfigFromUI() {
+  const effects = [];
+  for (const row of document.querySelectorAll('#team-effects .team-effect')) {
+    if (!row.querySelector('.team-effect-toggle').checked) continue;
+    const effect = { id: row.dataset.effect };
+    for (const input of row.querySelectorAll('input[data-field]')) {
+      const value = parseFloat(input.value) || 0;
+      effect[input.dataset.field] = input.dataset.field === 'magnitude' ? value / 100 : value;
+    }
+    effects.push(effect);
+  }
+  return { effects };
+}
+
+// Set the preset select, then check exactly `effects` ([{ id, magnitude, duration, period }],
+// magnitude in percent) with their fields
+export function setTeamConfigInUI({ preset, effects }) {
+  const select = document.getElementById('team-preset');
+  if (preset != null) {
+    select.value = preset;
+    select.dispatchEvent(new Event('change'));
+  }
+  if (!effects) return;
+  const byId = new Map(effects.map(e => [e.id, e]));
+  for (const row of document.querySelectorAll('#team-effects .team-effect')) {
+    const effect = byId.get(row.dataset.effect);
+    row.querySelector('.team-effect-toggle').checked = Boolean(effect);
+    if (!effect) continue;
+    for (const input of row.querySelectorAll('input[data-field]')) {
+      if (effect[input.dataset.field] != null) input.value = effect[input.dataset.field];
+    }
+  }
+}
+
+// Incarnate selects: Alpha boost and tier, Hybrid branch, Interface proc, Judgement, Lore
+// and Destiny. onAlphaChange runs when the
+// Alpha changes, since it is applied with the slotting.
+export function initIncarnateControls(onAlphaChange) {
+  const options = entries => entries.map(([id, e]) => `<option value="${id}">${e.name}</option>`).join('');
+  const alpha = document.getElementById('alpha-select');
+  const tier = document.getElementById('alpha-tier-select');
+  alpha.innerHTML = '<option value="">None</option>' + options(Object.entries(ALPHA_BOOSTS));
+  tier.innerHTML = options(Object.entries(ALPHA_TIERS).map(([id, t]) =>
+    [id, { name: `${t.name}${t.levelShift ? ` (+${t.levelShift} level shift)` : ''}` }]));
+  tier.value = 't4_core';
+  document.getElementById('hybrid-select').innerHTML =
+    '<option value="">None</option>' + options(Object.entries(HYBRID_ASSAULT));
+  const catalogs = { interface: INTERFACE_PROCS, judgement: JUDGEMENTS, lore: LORE_PETS, destiny: DESTINIES };
+  for (const [slot, catalog] of Object.entries(catalogs)) {
+    document.getElementById(`${slot}-select`).innerHTML = '<option value="">None</option>' + options(Object.entries(catalog));
+  }
+
+  alpha.addEventListener('change', onAlphaChange);
+  tier.addEventListener('change', onAlphaChange);
+}
+
+// Incarnate config for applyEnhancements (alpha) and runOptimization
+export function getIncarnateConfigFromUI() {
+  const alpha = document.getElementById('alpha-select').value;
+  const hybrid = document.getElementById('hybrid-select').value;
+  return {
+    alpha: alpha ? { id: alpha, tier: document.getElementById('alpha-tier-select').value } : null,
+    hybrid: hybrid ? { branch: hybrid } : null,
+    interface: document.getElementById('interface-select').value || null,
+    judgement: document.getElementById('judgement-select').value || null,
+    lore: document.getElementById('lore-select').value || null,
+    destiny: document.getElementById('destiny-select').value || null,
+  };
+}
+
+// Set the incarnate selects from { alpha, hybrid, interface, judgement, lore, destiny };
+// slots left out are cleared. Fires the Alpha's change so the slotting follows.
+export function setIncarnateConfigInUI(config) {
+  const alpha = document.getElementById('alpha-select');
+  alpha.value = config.alpha ? config.alpha.id : '';
+  if (config.alpha) document.getElementById('alpha-tier-select').value = config.alpha.tier;
+  for (const slot of ['hybrid', 'interface', 'judgement', 'lore', 'destiny']) {
+    document.getElementById(`${slot}-select`).value = config[slot] || '';
+  }
+  alpha.dispatchEvent(new Event('change'));
+}
+
+// Running toggles (from parseToggles) as checkboxes in the endurance panel,
+// keeping the ones already listed as they were and checking new sustainToggles,
+// or checking `checkedSlugs` if given
+export function renderEnduranceToggles(toggles, checkedSlugs = null) {
+  const list = document.getElementById('endurance-toggles');
+  const inputs = [...list.querySelectorAll('input')];
+  const listed = new Set(inputs.map(input => input.dataset.toggle));
+  const checked = new Set(checkedSlugs || [
+    ...inputs.filter(input => input.checked).map(input => input.dataset.toggle),
+    ...sustainToggles(toggles).map(t => t.slug).filter(slug => !listed.has(slug)),
+  ]);
+  list.innerHTML = toggles.map(t => {
+    const notes = [
+      t.endPerSecond > 0 ? `${t.endPerSecond.toFixed(2)} end/s` : '',
+      t.recovery > 0 ? `+${Math.round(t.recovery * 100)}% rec` : '',
+    ].filter(Boolean).join(', ');
+    return `
+    <label class="checkbox-item">
+      <input type="checkbox" data-toggle="${t.slug}"${checked.has(t.slug) ? ' checked' : ''}>
+      ${t.name}
+      ${notes ? `<span class="endurance-toggle-note">${notes}</span>` : ''}
+    </label>
+  `;
+  }).join('');
+}
+
+// Endurance config for runOptimization (percent inputs -> fractions); the checked
+// entries of `toggles` are the ones running
+export function getEnduranceConfigFromUI(toggles) {
+  const running = new Set([...document.querySelectorAll('#endurance-toggles input:checked')]
+    .map(input => input.dataset.toggle));
+  const percent = id => (parseFloat(document.getElementById(id).value) || 0) / 100;
+  return {
+    maxEndurance: parseFloat(document.getElementById('max-end-input').value) || 100,
+    recoveryBonus: percent('recovery-bonus-input'),
+    stamina: percent('stamina-input'),
+    physicalPerfection: document.getElementById('physical-perfection-toggle').checked,
+    toggles: toggles.filter(t => running.has(t.slug)),
+    fightLength: parseFloat(document.getElementById('fight-length-input').value) || 0,
+    sustainableOnly: document.getElementById('sustainable-only-toggle').checked,
+  };
+}
+
+// Set the endurance inputs from a build's fields (maxEnd, recovery and stamina in
+// percent, physicalPerfection, fightLength, sustainableOnly); toggles are checked
+// by renderEnduranceToggles once the powersets load
+export function setEnduranceConfigInUI(config) {
+  const values = {
+    'max-end-input': config.maxEnd,
+    'recovery-bonus-input': config.recovery,
+    'stamina-input': config.stamina,
+    'fight-length-input': config.fightLength,
+  };
+  for (const [id, value] of Object.entries(values)) {
+    if (value != null) document.getElementById(id).value = value;
+  }
+  const checks = { 'physical-perfection-toggle': config.physicalPerfection, 'sustainable-only-toggle': config.sustainableOnly };
+  for (const [id, value] of Object.entries(checks)) {
+    if (value != null) document.getElementById(id).checked = value;
+  }
+}
+
+// Set bonus totals (from computeSetBonuses) in the enhancement panel
+export function renderSetBonuses(setBonuses, powers) {
+  document.getElementById('enh-set-dmg').textContent = `+${setBonuses.damage.toFixed(1)}%`;
+  document.getElementById('enh-set-rech').textContent = `+${setBonuses.recharge.toFixed(1)}%`;
+  const names = new Map((powers || []).map(p => [p.slug, p.name]));
+  document.getElementById('enh-set-list').innerHTML = setBonuses.sets.map(entry => `
+    <li>${getEnhancementSet(entry.set).name} <span>${entry.pieces}pc in ${names.get(entry.slug) || entry.slug}</span></li>
+  `).join('');
+}
+
+export function renderPowerList(powers, container, powersets, disabledPowers, slotConfig) {
   container.innerHTML = '';
   const disabled = disabledPowers || new Set();
 
@@ -131,13 +454,18 @@ export function renderPowerList(powers, container, powersets, disabledPowers) {
     // Attack powers sorted by unlock level
     const attacks = setPowers.filter(p => !p.isBuff).sort((a, b) => a.availableLevel - b.availableLevel);
     for (const power of attacks) {
-      container.appendChild(renderAttackPowerItem(power, disabled));
+      const item = renderAttackPowerItem(power, disabled);
+      if (slotConfig) item.appendChild(renderPowerSlots(power, slotConfig, SLOT_ASPECTS));
+      container.appendChild(item);
     }
 
     // Buff powers in this set, sorted by unlock level
     const buffs = setPowers.filter(p => p.isBuff).sort((a, b) => a.availableLevel - b.availableLevel);
     for (const power of buffs) {
-      container.appendChild(renderBuffPowerItem(power, disabled));
+      const item = renderBuffPowerItem(power, disabled);
+      // Buff powers only benefit from recharge and endurance reduction
+      if (slotConfig) item.appendChild(renderPowerSlots(power, slotConfig, ['recharge', 'endurance']));
+      container.appendChild(item);
     }
   }
 }
@@ -151,6 +479,7 @@ function renderAttackPowerItem(power, disabled) {
     <span class="power-name">${power.name}</span>
     <span class="power-stats">
       ${power.castTime.toFixed(2)}s cast | ${power.rechargeTime.toFixed(1)}s rech | ${power.totalDamage.toFixed(1)} dmg
+      ${power.procDamage > 0 ? ` | +${power.procDamage.toFixed(1)} proc` : ''}
       ${power.effectArea !== 'SingleTarget' ? ` | ${power.effectArea}` : ''}
     </span>
     <span class="power-dpa">${power.dpa.toFixed(1)} DPA</span>
@@ -165,8 +494,10 @@ function renderAttackPowerItem(power, disabled) {
 
 function renderBuffPowerItem(power, disabled) {
   const dmgBuff = (power.buffs || []).find(b => b.table.toLowerCase() !== 'ranged_ones');
-  const buffPct = dmgBuff ? (dmgBuff.resolvedScale * 100).toFixed(1) : '?';
-  const buffDur = dmgBuff ? dmgBuff.duration.toFixed(0) : '?';
+  const rechBuff = (power.rechargeBuffs || [])[0];
+  const buffValue = rechBuff && !dmgBuff
+    ? `+${(rechBuff.scale * 100).toFixed(0)}% rech / ${rechBuff.duration.toFixed(0)}s`
+    : `+${dmgBuff ? (dmgBuff.resolvedScale * 100).toFixed(1) : '?'}% dmg / ${dmgBuff ? dmgBuff.duration.toFixed(0) : '?'}s`;
   const isDisabled = disabled.has(power.slug);
 
   const item = document.createElement('div');
@@ -177,7 +508,7 @@ function renderBuffPowerItem(power, disabled) {
     <span class="power-stats">
       ${power.castTime.toFixed(2)}s cast | ${power.rechargeTime.toFixed(1)}s rech
     </span>
-    <span class="power-buff-value">+${buffPct}% dmg / ${buffDur}s</span>
+    <span class="power-buff-value">${buffValue}</span>
   `;
   item.querySelector('.power-toggle').addEventListener('change', (e) => {
     const enabled = e.target.checked;
@@ -187,7 +518,173 @@ function renderBuffPowerItem(power, disabled) {
   return item;
 }
 
-export function renderResults({ rangedChains, hybridChains, aoeChains, numTargets }, container) {
+const SLOT_ASPECT_LABELS = {
+  accuracy: { short: 'Acc', pip: 'acc' },
+  damage: { short: 'Dmg', pip: 'dmg' },
+  recharge: { short: 'Rech', pip: 'rech' },
+  endurance: { short: 'End', pip: 'end' },
+};
+
+function renderSlotPips(config) {
+  let pipsHtml = '';
+  for (const aspect of SLOT_ASPECTS) {
+    for (let i = 0; i < (config[aspect] || 0); i++) {
+      pipsHtml += `<span class="enh-pip ${SLOT_ASPECT_LABELS[aspect].pip}"></span>`;
+    }
+  }
+  for (let i = 0; i < (config.pieces || []).length; i++) {
+    pipsHtml += '<span class="enh-pip set"></span>';
+  }
+  for (let i = slotTotal(config); i < MAX_SLOTS; i++) {
+    pipsHtml += '<span class="enh-pip"></span>';
+  }
+  return pipsHtml;
+}
+
+// Piece checkboxes for every set the power has pieces from or was picked in its editor
+function renderSetPieces(power, config) {
+  const slotted = new Set((config.pieces || []).map(p => p.set));
+  const shown = _shownSets.get(power.slug) || new Set();
+  const allowed = setsForPower(power);
+  const visible = allowed.filter(set => slotted.has(set.id) || shown.has(set.id));
+  const addable = allowed.filter(set => !visible.includes(set));
+
+  return `
+    <div class="power-slot-sets">
+      ${visible.map(set => `
+        <div class="power-slot-set">
+          <span class="power-slot-set-name">${set.name}</span>
+          ${set.pieces.map(piece => {
+            const checked = (config.pieces || []).some(p => p.set === set.id && p.piece === piece.id);
+            // Procs show their chance per activation once slotted, their PPM before
+            const proc = piece.proc && (power.procs || []).find(p => p.name === `${set.name}: ${piece.name}`);
+            const procNote = piece.proc
+              ? ` <span class="power-slot-proc">${proc ? `${(proc.chance * 100).toFixed(0)}%` : `${piece.proc.ppm} PPM`}</span>`
+              : '';
+            return `
+              <label class="power-slot-piece">
+                <input type="checkbox" data-set="${set.id}" data-piece="${piece.id}"${checked ? ' checked' : ''}>
+                ${piece.name}${procNote}
+              </label>
+            `;
+          }).join('')}
+        </div>
+      `).join('')}
+      ${addable.length > 0 ? `
+        <select class="power-slot-add-set">
+          <option value="">Add set...</option>
+          ${addable.map(set => `<option value="${set.id}">${set.name}</option>`).join('')}
+        </select>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Per-power slotting: pips summary plus an expandable editor.
+// Powers without an override show the global preset and are marked "Default".
+function renderPowerSlots(power, slotConfig, aspects) {
+  const override = slotConfig.perPower && slotConfig.perPower[power.slug];
+  const base = getPowerSlotConfig(slotConfig, power.slug);
+  // Only the aspects this power can use; buff powers drop damage and accuracy
+  const config = { origin: base.origin || 'so', pieces: [...(base.pieces || [])] };
+  for (const aspect of aspects) config[aspect] = base[aspect] || 0;
+  const totals = enhancementTotals(power, config);
+  const errors = override ? validatePowerSlotting(power, config) : [];
+  const isOpen = _openSlotEditors.has(power.slug);
+
+  const wrap = document.createElement('div');
+  wrap.className = `power-slots${override ? ' custom' : ''}`;
+  wrap.innerHTML = `
+    <div class="power-slots-summary">
+      <div class="enh-slot-pips power-slot-pips">${renderSlotPips(config)}</div>
+      <span class="power-slots-source">${override ? 'Custom' : 'Default'}</span>
+      <button type="button" class="power-slots-edit">${isOpen ? 'Done' : 'Slots'}</button>
+    </div>
+    <div class="power-slot-editor"${isOpen ? '' : ' hidden'}>
+      <select class="power-slot-origin">
+        ${Object.entries(ENHANCEMENT_ORIGINS).map(([id, origin]) =>
+          `<option value="${id}"${id === config.origin ? ' selected' : ''}>${origin.name}</option>`).join('')}
+      </select>
+      ${aspects.map(aspect => `
+        <label class="power-slot-field">
+          <span>${SLOT_ASPECT_LABELS[aspect].short}</span>
+          <input type="number" min="0" max="${MAX_SLOTS}" step="1" data-aspect="${aspect}" value="${config[aspect] || 0}">
+          <span class="power-slot-eff">+${totals[aspect].toFixed(1)}%</span>
+        </label>
+      `).join('')}
+      ${renderSetPieces(power, config)}
+      <button type="button" class="power-slots-reset"${override ? '' : ' disabled'}>Use default</button>
+    </div>
+    ${errors.length > 0 ? `<ul class="power-slot-errors">${errors.map(e => `<li>${e}</li>`).join('')}</ul>` : ''}
+  `;
+
+  const editor = wrap.querySelector('.power-slot-editor');
+  const editBtn = wrap.querySelector('.power-slots-edit');
+  editBtn.addEventListener('click', () => {
+    const open = editor.hidden;
+    editor.hidden = !open;
+    editBtn.textContent = open ? 'Done' : 'Slots';
+    if (open) _openSlotEditors.add(power.slug);
+    else _openSlotEditors.delete(power.slug);
+  });
+
+  const commit = () => {
+    if (_powerSlotCallback) _powerSlotCallback(power.slug, { ...config, pieces: [...config.pieces] });
+  };
+
+  wrap.querySelector('.power-slot-origin').addEventListener('change', (e) => {
+    config.origin = e.target.value;
+    commit();
+  });
+
+  for (const input of wrap.querySelectorAll('input[data-aspect]')) {
+    input.addEventListener('change', () => {
+      const aspect = input.dataset.aspect;
+      const others = slotTotal(config) - (config[aspect] || 0);
+      // Clamp so the power never holds more than MAX_SLOTS enhancements
+      const value = Math.max(0, Math.min(MAX_SLOTS - others, parseInt(input.value, 10) || 0));
+      input.value = value;
+      config[aspect] = value;
+      commit();
+    });
+  }
+
+  for (const input of wrap.querySelectorAll('input[data-piece]')) {
+    input.addEventListener('change', () => {
+      const { set, piece } = input.dataset;
+      if (input.checked) {
+        if (slotTotal(config) >= MAX_SLOTS) {
+          input.checked = false;
+          return;
+        }
+        config.pieces.push({ set, piece });
+      } else {
+        config.pieces = config.pieces.filter(p => !(p.set === set && p.piece === piece));
+      }
+      commit();
+    });
+  }
+
+  const addSet = wrap.querySelector('.power-slot-add-set');
+  if (addSet) {
+    addSet.addEventListener('change', () => {
+      if (!addSet.value) return;
+      if (!_shownSets.has(power.slug)) _shownSets.set(power.slug, new Set());
+      _shownSets.get(power.slug).add(addSet.value);
+      // Picking a set makes the slotting custom so the choice sticks across re-renders
+      commit();
+    });
+  }
+
+  wrap.querySelector('.power-slots-reset').addEventListener('click', () => {
+    _shownSets.delete(power.slug);
+    if (_powerSlotCallback) _powerSlotCallback(power.slug, null);
+  });
+
+  return wrap;
+}
+
+export function renderResults({ rangedChains, hybridChains, aoeChains, numTargets, target }, container) {
   container.innerHTML = '';
 
   const hasRanged = rangedChains && rangedChains.length > 0;
@@ -199,6 +696,18 @@ export function renderResults({ rangedChains, hybridChains, aoeChains, numTarget
     return;
   }
 
+  if (target) {
+    const header = document.createElement('div');
+    header.className = 'results-target';
+    header.innerHTML = `
+      <span class="results-target-label">vs ${describeTarget(target)}</span>
+      <span class="results-target-mods">
+        damage &times;${target.damageMod.toFixed(2)} | accuracy &times;${levelAccuracyModifier(target.effectiveOffset).toFixed(2)}
+      </span>
+    `;
+    container.appendChild(header);
+  }
+
   if (hasAoe) {
     renderChainSection(aoeChains, container, 'aoe', `AoE Chain (${numTargets} targets)`, true);
   }
@@ -242,9 +751,11 @@ function renderChainSection(chains, container, sectionId, heading, showTargets)
       li.className = i === 0 ? 'active' : '';
       const label = chain.powers.map(p => p.name).join(' > ');
       const hasBuff = chain.buffedDps != null;
+      const runsDry = chain.endurance && !chain.endurance.sustainable;
       li.innerHTML = `
         <span class="chain-label">${i + 1}. ${label}</span>
         <span class="chain-dps-group">
+          ${runsDry ? `<span class="chain-end-short" title="Runs out of endurance">${formatTimeToEmpty(chain.endurance.timeToEmpty)}</span>` : ''}
           ${hasBuff ? `<span class="chain-dps-buffed">${chain.buffedDps.toFixed(1)}</span>` : ''}
           <span class="chain-dps">${chain.dps.toFixed(1)} DPS</span>
         </span>
@@ -264,6 +775,203 @@ function renderChainSection(chains, container, sectionId, heading, showTargets)
   container.appendChild(section);
 }
 
+// Sweep panel: the setting to sweep fills in its default range; targets sweeps only
+// run the AoE pass
+export function initSweepControls() {
+  const param = document.getElementById('sweep-param-select');
+  const pass = document.getElementById('sweep-pass-select');
+  param.innerHTML = Object.entries(SWEEP_PARAMETERS)
+    .map(([id, p]) => `<option value="${id}">${p.label}${p.unit ? ` (${p.unit})` : ''}</option>`).join('');
+  pass.innerHTML = Object.entries(SWEEP_PASSES).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('');
+
+  const applyDefaults = () => {
+    const parameter = SWEEP_PARAMETERS[param.value];
+    document.getElementById('sweep-from-input').value = parameter.from;
+    document.getElementById('sweep-to-input').value = parameter.to;
+    document.getElementById('sweep-step-input').value = parameter.step;
+    if (parameter.pass) pass.value = parameter.pass;
+    pass.disabled = !!parameter.pass;
+  };
+  param.addEventListener('change', applyDefaults);
+  applyDefaults();
+}
+
+export function getSweepConfigFromUI() {
+  return {
+    parameter: document.getElementById('sweep-param-select').value,
+    pass: document.getElementById('sweep-pass-select').value,
+    from: parseFloat(document.getElementById('sweep-from-input').value),
+    to: parseFloat(document.getElementById('sweep-to-input').value),
+    step: parseFloat(document.getElementById('sweep-step-input').value),
+  };
+}
+
+const SWEEP_CHART = { width: 640, height: 280, left: 52, right: 16, top: 16, bottom: 40 };
+
+// Sweep result: the chart, a legend of the best chains met along it, and the breakpoints.
+// status is a progress line shown above while points are still coming in.
+export function renderSweep({ parameter, pass, points, breakpoints }, container, status = null) {
+  const { label, unit } = SWEEP_PARAMETERS[parameter];
+  // One color per distinct chain, in the order the sweep meets them
+  const chainKeys = [...new Set(points.filter(p => p.key != null).map(p => p.key))];
+  const colorOf = key => TIMELINE_COLORS[chainKeys.indexOf(key) % TIMELINE_COLORS.length];
+  const legend = chainKeys.map(key => {
+    const point = points.find(p => p.key === key);
+    return `<li><span class="sweep-swatch" style="background: ${colorOf(key)}"></span>${point.label}</li>`;
+  }).join('');
+
+  const breakpointRows = breakpoints.map(b => `
+    <tr>
+      <td>${b.after}${unit} &rarr; ${b.value}${unit}</td>
+      <td>${b.from}</td>
+      <td>${b.to}</td>
+      <td class="num">${b.dpsChange >= 0 ? '+' : ''}${b.dpsChange.toFixed(1)}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    ${status ? `<p class="loading" id="sweep-status">${status}</p>` : ''}
+    <div class="results-section">
+      <h2 class="results-section-heading">${SWEEP_PASSES[pass].label}: DPS vs ${label}</h2>
+      ${renderSweepChart(points, breakpoints, `${label}${unit ? ` (${unit})` : ''}`, colorOf)}
+      ${legend ? `<ul class="sweep-legend">${legend}</ul>` : ''}
+      ${breakpoints.length > 0 ? `
+      <table class="breakdown-table">
+        <thead><tr><th>Breakpoint</th><th>Best Chain Before</th><th>Best Chain After</th><th>DPS Change</th></tr></thead>
+        <tbody>${breakpointRows}</tbody>
+      </table>` : status ? '' : '<p class="compare-note">The best chain is the same across the whole range.</p>'}
+    </div>
+  `;
+}
+
+function renderSweepChart(points, breakpoints, axisLabel, colorOf) {
+  const valid = points.filter(p => p.dps != null);
+  if (valid.length === 0) return '<p class="compare-note">No chains found yet.</p>';
+
+  const { width, height, left, right, top, bottom } = SWEEP_CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const xMin = points[0].value;
+  const xMax = points[points.length - 1].value;
+  const dpsValues = valid.flatMap(p => (p.buffedDps != null ? [p.dps, p.buffedDps] : [p.dps]));
+  const yMin = Math.floor(Math.min(...dpsValues) * 0.95 / 10) * 10;
+  const yMax = Math.ceil(Math.max(...dpsValues) * 1.02 / 10) * 10;
+  const x = value => left + (xMax > xMin ? (value - xMin) / (xMax - xMin) : 0.5) * plotWidth;
+  const y = dps => top + (1 - (dps - yMin) / (yMax - yMin || 1)) * plotHeight;
+
+  let grid = '';
+  for (let i = 0; i <= 4; i++) {
+    const dps = yMin + (yMax - yMin) * i / 4;
+    grid += `<line class="sweep-grid" x1="${left}" x2="${width - right}" y1="${y(dps)}" y2="${y(dps)}"/>`
+      + `<text x="${left - 6}" y="${y(dps) + 3}" text-anchor="end">${dps.toFixed(0)}</text>`;
+  }
+  // At most about ten value labels along the bottom
+  const every = Math.ceil(points.length / 10);
+  points.forEach((p, i) => {
+    if (i % every === 0 || i === points.length - 1) {
+      grid += `<text x="${x(p.value)}" y="${height - bottom + 14}" text-anchor="middle">${p.value}</text>`;
+    }
+  });
+
+  const line = series => series.map(p => `${x(p.value).toFixed(1)},${y(p.dps).toFixed(1)}`).join(' ');
+  const buffed = valid.filter(p => p.buffedDps != null).map(p => ({ value: p.value, dps: p.buffedDps }));
+  const breaks = breakpoints.map(b => {
+    const at = x((b.after + b.value) / 2);
+    return `<line class="sweep-break" x1="${at}" x2="${at}" y1="${top}" y2="${height - bottom}"/>`;
+  }).join('');
+  const dots = valid.map(p => `<circle cx="${x(p.value).toFixed(1)}" cy="${y(p.dps).toFixed(1)}" r="3.5" fill="${colorOf(p.key)}">`
+    + `<title>${p.value}: ${p.dps.toFixed(1)} DPS, ${p.label}</title></circle>`).join('');
+
+  return `
+    <svg class="sweep-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="DPS vs ${axisLabel}">
+      ${grid}
+      ${breaks}
+      ${buffed.length > 1 ? `<polyline class="sweep-line buffed" points="${line(buffed)}"/>` : ''}
+      <polyline class="sweep-line" points="${line(valid)}"/>
+      ${dots}
+      <text x="${left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">${axisLabel}</text>
+      <text x="12" y="${top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 12 ${top + plotHeight / 2})">DPS</text>
+    </svg>
+  `;
+}
+
+// Compare mode snapshots are lettered in the order they were added
+export function snapshotLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// Snapshot list under the run button; onRemove(index) drops one
+export function renderSnapshots(snapshotInputs, onRemove) {
+  const list = document.getElementById('snapshot-list');
+  list.replaceChildren(...snapshotInputs.map((inputs, i) => {
+    const { global } = inputs.slotConfig;
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="snapshot-label">${snapshotLabel(i)}</span>
+      <span class="snapshot-summary">${inputs.primary}/${inputs.secondary} L${inputs.level}, +${inputs.rechargeBonus}% rech, ${global.accuracy}/${global.damage}/${global.recharge} ${global.origin.toUpperCase()}</span>
+      <button type="button" class="snapshot-remove" title="Remove">&times;</button>
+    `;
+    item.querySelector('.snapshot-remove').addEventListener('click', () => onRemove(i));
+    return item;
+  }));
+  document.getElementById('snapshot-add-btn').disabled = snapshotInputs.length >= MAX_SNAPSHOTS;
+  document.getElementById('compare-run-btn').disabled = snapshotInputs.length < 2;
+  document.getElementById('snapshot-clear-btn').disabled = snapshotInputs.length === 0;
+}
+
+function formatDelta(delta, pct) {
+  if (delta == null) return '';
+  const sign = delta >= 0 ? '+' : '';
+  const cls = Math.abs(delta) < 0.05 ? '' : delta > 0 ? 'up' : 'down';
+  return `<span class="compare-delta ${cls}">${sign}${delta.toFixed(1)}${pct != null ? ` (${sign}${pct.toFixed(1)}%)` : ''}</span>`;
+}
+
+// Compare mode: the settings that differ, then each pass's best chain per snapshot with
+// its DPS change from the first snapshot and the powers that came or went
+export function renderComparison({ labels, differences, rows }, container) {
+  const header = `<tr><th>Setting</th>${labels.map(l => `<th>${l}</th>`).join('')}</tr>`;
+  const settings = differences.length > 0
+    ? `<table class="breakdown-table compare-settings">
+        <thead>${header}</thead>
+        <tbody>${differences.map(d => `<tr><td>${d.key}</td>${d.values.map(v => `<td>${v}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`
+    : '<p class="compare-note">The snapshots have the same settings.</p>';
+
+  const sections = rows.map(row => {
+    const cards = row.entries.map((entry, i) => {
+      if (!entry) {
+        return `<div class="compare-card"><div class="compare-card-label">${labels[i]}</div><p class="compare-note">No feasible chain</p></div>`;
+      }
+      const powers = entry.chain.powers
+        .map(p => `<span class="chain-power${entry.added.includes(p.name) ? ' added' : ''}">${p.name}</span>`)
+        .join('<span class="chain-arrow"> &rarr; </span>');
+      let composition = '';
+      if (i > 0) {
+        composition = entry.changed
+          ? `<div class="compare-note">${entry.removed.length > 0 ? `Dropped ${entry.removed.join(', ')}` : 'Same powers, different mix'}</div>`
+          : '<div class="compare-note">Same powers</div>';
+      }
+      return `
+        <div class="compare-card${entry.changed ? ' changed' : ''}">
+          <div class="compare-card-label">${labels[i]}${i === 0 ? ' (baseline)' : ''}</div>
+          <div class="compare-dps"><span class="stat-value dps">${entry.dps.toFixed(1)}</span> DPS ${formatDelta(entry.delta, entry.deltaPct)}</div>
+          ${entry.buffedDps != null ? `<div class="compare-buffed">Buffed ${entry.buffedDps.toFixed(1)} ${formatDelta(entry.buffedDelta)}</div>` : ''}
+          <div class="chain-visual compare-chain">${powers}</div>
+          ${composition}
+        </div>
+      `;
+    }).join('');
+    return `
+      <div class="results-section">
+        <h2 class="results-section-heading">${row.label}</h2>
+        <div class="compare-grid" style="grid-template-columns: repeat(${labels.length}, minmax(0, 1fr));">${cards}</div>
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `<div class="compare-settings-wrap">${settings}</div>${sections}`;
+}
+
 const TIMELINE_COLORS = [
   '#00d4ff', // cyan
   '#f0a030', // amber
@@ -309,6 +1017,7 @@ function renderTimeline(events, totalTime) {
 }
 
 function renderChainDetail(chain, index, showTargets) {
+  const inherentName = chain.inherentName || 'Defiance';
   const chainVisual = chain.powers
     .map(p => `<span class="chain-power">${p.name}</span>`)
     .join('<span class="chain-arrow"> &rarr; </span>');
@@ -322,13 +1031,16 @@ function renderChainDetail(chain, index, showTargets) {
       <td class="num">${p.effectiveRecharge.toFixed(1)}s</td>
       <td class="num">${p.dpa.toFixed(1)}</td>
       <td class="num">${p.defianceBuff ? `+${((p.defianceBuff - 1) * 100).toFixed(1)}%` : '-'}</td>
+      <td class="num">${((p.hitChance ?? 1) * 100).toFixed(0)}%</td>
       <td class="num">${p.enduranceCost.toFixed(1)}</td>
       <td>${p.effectArea === 'SingleTarget' ? 'ST' : p.effectArea}</td>
       ${showTargets ? `<td class="num">${p.targetsHit || 1}</td>` : ''}
     </tr>
-  `).join('');
+  `).join('') + renderInterfaceRow(chain.interface, showTargets);
 
   const hasBuffOverlay = chain.buffedDps != null;
+  // Expected DPS differs from "all hits" once a hit chance below 100% is in play
+  const hasHitModel = chain.allHitsDps != null && chain.allHitsDps - chain.dps > 1e-6;
 
   // Buff overlay section — a visually distinct block explaining what's happening
   const buffOverlayHtml = hasBuffOverlay ? renderBuffOverlay(chain) : '';
@@ -339,9 +1051,14 @@ function renderChainDetail(chain, index, showTargets) {
     ${renderTimeline(chain.timeline, chain.totalTime)}
     <div class="chain-stats">
       <div class="stat-box">
-        <div class="stat-label">DPS</div>
+        <div class="stat-label">${hasHitModel ? 'Expected DPS' : 'DPS'}</div>
         <div class="stat-value dps">${chain.dps.toFixed(1)}</div>
       </div>
+      ${hasHitModel ? `
+      <div class="stat-box">
+        <div class="stat-label">All Hits DPS</div>
+        <div class="stat-value">${chain.allHitsDps.toFixed(1)}</div>
+      </div>` : ''}
       <div class="stat-box">
         <div class="stat-label">Cycle Time</div>
         <div class="stat-value">${chain.totalTime.toFixed(2)}s</div>
@@ -351,14 +1068,22 @@ function renderChainDetail(chain, index, showTargets) {
         <div class="stat-value">${chain.totalDamage.toFixed(1)}</div>
       </div>
       <div class="stat-box">
-        <div class="stat-label">Avg Defiance</div>
+        <div class="stat-label">Avg ${inherentName}</div>
         <div class="stat-value">${chain.avgDefianceBuff ? `+${((chain.avgDefianceBuff - 1) * 100).toFixed(1)}%` : '0%'}</div>
       </div>
       <div class="stat-box">
         <div class="stat-label">End/sec</div>
         <div class="stat-value">${chain.eps.toFixed(2)}</div>
       </div>
+      ${chain.endurance ? `
+      <div class="stat-box">
+        <div class="stat-label">Time to Empty</div>
+        <div class="stat-value ${chain.endurance.sustainable ? 'end-ok' : 'end-short'}">${formatTimeToEmpty(chain.endurance.timeToEmpty)}</div>
+      </div>` : ''}
     </div>
+    ${renderEnduranceBudget(chain.endurance)}
+    ${renderDamageTypes(chain)}
+    ${renderDamageLedger(chain.damageLedger)}
     <table class="breakdown-table" style="margin-top: 1rem;">
       <thead>
         <tr>
@@ -368,7 +1093,8 @@ function renderChainDetail(chain, index, showTargets) {
           <th>Arcana</th>
           <th>Eff. Rech</th>
           <th>DPA</th>
-          <th>Defiance</th>
+          <th>${inherentName}</th>
+          <th>Hit</th>
           <th>End</th>
           <th>Area</th>
           ${showTargets ? '<th>Targets</th>' : ''}
@@ -380,8 +1106,97 @@ function renderChainDetail(chain, index, showTargets) {
   `;
 }
 
+// Interface proc line under the power breakdown: its DoTs per cycle, and the resistance
+// debuff it held with the damage that added to the attacks
+function renderInterfaceRow(proc, showTargets) {
+  if (!proc) return '';
+  const debuff = proc.avgResDebuff > 0
+    ? ` &middot; avg &minus;${(proc.avgResDebuff * 100).toFixed(1)}% res (+${proc.debuffDps.toFixed(1)} DPS)`
+    : '';
+  return `
+    <tr class="interface-row">
+      <td>${proc.name}</td>
+      <td class="num">${proc.dotDamage.toFixed(1)}</td>
+      <td colspan="${showTargets ? 9 : 8}">DoT ${proc.dotDps.toFixed(1)} DPS${debuff}</td>
+    </tr>
+  `;
+}
+
+function formatTimeToEmpty(seconds) {
+  if (seconds === Infinity) return 'Never';
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+}
+
+// Endurance per second in and out of the chain (see enduranceVerdict)
+function renderEnduranceBudget(endurance) {
+  if (!endurance) return '';
+  const verdict = endurance.sustainable
+    ? (endurance.net >= 0 ? 'Sustainable' : 'Lasts the fight')
+    : 'Unsustainable';
+  return `
+    <div class="chain-endurance ${endurance.sustainable ? 'end-ok' : 'end-short'}">
+      <span class="chain-endurance-verdict">${verdict}</span>
+      <span>Recovery ${endurance.recovery.toFixed(2)}/s</span>
+      ${endurance.gain > 0 ? `<span>Gain ${endurance.gain.toFixed(2)}/s</span>` : ''}
+      <span>Spend ${endurance.spend.toFixed(2)}/s</span>
+      <span>Net ${endurance.net >= 0 ? '+' : ''}${endurance.net.toFixed(2)}/s</span>
+    </div>
+  `;
+}
+
+// Share of the chain's cycle damage by damage type, largest first
+function renderDamageTypes(chain) {
+  const entries = Object.entries(chain.damageByType || {})
+    .filter(([, damage]) => damage > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return '';
+
+  const total = entries.reduce((sum, [, damage]) => sum + damage, 0);
+  const rows = entries.map(([type, damage]) => {
+    const share = damage / total * 100;
+    return `
+      <div class="damage-type-row">
+        <span class="damage-type-name">${damageTypeLabel(type)}</span>
+        <div class="damage-type-bar-track">
+          <div class="damage-type-bar-fill" style="width: ${share}%"></div>
+        </div>
+        <span class="damage-type-value">${(damage / chain.totalTime).toFixed(1)} DPS</span>
+        <span class="damage-type-share">${share.toFixed(0)}%</span>
+      </div>
+    `;
+  }).join('');
+
+  return `<div class="damage-types">${rows}</div>`;
+}
+
+// Damage strength by source, averaged over the chain, against the archetype cap
+function renderDamageLedger(ledger) {
+  if (!ledger) return '';
+  const pct = value => `${(value * 100).toFixed(1)}%`;
+  const rows = ledger.sources.map(source => `
+    <div class="damage-ledger-row">
+      <span class="damage-ledger-label">${source.label}</span>
+      <span class="damage-ledger-value">${source.id === 'base' ? '' : '+'}${pct(source.value)}</span>
+    </div>
+  `).join('');
+  const hasCap = Number.isFinite(ledger.cap);
+
+  return `
+    <div class="damage-ledger">
+      <div class="damage-ledger-title">Damage Strength</div>
+      ${rows}
+      <div class="damage-ledger-row damage-ledger-total${ledger.overCap > 0 ? ' over-cap' : ''}">
+        <span class="damage-ledger-label">Total${hasCap ? ` (cap ${pct(ledger.cap)})` : ''}</span>
+        <span class="damage-ledger-value">${pct(ledger.total)}${ledger.overCap > 0 ? ` &rarr; ${pct(ledger.capped)}` : ''}</span>
+      </div>
+    </div>
+  `;
+}
+
 function renderBuffOverlay(chain) {
   const buffNames = (chain.buffPowerNames || []).join(' + ');
+  const clickCount = (chain.clickBuffNames || []).length + (chain.incarnateClickNames || []).length;
+  const hasTeamEffects = (chain.buffPowerNames || []).length > clickCount;
   const uptimePct = (chain.buffUptime * 100).toFixed(1);
   const dpsGain = chain.buffedDps - chain.dps;
   const dpsPct = ((dpsGain / chain.dps) * 100).toFixed(1);
@@ -393,7 +1208,9 @@ function renderBuffOverlay(chain) {
     <div class="buff-overlay-section">
       <div class="buff-overlay-header">
         <span class="buff-overlay-title">With ${buffNames}</span>
-        <span class="buff-overlay-desc">Fired on cooldown between chain rotations</span>
+        <span class="buff-overlay-desc">${hasTeamEffects
+          ? 'Clicks fired on cooldown, team effects on their refresh period'
+          : 'Fired on cooldown between chain rotations'}</span>
       </div>
       <div class="buff-overlay-body">
         <div class="buff-overlay-dps">
@@ -413,6 +1230,21 @@ function renderBuffOverlay(chain) {
             <span class="buff-overlay-detail-label">Avg Damage Bonus</span>
             <span class="buff-overlay-detail-value">+${((chain.avgBuffMult - 1) * 100).toFixed(1)}%</span>
           </div>
+          ${chain.rechargeBuffUptime > 0 ? `
+          <div class="buff-overlay-detail-row">
+            <span class="buff-overlay-detail-label">Hasten Uptime</span>
+            <span class="buff-overlay-detail-value">${(chain.rechargeBuffUptime * 100).toFixed(1)}%</span>
+          </div>` : ''}
+          ${(chain.clickAttackDps || []).map(click => `
+          <div class="buff-overlay-detail-row">
+            <span class="buff-overlay-detail-label">${click.name}</span>
+            <span class="buff-overlay-detail-value">+${click.dps.toFixed(1)} DPS</span>
+          </div>`).join('')}
+          ${chain.buffedAllHitsDps != null && chain.buffedAllHitsDps - chain.buffedDps > 1e-6 ? `
+          <div class="buff-overlay-detail-row">
+            <span class="buff-overlay-detail-label">All Hits DPS</span>
+            <span class="buff-overlay-detail-value">${chain.buffedAllHitsDps.toFixed(1)}</span>
+          </div>` : ''}
         </div>
       </div>
     </div>
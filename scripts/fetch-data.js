@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
 // Fetches power data from City of Data API and saves as static JSON files.
-// Usage: node scripts/fetch-data.js
+// Also writes the powerset manifests (data/index.json, data/<archetype>/index.json)
+// that the browser uses to discover powersets, powers and redirect/pet links.
+// Usage: node scripts/fetch-data.js [--index-only]
+//   --index-only  Rebuild the manifests from the JSON already on disk (no network)
 
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, mkdirSync, existsSync, readdirSync, readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -12,15 +15,64 @@ const ROOT = join(__dirname, '..');
 const DATA_DIR = join(ROOT, 'data');
 const BASE_URL = 'https://cod.cohcb.com/homecoming';
 
+// Archetypes whose modifier tables are fetched; each has an inherent model in js/inherents.js.
+// An archetype shows up in the app once POWERSETS lists at least one of its powersets.
+const ARCHETYPES = ['blaster', 'brute', 'corruptor', 'dominator', 'scrapper', 'sentinel', 'stalker'];
+
+const BLASTER_PRIMARIES = [
+  'archery', 'assault_rifle', 'beam_rifle', 'dark_blast', 'dual_pistols', 'electrical_blast',
+  'energy_blast', 'fire_blast', 'ice_blast', 'psychic_blast', 'radiation_blast',
+  'sonic_attack', 'water_blast',
+];
+
+const BLASTER_SECONDARIES = [
+  'atomic_manipulation', 'darkness_manipulation', 'devices', 'electricity_manipulation',
+  'energy_manipulation', 'fire_manipulation', 'ice_manipulation', 'martial_combat',
+  'mental_manipulation', 'ninja_training', 'plant_manipulation', 'tactical_arrow',
+  'temporal_manipulation',
+];
+
 const POWERSETS = [
-  { archetype: 'blaster', category: 'blaster_ranged', powerset: 'fire_blast' },
-  { archetype: 'blaster', category: 'blaster_support', powerset: 'fire_manipulation' },
+  ...BLASTER_PRIMARIES.map(powerset => ({ archetype: 'blaster', category: 'blaster_ranged', powerset })),
+  ...BLASTER_SECONDARIES.map(powerset => ({ archetype: 'blaster', category: 'blaster_support', powerset })),
 ];
 
-// Hardcoded power slugs per powerset (no powerset index endpoint exists)
+// Power slugs to fetch per powerset (no powerset index endpoint exists).
+// This is the only hand-maintained list: the browser reads the generated manifests.
+// Slugs are the internal power names; a wrong or retired slug is skipped, listed at the
+// end of the run and makes the fetcher exit with an error. Only the Fire Blast and Fire
+// Manipulation slugs have been checked against the API (their data is bundled); the
+// rest are unverified until a fetch run succeeds.
 const POWER_SLUGS = {
+  // Blaster primaries
+  archery: ['snap_shot', 'aimed_shot', 'fistful_of_arrows', 'blazing_arrow', 'aim', 'explosive_arrow', 'ranged_shot', 'stunning_shot', 'rain_of_arrows'],
+  assault_rifle: ['burst', 'slug', 'buckshot', 'm30_grenade', 'beanbag', 'sniper_rifle', 'flamethrower', 'ignite', 'full_auto'],
+  beam_rifle: ['single_shot', 'charged_shot', 'cutting_beam', 'disintegrate', 'aim', 'lancer_shot', 'penetrating_ray', 'piercing_beam', 'overcharge'],
+  dark_blast: ['dark_blast', 'gloom', 'moonbeam', 'tenebrous_tentacles', 'night_fall', 'aim', 'abyssal_gaze', 'life_drain', 'torrent', 'blackstar'],
+  dual_pistols: ['pistols', 'dual_wield', 'empty_clips', 'bullet_rain', 'suppressive_fire', 'executioners_shot', 'piercing_rounds', 'swap_ammo', 'hail_of_bullets'],
+  electrical_blast: ['charged_bolts', 'lightning_bolt', 'ball_lightning', 'short_circuit', 'aim', 'zapp', 'tesla_cage', 'voltaic_sentinel', 'thunderous_blast'],
+  energy_blast: ['power_bolt', 'power_blast', 'energy_torrent', 'power_burst', 'sniper_blast', 'aim', 'power_push', 'explosive_blast', 'nova'],
   fire_blast: ['flares', 'fire_blast', 'fire_ball', 'fire_breath', 'aim', 'blaze', 'blazing_bolt', 'inferno', 'rain_of_fire'],
+  ice_blast: ['ice_bolt', 'ice_blast', 'frost_breath', 'aim', 'freeze_ray', 'ice_storm', 'bitter_ice_blast', 'bitter_freeze_ray', 'blizzard'],
+  psychic_blast: ['mental_blast', 'subdue', 'psychic_scream', 'telekinetic_blast', 'aim', 'will_domination', 'psionic_lance', 'psionic_tornado', 'psychic_wail'],
+  radiation_blast: ['neutrino_bolt', 'x_ray_beam', 'irradiate', 'electron_haze', 'aim', 'proton_volley', 'cosmic_burst', 'neutron_bomb', 'atomic_blast'],
+  sonic_attack: ['shriek', 'scream', 'howl', 'shockwave', 'shout', 'amplify', 'sirens_song', 'screech', 'dreadful_wail'],
+  water_blast: ['aqua_bolt', 'hydro_blast', 'water_burst', 'whirlpool', 'tidal_forces', 'dehydrate', 'water_jet', 'steam_spray', 'geyser'],
+
+  // Blaster secondaries
+  atomic_manipulation: ['electron_shackles', 'positronic_fist', 'negatively_charged', 'metabolic_acceleration', 'radioactive_cloud', 'beta_particles', 'ionize', 'atom_smasher', 'build_up'],
+  darkness_manipulation: ['smite', 'shadow_punch', 'death_shroud', 'touch_of_the_beyond', 'soul_drain', 'dark_consumption', 'shadow_maul', 'touch_of_fear', 'midnight_grasp'],
+  devices: ['web_grenade', 'caltrops', 'targeting_drone', 'smoke_grenade', 'field_medic', 'cloaking_device', 'trip_mine', 'time_bomb', 'gun_drone'],
+  electricity_manipulation: ['electric_fence', 'charged_brawl', 'lightning_field', 'build_up', 'havoc_punch', 'lightning_clap', 'energize', 'thunder_strike', 'shocking_grasp'],
+  energy_manipulation: ['power_thrust', 'energy_punch', 'build_up', 'bone_smasher', 'conserve_power', 'stun', 'boost_range', 'power_boost', 'total_focus'],
   fire_manipulation: ['ring_of_fire', 'fire_sword', 'build_up', 'combustion', 'blazing_aura', 'hot_feet', 'burn', 'consume', 'fire_sword_circle'],
+  ice_manipulation: ['chilblain', 'frozen_fists', 'ice_sword', 'chilling_embrace', 'build_up', 'ice_patch', 'shiver', 'freezing_touch', 'frozen_aura'],
+  martial_combat: ['ki_push', 'throw_sand', 'burst_of_speed', 'reach_for_the_limit', 'dragons_tail', 'inner_will', 'storm_kick', 'eagles_claw', 'mystic_flight'],
+  mental_manipulation: ['subdual', 'mind_probe', 'concentration', 'indomitable_will', 'psychic_shockwave', 'drain_psyche', 'telekinetic_thrust', 'world_of_pain', 'link_minds'],
+  ninja_training: ['gamblers_cut', 'caltrops', 'kuji_in_rin', 'immobilizing_dart', 'blinding_powder', 'build_up', 'sting_of_the_wasp', 'kuji_in_zen', 'golden_dragonfly'],
+  plant_manipulation: ['entangle', 'skewer', 'toxins', 'thorn_burst', 'roots', 'wild_growth', 'strangler', 'spirit_tree', 'entangling_aura'],
+  tactical_arrow: ['electrified_net_arrow', 'upshot', 'glue_arrow', 'eagle_eye', 'esd_arrow', 'gymnastics', 'field_operative', 'oil_slick_arrow', 'build_up'],
+  temporal_manipulation: ['time_wall', 'chrono_kinesis', 'time_shift', 'temporal_bomb', 'build_up', 'time_crawl', 'chronoshift', 'time_stop', 'timeless_strike'],
 };
 
 async function fetchJSON(url) {
@@ -44,14 +96,16 @@ async function fetchArchetypeTables(archetype) {
   return data;
 }
 
+// Returns the "<powerset>/<slug>: <error>" of every power that couldn't be fetched
 async function fetchPowerset(archetype, category, powerset) {
   console.log(`\nFetching powerset: ${category}/${powerset}...`);
   const setDir = join(DATA_DIR, archetype, powerset);
   const powerSlugs = POWER_SLUGS[powerset];
+  const failures = [];
 
   if (!powerSlugs) {
     console.error(`  No hardcoded power slugs for ${powerset}`);
-    return;
+    return [`${powerset}: no power slugs listed`];
   }
 
   for (const slug of powerSlugs) {
@@ -63,64 +117,197 @@ async function fetchPowerset(archetype, category, powerset) {
       saveJSON(join(setDir, `${slug}.json`), powerData);
 
       // Check for redirect/pet powers (like Blazing Bolt -> quick mode)
-      await fetchPetPowers(powerData, setDir, category, powerset, slug);
+      await fetchPetPowers(powerData, setDir);
     } catch (err) {
       console.error(`  ERROR fetching ${slug}: ${err.message}`);
+      failures.push(`${powerset}/${slug}: ${err.message}`);
     }
   }
+  return failures;
 }
 
-async function fetchPetPowers(powerData, setDir, category, powerset, powerName) {
-  const effects = powerData.effects || [];
-  for (const effect of effects) {
-    const templates = effect.templates || [];
-    for (const tpl of templates) {
-      // Look for Grant_Power or entity-spawning effects that point to pet powers
-      if (tpl.type === 'EntCreate' && tpl.entity_name) {
-        const entityName = tpl.entity_name;
-        console.log(`  Found entity spawn: ${entityName}`);
-        // Try to fetch the pet power data
-        try {
-          const parts = entityName.split('.');
-          const petCategory = parts.length > 1 ? parts.slice(0, -1).join('/') : `pets/${category}`;
-          const petName = parts[parts.length - 1];
-          // Try common pet power URL patterns
-          const petUrl = `${BASE_URL}/powers/pets/${entityName.replace(/\./g, '/')}.json`;
-          const petData = await fetchJSON(petUrl);
-          const petSlug = entityName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
-          const petsDir = join(setDir, 'pets');
-          saveJSON(join(petsDir, `${petSlug}.json`), petData);
-        } catch (err) {
-          console.log(`  Could not fetch pet entity ${entityName}: ${err.message}`);
-        }
-      }
+// Pet/redirect power data lives under /powers/pets/<set>/<power>.json
+function petPowerUrl(fullName) {
+  const path = fullName.replace(/^Pets\./, '').toLowerCase().split('.').join('/');
+  return `${BASE_URL}/powers/pets/${path}.json`;
+}
+
+async function fetchPetPowers(powerData, setDir) {
+  const petsDir = join(setDir, 'pets');
+
+  // Redirect powers (snipe quick/normal variants) are listed on the power itself
+  for (const redirect of (powerData.redirect || [])) {
+    console.log(`  Found redirect to: ${redirect.name}`);
+    try {
+      const redirectData = await fetchJSON(petPowerUrl(redirect.name));
+      saveJSON(join(petsDir, `${slugify(redirect.name)}.json`), redirectData);
+    } catch (err) {
+      console.log(`  Could not fetch redirect ${redirect.name}: ${err.message}`);
+    }
+  }
 
-      // Look for redirect powers (like sniper engaged mode)
-      if (tpl.type === 'Redirect' && tpl.power_name) {
-        console.log(`  Found redirect to: ${tpl.power_name}`);
-        try {
-          const redirectUrl = `${BASE_URL}/powers/${tpl.power_name.replace(/\./g, '/')}.json`;
-          const redirectData = await fetchJSON(redirectUrl);
-          const slug = tpl.power_name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
-          const petsDir = join(setDir, 'pets');
-          saveJSON(join(petsDir, `${slug}.json`), redirectData);
-        } catch (err) {
-          console.log(`  Could not fetch redirect ${tpl.power_name}: ${err.message}`);
-        }
+  // Entity spawns (Rain of Fire etc.): Pets_RainofFire -> Pets.RainofFire.RainofFire
+  for (const effect of (powerData.effects || [])) {
+    for (const tpl of (effect.templates || [])) {
+      const params = tpl.params;
+      if (!params || params.type !== 'EntCreate' || !params.entity_def) continue;
+
+      const entityName = params.entity_def.replace(/^Pets_/i, '');
+      console.log(`  Found entity spawn: ${params.entity_def}`);
+      try {
+        const petData = await fetchJSON(petPowerUrl(`Pets.${entityName}.${entityName}`));
+        saveJSON(join(petsDir, `${slugify(entityName)}_${slugify(entityName)}.json`), petData);
+      } catch (err) {
+        console.log(`  Could not fetch pet entity ${params.entity_def}: ${err.message}`);
       }
     }
   }
 }
 
+function readJSON(filePath) {
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function formatName(slug) {
+  return slug.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Index pet/redirect files in <powerset>/pets by their full power name.
+// Several files can share a full name (older fetches used shorter slugs);
+// prefer the one whose slug matches what fetchPetPowers writes today.
+function indexPetFiles(setDir) {
+  const petsDir = join(setDir, 'pets');
+  const byFullName = {};
+  if (!existsSync(petsDir)) return byFullName;
+
+  for (const file of readdirSync(petsDir).filter(f => f.endsWith('.json')).sort()) {
+    const slug = file.replace(/\.json$/, '');
+    const fullName = readJSON(join(petsDir, file)).full_name;
+    if (!fullName) continue;
+    if (!byFullName[fullName] || slug === slugify(fullName)) {
+      byFullName[fullName] = slug;
+    }
+  }
+  return byFullName;
+}
+
+// Resolve the redirect and pet files a power depends on.
+// Redirects: snipes pick the quick (engaged) or normal variant by condition.
+// Pets: EntCreate templates name an entity def (e.g. Pets_RainofFire) whose
+// power lives under Pets.<Entity>.* in the pets directory.
+function resolvePowerLinks(powerData, petFiles) {
+  const links = {};
+
+  for (const redirect of (powerData.redirect || [])) {
+    const petSlug = petFiles[redirect.name];
+    if (!petSlug) continue;
+    const condition = redirect.condition_expression || '';
+    if (condition.includes('kEngaged')) links.quick = petSlug;
+    else links.normal = petSlug;
+  }
+
+  for (const effect of (powerData.effects || [])) {
+    for (const tpl of (effect.templates || [])) {
+      const params = tpl.params;
+      if (!params || params.type !== 'EntCreate' || !params.entity_def) continue;
+      const prefix = `${params.entity_def.replace(/_/, '.')}.`.toLowerCase();
+      const fullName = Object.keys(petFiles).find(n => n.toLowerCase().startsWith(prefix));
+      if (fullName) links.pet = petFiles[fullName];
+    }
+  }
+
+  return Object.keys(links).length > 0 ? links : null;
+}
+
+function buildPowersetIndex(archetype, powerset, category, primaryCategory) {
+  const setDir = join(DATA_DIR, archetype, powerset);
+  const petFiles = indexPetFiles(setDir);
+
+  const powers = readdirSync(setDir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => ({ slug: f.replace(/\.json$/, ''), data: readJSON(join(setDir, f)) }))
+    .sort((a, b) => (a.data.available_level || 0) - (b.data.available_level || 0)
+      || a.slug.localeCompare(b.slug));
+
+  const links = {};
+  for (const { slug, data } of powers) {
+    const powerLinks = resolvePowerLinks(data, petFiles);
+    if (powerLinks) links[slug] = powerLinks;
+  }
+
+  // display_fullname is "<Category>.<Powerset>.<Power>"
+  const fullName = powers.length > 0 ? (powers[0].data.display_fullname || '') : '';
+  const name = fullName.split('.')[1] || formatName(powerset);
+
+  return {
+    slug: powerset,
+    name,
+    category,
+    kind: category === primaryCategory ? 'primary' : 'secondary',
+    powers: powers.map(p => p.slug),
+    links,
+  };
+}
+
+function writeIndexes() {
+  console.log('\nWriting powerset manifests...');
+  const archetypes = [...new Set(POWERSETS.map(p => p.archetype))];
+
+  for (const archetype of archetypes) {
+    const tables = readJSON(join(DATA_DIR, archetype, 'tables.json'));
+    const categories = {
+      primary: (tables.primary_category || '').toLowerCase(),
+      secondary: (tables.secondary_category || '').toLowerCase(),
+    };
+
+    const powersets = POWERSETS
+      .filter(p => p.archetype === archetype && existsSync(join(DATA_DIR, archetype, p.powerset)))
+      .map(p => buildPowersetIndex(archetype, p.powerset, p.category, categories.primary));
+
+    saveJSON(join(DATA_DIR, archetype, 'index.json'), {
+      archetype,
+      name: formatName(archetype),
+      categories,
+      powersets,
+    });
+  }
+
+  saveJSON(join(DATA_DIR, 'index.json'), {
+    archetypes: archetypes.map(slug => ({ slug, name: formatName(slug) })),
+  });
+}
+
 async function main() {
   console.log('CoH DPS Finder - Data Fetcher');
   console.log('==============================');
 
-  for (const { archetype, category, powerset } of POWERSETS) {
-    await fetchArchetypeTables(archetype);
-    await fetchPowerset(archetype, category, powerset);
+  const failures = [];
+  if (!process.argv.includes('--index-only')) {
+    for (const archetype of ARCHETYPES) {
+      try {
+        await fetchArchetypeTables(archetype);
+      } catch (err) {
+        console.error(`  ERROR fetching ${archetype} tables: ${err.message}`);
+        failures.push(`${archetype} tables: ${err.message}`);
+      }
+    }
+    for (const { archetype, category, powerset } of POWERSETS) {
+      failures.push(...await fetchPowerset(archetype, category, powerset));
+    }
   }
 
+  writeIndexes();
+
+  // Wrong slugs in POWER_SLUGS show up here (usually as 404s) rather than going unnoticed
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} item(s) could not be fetched:`);
+    for (const failure of failures) console.error(`  ${failure}`);
+    process.exit(1);
+  }
   console.log('\nDone!');
 }
 
@@ -208,5 +208,8 @@ for fpath in sorted(glob.glob(os.path.join(DATA_DIR, "*.json"))):
 
 PYEOF
 
+# Regenerate the powerset manifests the browser reads (data/index.json, data/<at>/index.json)
+node scripts/fetch-data.js --index-only
+
 echo ""
 echo "Fetching complete!"
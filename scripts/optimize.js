@@ -0,0 +1,545 @@
+#!/usr/bin/env node
+
+// Headless optimizer: runs the same parser, enhancement and chain code as the
+// browser app against the bundled data/ directory and prints ranked chains.
+// Usage: node scripts/optimize.js [options]
+//   --archetype <slug>       Archetype (default: first in data/index.json)
+//   --primary <slug>         Primary powerset (default: first primary)
+//   --secondary <slug>       Secondary powerset (default: first secondary)
+//   --level <n>              Character level, 1-50 (default: 50)
+//   --inherent <id>          What-if: simulate another inherent, e.g. fury or criticalHits, on this
+//                            archetype's tables, powers and damage cap (see --damage-cap)
+//   --recharge <pct>         Global recharge bonus in percent (default: 85)
+//   --latency <ms>           Activation latency per power (default: 40)
+//   --targets <n>            Targets for the AoE pass (default: 1 = no AoE pass)
+//   --rank <rank>            Enemy rank: minion, lieutenant, boss, elite_boss, archvillain, pylon (default: boss)
+//   --target-level <n>       Enemy level relative to you, -1 to 4 (default: 0)
+//   --defense <pct>          Target defense in percent (default: 0)
+//   --tohit <pct>            To-hit bonus in percent, e.g. Tactics or set bonuses (default: 0)
+//   --resist-preset <id>     Target resistance preset, e.g. pylon or circle_of_thorns (default: none)
+//   --resist <Type=pct,...>  Per-type target resistance overrides, e.g. Fire=30,Negative_Energy=20
+//   --res-debuff <pct>       Resistance debuff on the target in percent (default: 0)
+//   --damage-buff <pct>      External damage buffs in percent, e.g. team buffs (default: 0)
+//   --damage-cap <pct>       Override the archetype damage cap in percent (default: archetype cap)
+//   --team <preset>          Team scenario: solo, kinetics, support (default: solo)
+//   --team-effect <id[=mag/dur/period]>  Add a team effect (repeatable), magnitude in percent,
+//                            duration and refresh period in seconds, e.g. fulcrum_shift=150/30/40
+//   --max-end <n>            Max endurance (default: 100)
+//   --recovery <pct>         Recovery bonus in percent, e.g. set bonuses and accolades (default: 25)
+//   --stamina <pct>          Stamina recovery in percent, 0 without it (default: 49, slotted; 25 unslotted)
+//   --physical-perfection    Add Physical Perfection's recovery
+//   --toggle <slug,...>      Toggles left running, e.g. hot_feet,blazing_aura, or none (repeatable;
+//                            default: the ones that cost nothing and raise recovery, e.g. blazing_aura)
+//   --fight-length <s>       Chains lasting this long count as sustainable (default: 60; 0 = must never run dry)
+//   --sustainable-only       Rank only chains that are sustainable
+//   --alpha <id[:tier]>      Alpha slot, e.g. musculature or spiritual:t3_radial (default tier: t4_core)
+//   --hybrid <core|radial>   Hybrid Assault branch, run as a toggle on the buff overlay
+//   --interface <id>         Interface proc rolled on every hit, e.g. reactive_radial_flames
+//   --judgement <id>         Judgement fired on cooldown, e.g. pyronic
+//   --lore <id>              Lore pets summoned on cooldown, e.g. polar_lights
+//   --destiny <id>           Destiny fired on cooldown, e.g. ageless_core
+//   --slots <a/d/r[/e]>      Accuracy/Damage/Recharge[/EndRdx] SOs in every power (default: 1/3/1/1)
+//   --power-slots <slug=a/d/r[/e]>  Per-power slotting override (repeatable)
+//   --origin <so|io>         Generic enhancement type: Single Origin or level 50 common IO (default: so)
+//   --power-set <slug=set:piece+piece>  Slot invention set pieces in a power (repeatable), e.g.
+//                            flares=thunderstrike:acc_dmg+dmg_rech+acc_dmg_rech
+//   --pool <slug,...>        Pool powers to add, e.g. hasten (repeatable; default: none)
+//   --disable <slug,...>     Powers to leave out of the search (repeatable)
+//   --top <n>                Chains to print per pass (default: 5)
+//   --format <fmt>           Output format: table, json, csv or markdown (default: table)
+//
+// Example recharge sweep:
+//   for r in 50 70 90 110; do node scripts/optimize.js --recharge $r --format json > rech_$r.json; done
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+import { setJSONLoader, loadDataIndex, loadArchetypeIndex, loadArchetypeTables, loadAllPowers } from '../js/data.js';
+import { parsePowers, parseToggles } from '../js/power-parser.js';
+import {
+  applyEnhancements, computeSetBonuses, validatePowerSlotting, slotTotal, MAX_SLOTS, ENHANCEMENT_ORIGINS, SLOT_ASPECTS,
+  STOCK_SLOTS,
+} from '../js/enhancements.js';
+import { STOCK_ENDURANCE, sustainToggles } from '../js/endurance.js';
+import { getEnhancementSet } from '../js/enhancement-sets.js';
+import { runOptimization } from '../js/chain-optimizer.js';
+import { exportJson, exportCsv, exportMarkdown } from '../js/export.js';
+import { TARGET_RANKS, describeTarget } from '../js/target.js';
+import { INHERENT_MODELS } from '../js/inherents.js';
+import { DAMAGE_TYPES, RESISTANCE_PRESETS, damageTypeLabel } from '../js/resistance.js';
+import { TEAM_EFFECTS, TEAM_PRESETS, getTeamEffect } from '../js/team-buffs.js';
+import { createPoolPowers, poolPowerSlugs } from '../js/pool-powers.js';
+import {
+  ALPHA_BOOSTS, ALPHA_TIERS, HYBRID_ASSAULT, INTERFACE_PROCS, JUDGEMENTS, LORE_PETS, DESTINIES,
+} from '../js/incarnates.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+
+// --format values other than table
+const EXPORTERS = { json: exportJson, csv: exportCsv, markdown: exportMarkdown };
+
+const USAGE = 'Usage: node scripts/optimize.js [--archetype a] [--primary p] [--secondary s] [--level n] [--inherent id] '
+  + '[--recharge pct] [--latency ms] [--targets n] [--rank r] [--target-level n] [--defense pct] [--tohit pct] '
+  + '[--resist-preset id] [--resist Type=pct,...] [--res-debuff pct] '
+  + '[--damage-buff pct] [--damage-cap pct] [--team preset] [--team-effect id[=mag/dur/period]] '
+  + '[--max-end n] [--recovery pct] [--stamina pct] [--physical-perfection] [--toggle slug,...] '
+  + '[--fight-length s] [--sustainable-only] [--alpha id[:tier]] [--hybrid core|radial] [--interface id] '
+  + '[--judgement id] [--lore id] [--destiny id] '
+  + '[--slots a/d/r[/e]] [--power-slots slug=a/d/r[/e]] '
+  + '[--origin so|io] [--power-set slug=set:piece+piece] [--pool slug,...] [--disable slug,...] [--top n] [--format table|json|csv|markdown]';
+
+setJSONLoader(async path => JSON.parse(await readFile(join(DATA_DIR, path), 'utf8')));
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseNumber(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) fail(`--${name} must be a number from ${min} to ${max}`);
+  return n;
+}
+
+// "1/3/2" -> { accuracy: 1, damage: 3, recharge: 2, endurance: 0 }; a 4th number is endurance
+function parseSlots(value, name) {
+  const parts = value.split('/').map(v => parseInt(v, 10));
+  if (parts.length < 3 || parts.length > 4 || parts.some(n => !Number.isInteger(n) || n < 0)) {
+    fail(`--${name} must look like acc/dmg/rech[/end], e.g. 1/3/2`);
+  }
+  const [accuracy, damage, recharge, endurance = 0] = parts;
+  const config = { accuracy, damage, recharge, endurance };
+  if (slotTotal(config) > MAX_SLOTS) fail(`--${name} uses more than ${MAX_SLOTS} slots: ${value}`);
+  return config;
+}
+
+// "Fire=30,Cold=10" -> { Fire: 0.3, Cold: 0.1 }
+function parseResistances(value) {
+  const resistances = {};
+  for (const entry of value.split(',').filter(Boolean)) {
+    const [type, pct] = entry.split('=');
+    if (!DAMAGE_TYPES.includes(type)) fail(`--resist type must be one of ${DAMAGE_TYPES.join(', ')}, got ${type}`);
+    resistances[type] = parseNumber(pct, 'resist', -100, 100) / 100;
+  }
+  return resistances;
+}
+
+// Preset effects plus "fulcrum_shift=150/30/40" entries -> { effects: [{ id, magnitude, duration, period }] }
+function parseTeam(preset, entries) {
+  const effects = new Map(TEAM_PRESETS[preset].effects.map(id => [id, { id }]));
+  for (const entry of entries) {
+    const [id, values] = entry.split('=');
+    if (!getTeamEffect(id)) fail(`--team-effect must be one of ${TEAM_EFFECTS.map(e => e.id).join(', ')}, got ${id}`);
+    const effect = { id };
+    if (values) {
+      const [magnitude, duration, period] = values.split('/');
+      effect.magnitude = parseNumber(magnitude, 'team-effect', 0, 10000) / 100;
+      if (duration != null) effect.duration = parseNumber(duration, 'team-effect', 0, 3600);
+      if (period != null) effect.period = parseNumber(period, 'team-effect', 1, 3600);
+    }
+    effects.set(id, effect);
+  }
+  return { effects: [...effects.values()] };
+}
+
+// "thunderstrike:acc_dmg+dmg_rech" -> [{ set: 'thunderstrike', piece: 'acc_dmg' }, ...]
+function parsePieces(value) {
+  const [setId, pieceList] = value.split(':');
+  const set = getEnhancementSet(setId);
+  if (!set || !pieceList) fail(`--power-set must look like slug=set:piece+piece, got ${value}`);
+  return pieceList.split('+').map(pieceId => {
+    if (!set.pieces.some(p => p.id === pieceId)) {
+      fail(`${set.name} has no piece ${pieceId} (have: ${set.pieces.map(p => p.id).join(', ')})`);
+    }
+    return { set: setId, piece: pieceId };
+  });
+}
+
+// Repeatable comma-separated flag values -> flat list
+function splitList(values) {
+  return values.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// "spiritual:t3_radial" -> { id: 'spiritual', tier: 't3_radial' }
+function parseAlpha(value) {
+  if (!value) return null;
+  const [id, tier = 't4_core'] = value.split(':');
+  if (!ALPHA_BOOSTS[id]) fail(`--alpha must be one of ${Object.keys(ALPHA_BOOSTS).join(', ')}`);
+  if (!ALPHA_TIERS[tier]) fail(`--alpha tier must be one of ${Object.keys(ALPHA_TIERS).join(', ')}`);
+  return { id, tier };
+}
+
+function readOptions() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        archetype: { type: 'string' },
+        primary: { type: 'string' },
+        secondary: { type: 'string' },
+        level: { type: 'string', default: '50' },
+        inherent: { type: 'string' },
+        recharge: { type: 'string', default: '85' },
+        latency: { type: 'string', default: '40' },
+        targets: { type: 'string', default: '1' },
+        rank: { type: 'string', default: 'boss' },
+        'target-level': { type: 'string', default: '0' },
+        defense: { type: 'string', default: '0' },
+        tohit: { type: 'string', default: '0' },
+        'resist-preset': { type: 'string', default: 'none' },
+        resist: { type: 'string', default: '' },
+        'res-debuff': { type: 'string', default: '0' },
+        'damage-buff': { type: 'string', default: '0' },
+        'damage-cap': { type: 'string' },
+        team: { type: 'string', default: 'solo' },
+        'team-effect': { type: 'string', multiple: true, default: [] },
+        'max-end': { type: 'string', default: '100' },
+        recovery: { type: 'string', default: String(STOCK_ENDURANCE.recoveryBonus * 100) },
+        stamina: { type: 'string', default: String(STOCK_ENDURANCE.stamina * 100) },
+        'physical-perfection': { type: 'boolean', default: false },
+        toggle: { type: 'string', multiple: true, default: [] },
+        'fight-length': { type: 'string', default: String(STOCK_ENDURANCE.fightLength) },
+        'sustainable-only': { type: 'boolean', default: false },
+        alpha: { type: 'string' },
+        hybrid: { type: 'string' },
+        interface: { type: 'string' },
+        judgement: { type: 'string' },
+        lore: { type: 'string' },
+        destiny: { type: 'string' },
+        slots: { type: 'string', default: SLOT_ASPECTS.map(aspect => STOCK_SLOTS[aspect]).join('/') },
+        'power-slots': { type: 'string', multiple: true, default: [] },
+        origin: { type: 'string', default: 'so' },
+        'power-set': { type: 'string', multiple: true, default: [] },
+        pool: { type: 'string', multiple: true, default: [] },
+        disable: { type: 'string', multiple: true, default: [] },
+        top: { type: 'string', default: '5' },
+        format: { type: 'string', default: 'table' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }).values;
+  } catch (err) {
+    fail(err.message);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!['table', ...Object.keys(EXPORTERS)].includes(parsed.format)) fail('--format must be table, json, csv or markdown');
+  if (!ENHANCEMENT_ORIGINS[parsed.origin]) fail('--origin must be so or io');
+  if (parsed.inherent && !INHERENT_MODELS[parsed.inherent]) {
+    fail(`--inherent must be one of ${Object.keys(INHERENT_MODELS).join(', ')}`);
+  }
+  if (!TARGET_RANKS[parsed.rank]) fail(`--rank must be one of ${Object.keys(TARGET_RANKS).join(', ')}`);
+  for (const slug of splitList(parsed.pool)) {
+    if (!poolPowerSlugs().includes(slug)) fail(`--pool must list pool powers from: ${poolPowerSlugs().join(', ')}`);
+  }
+  if (parsed.hybrid && !HYBRID_ASSAULT[parsed.hybrid]) fail('--hybrid must be core or radial');
+  const incarnateCatalogs = { interface: INTERFACE_PROCS, judgement: JUDGEMENTS, lore: LORE_PETS, destiny: DESTINIES };
+  for (const [flag, catalog] of Object.entries(incarnateCatalogs)) {
+    if (parsed[flag] && !catalog[parsed[flag]]) fail(`--${flag} must be one of ${Object.keys(catalog).join(', ')}`);
+  }
+  if (!TEAM_PRESETS[parsed.team]) fail(`--team must be one of ${Object.keys(TEAM_PRESETS).join(', ')}`);
+  if (!RESISTANCE_PRESETS[parsed['resist-preset']]) {
+    fail(`--resist-preset must be one of ${Object.keys(RESISTANCE_PRESETS).join(', ')}`);
+  }
+
+  const global = { ...parseSlots(parsed.slots, 'slots'), origin: parsed.origin, pieces: [] };
+  const perPower = {};
+  for (const entry of parsed['power-slots']) {
+    const [slug, slots] = entry.split('=');
+    if (!slug || !slots) fail(`--power-slots must look like slug=a/d/r[/e], got ${entry}`);
+    perPower[slug] = { ...parseSlots(slots, 'power-slots'), origin: parsed.origin, pieces: [] };
+  }
+  // Set pieces join the power's override; a power with only pieces has no generic enhancements
+  for (const entry of parsed['power-set']) {
+    const [slug, pieces] = entry.split('=');
+    if (!slug || !pieces) fail(`--power-set must look like slug=set:piece+piece, got ${entry}`);
+    if (!perPower[slug]) {
+      perPower[slug] = { accuracy: 0, damage: 0, recharge: 0, endurance: 0, origin: parsed.origin, pieces: [] };
+    }
+    perPower[slug].pieces.push(...parsePieces(pieces));
+  }
+
+  return {
+    archetype: parsed.archetype,
+    primary: parsed.primary,
+    secondary: parsed.secondary,
+    level: parseNumber(parsed.level, 'level', 1, 50),
+    inherent: parsed.inherent || null,
+    rechargeBonus: parseNumber(parsed.recharge, 'recharge', 0, 1000),
+    latencyMs: parseNumber(parsed.latency, 'latency', 0, 5000),
+    numTargets: parseNumber(parsed.targets, 'targets', 1, 16),
+    target: {
+      rank: parsed.rank,
+      levelOffset: parseNumber(parsed['target-level'], 'target-level', -1, 4),
+    },
+    resistance: {
+      preset: parsed['resist-preset'],
+      resistances: parseResistances(parsed.resist),
+      debuff: parseNumber(parsed['res-debuff'], 'res-debuff', 0, 1000) / 100,
+    },
+    damage: {
+      buff: parseNumber(parsed['damage-buff'], 'damage-buff', 0, 10000) / 100,
+      cap: parsed['damage-cap'] != null ? parseNumber(parsed['damage-cap'], 'damage-cap', 100, 10000) / 100 : undefined,
+    },
+    team: parseTeam(parsed.team, parsed['team-effect']),
+    // Toggle slugs are swapped for the parsed toggles once the powersets are loaded;
+    // null runs the sustainToggles
+    endurance: {
+      maxEndurance: parseNumber(parsed['max-end'], 'max-end', 100, 1000),
+      recoveryBonus: parseNumber(parsed.recovery, 'recovery', 0, 1000) / 100,
+      stamina: parseNumber(parsed.stamina, 'stamina', 0, 100) / 100,
+      physicalPerfection: parsed['physical-perfection'],
+      toggles: parsed.toggle.length > 0 ? splitList(parsed.toggle).filter(slug => slug !== 'none') : null,
+      fightLength: parseNumber(parsed['fight-length'], 'fight-length', 0, 36000),
+      sustainableOnly: parsed['sustainable-only'],
+    },
+    hit: {
+      defense: parseNumber(parsed.defense, 'defense', 0, 100) / 100,
+      toHitBonus: parseNumber(parsed.tohit, 'tohit', 0, 100) / 100,
+    },
+    slotConfig: { global, perPower, alpha: parseAlpha(parsed.alpha) },
+    hybrid: parsed.hybrid ? { branch: parsed.hybrid } : null,
+    incarnateSlots: { interface: parsed.interface, judgement: parsed.judgement, lore: parsed.lore, destiny: parsed.destiny },
+    disabledPowers: new Set(splitList(parsed.disable)),
+    poolPowers: new Set(splitList(parsed.pool)),
+    top: parseNumber(parsed.top, 'top', 1, 100),
+    format: parsed.format,
+  };
+}
+
+async function resolveSelection(opts) {
+  const dataIndex = await loadDataIndex();
+  const archetype = opts.archetype || dataIndex.archetypes[0].slug;
+  if (!dataIndex.archetypes.some(a => a.slug === archetype)) {
+    fail(`unknown archetype ${archetype} (have: ${dataIndex.archetypes.map(a => a.slug).join(', ')})`);
+  }
+
+  const index = await loadArchetypeIndex(archetype);
+  const pick = (kind, requested) => {
+    const sets = index.powersets.filter(ps => ps.kind === kind);
+    const slug = requested || (sets[0] && sets[0].slug);
+    if (!sets.some(ps => ps.slug === slug)) {
+      fail(`unknown ${kind} powerset ${slug} (have: ${sets.map(ps => ps.slug).join(', ')})`);
+    }
+    return slug;
+  };
+
+  return { archetype, primary: pick('primary', opts.primary), secondary: pick('secondary', opts.secondary) };
+}
+
+// Parsed powers of both powersets plus pool powers, and the toggles for the endurance model
+async function loadPowers(selection, level) {
+  const { archetype, primary, secondary } = selection;
+  const tables = await loadArchetypeTables(archetype);
+  const parsed = [];
+  const toggles = [];
+  for (const powerset of [primary, secondary]) {
+    const raw = await loadAllPowers(archetype, powerset);
+    const powers = await parsePowers(raw, tables, archetype, powerset, level);
+    powers.forEach(p => p.powersetSlug = powerset);
+    parsed.push(...powers);
+    toggles.push(...parseToggles(raw, tables, level));
+  }
+  parsed.push(...createPoolPowers(level));
+  return { parsed, toggles };
+}
+
+function printTable(label, chains, top) {
+  console.log(`\n${label}`);
+  if (!chains || chains.length === 0) {
+    console.log('  No feasible chains found.');
+    return;
+  }
+  // DPS and Buffed are expected damage; AllHits assumes every attack lands
+  // Empty: time until endurance runs out from full, "never" if the chain breaks even
+  console.log('  #   DPS      AllHits  Buffed   Cycle   End/s  Empty   Chain');
+  chains.slice(0, top).forEach((chain, i) => {
+    const buffed = chain.buffedDps != null ? chain.buffedDps.toFixed(1) : '-';
+    console.log(
+      `  ${String(i + 1).padEnd(3)} ${chain.dps.toFixed(1).padEnd(8)} ${chain.allHitsDps.toFixed(1).padEnd(8)} ${buffed.padEnd(8)} `
+      + `${`${chain.totalTime.toFixed(2)}s`.padEnd(7)} ${chain.eps.toFixed(2).padEnd(6)} ${timeToEmpty(chain).padEnd(7)} `
+      + chain.powers.map(p => p.name).join(' > ')
+    );
+  });
+  printDamageTypes(chains[0]);
+  printDamageLedger(chains[0].damageLedger);
+  printInterface(chains[0].interface);
+  printClickAttacks(chains[0].clickAttackDps);
+}
+
+// Judgement and Lore damage in the best chain's buffed DPS
+function printClickAttacks(clicks) {
+  if (!clicks || clicks.length === 0) return;
+  console.log(`  #1 incarnate clicks: ${clicks.map(c => `${c.name} +${c.dps.toFixed(1)} DPS`).join(', ')}`);
+}
+
+// Interface proc contribution of the best chain
+function printInterface(proc) {
+  if (!proc) return;
+  const debuff = proc.avgResDebuff > 0
+    ? `, avg -${(proc.avgResDebuff * 100).toFixed(1)}% res adding ${proc.debuffDps.toFixed(1)} DPS`
+    : '';
+  console.log(`  #1 interface: ${proc.name} DoT ${proc.dotDps.toFixed(1)} DPS${debuff}`);
+}
+
+function timeToEmpty(chain) {
+  if (!chain.endurance) return '-';
+  const t = chain.endurance.timeToEmpty;
+  return `${t === Infinity ? 'never' : `${Math.round(t)}s`}${chain.endurance.sustainable ? '' : '!'}`;
+}
+
+// Damage strength sources of the best chain against the cap
+function printDamageLedger(ledger) {
+  if (!ledger) return;
+  const pct = value => `${(value * 100).toFixed(1)}%`;
+  const sources = ledger.sources.filter(s => s.id !== 'base').map(s => `${s.label} +${pct(s.value)}`);
+  const over = ledger.overCap > 0 ? `, ${pct(ledger.overCap)} over the cap` : '';
+  console.log(`  #1 damage strength: ${sources.join(', ') || 'base only'} = ${pct(ledger.total)} of ${pct(ledger.cap)} cap${over}`);
+}
+
+// Per-type DPS split of the best chain
+function printDamageTypes(chain) {
+  const entries = Object.entries(chain.damageByType || {})
+    .filter(([, damage]) => damage > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return;
+  console.log(`  #1 by type: ${entries.map(([type, damage]) =>
+    `${damageTypeLabel(type)} ${(damage / chain.totalTime).toFixed(1)}`).join(', ')}`);
+}
+
+// "Fire 30%, Negative Energy 30% (-20% debuff)" for the header
+function describeResistance(resistance) {
+  const types = Object.entries(resistance.base).filter(([, r]) => r !== 0)
+    .map(([type, r]) => `${damageTypeLabel(type)} ${(r * 100).toFixed(0)}%`);
+  const debuff = resistance.debuff > 0 ? ` (-${(resistance.debuff * 100).toFixed(0)}% debuff)` : '';
+  return `${types.length > 0 ? types.join(', ') : 'no resistance'}${debuff}`;
+}
+
+async function main() {
+  const opts = readOptions();
+  const selection = await resolveSelection(opts);
+  const { parsed, toggles } = await loadPowers(selection, opts.level);
+
+  const known = new Set(parsed.map(p => p.slug));
+  for (const slug of [...opts.disabledPowers, ...Object.keys(opts.slotConfig.perPower)]) {
+    if (!known.has(slug)) fail(`unknown power ${slug} (have: ${[...known].join(', ')})`);
+  }
+  const running = opts.endurance.toggles === null ? sustainToggles(toggles) : opts.endurance.toggles.map(slug => {
+    const toggle = toggles.find(t => t.slug === slug);
+    if (!toggle) fail(`unknown toggle ${slug} (have: ${toggles.map(t => t.slug).join(', ') || 'none'})`);
+    return toggle;
+  });
+
+  for (const power of parsed) {
+    const override = opts.slotConfig.perPower[power.slug];
+    const errors = override ? validatePowerSlotting(power, override) : [];
+    if (errors.length > 0) fail(`${power.slug}: ${errors.join('; ')}`);
+  }
+
+  const setBonuses = computeSetBonuses(parsed, opts.slotConfig);
+  const enhanced = parsed.map(p => applyEnhancements(p, opts.slotConfig, setBonuses));
+  // Pool powers join only when asked for
+  const pool = new Set(poolPowerSlugs());
+  const active = enhanced.filter(p => !opts.disabledPowers.has(p.slug) && (!pool.has(p.slug) || opts.poolPowers.has(p.slug)));
+
+  const result = runOptimization({
+    powers: active.filter(p => !p.isBuff),
+    buffPowers: active.filter(p => p.isBuff),
+    // Recharge set bonuses add to the global recharge bonus
+    rechargeReduction: opts.rechargeBonus + setBonuses.recharge,
+    activationLatency: opts.latencyMs / 1000,
+    numTargets: opts.numTargets,
+    inherent: { archetype: selection.archetype, id: opts.inherent },
+    target: { ...opts.target, playerLevel: opts.level },
+    resistance: opts.resistance,
+    damage: opts.damage,
+    team: opts.team,
+    endurance: { ...opts.endurance, toggles: running },
+    incarnate: { alpha: opts.slotConfig.alpha, hybrid: opts.hybrid, ...opts.incarnateSlots },
+    hit: opts.hit,
+  });
+
+  const inputs = {
+    ...selection,
+    level: opts.level,
+    inherent: opts.inherent,
+    rechargeBonus: opts.rechargeBonus,
+    latencyMs: opts.latencyMs,
+    numTargets: opts.numTargets,
+    target: result.target,
+    resistance: result.resistance,
+    damage: result.damageModel,
+    team: result.team,
+    endurance: result.endurance,
+    incarnate: result.incarnate,
+    hit: opts.hit,
+    slotConfig: opts.slotConfig,
+    setBonuses,
+    disabledPowers: [...opts.disabledPowers],
+    poolPowers: [...opts.poolPowers],
+  };
+
+  if (opts.format !== 'table') {
+    const trim = chains => chains && chains.slice(0, opts.top);
+    process.stdout.write(EXPORTERS[opts.format]({
+      inputs,
+      numTargets: result.numTargets,
+      rangedChains: trim(result.rangedChains),
+      hybridChains: trim(result.hybridChains),
+      aoeChains: trim(result.aoeChains),
+    }, { top: opts.top }));
+    return;
+  }
+
+  console.log(`${selection.archetype} ${selection.primary}/${selection.secondary} L${opts.level}, `
+    + `+${opts.rechargeBonus}% recharge, ${opts.latencyMs}ms latency, `
+    + `vs ${describeTarget(result.target)} with ${(opts.hit.defense * 100).toFixed(0)}% defense `
+    + `(damage x${result.target.damageMod.toFixed(2)})`);
+  if (opts.inherent) {
+    console.log(`What-if inherent: ${INHERENT_MODELS[opts.inherent].name} in place of the ${selection.archetype}'s, `
+      + `on ${selection.archetype} tables, powers and damage cap`);
+  }
+  console.log(`Target resistance: ${result.resistance ? describeResistance(result.resistance) : 'none'}`);
+  if (result.averagedRecharge > 0) {
+    console.log(`Click recharge buffs: +${result.averagedRecharge.toFixed(1)}% recharge averaged over their uptime for the search`);
+  }
+  if (opts.team.effects.length > 0) {
+    const { constant, timed } = result.team;
+    const always = Object.entries(constant).filter(([, v]) => v > 0).map(([kind, v]) => `${kind} +${(v * 100).toFixed(0)}%`);
+    console.log(`Team: ${[
+      ...(always.length > 0 ? [`always on ${always.join(', ')}`] : []),
+      ...timed.map(e => `${e.name} ${(e.magnitude * 100).toFixed(0)}% for ${e.duration}s every ${e.period}s`),
+    ].join('; ')}`);
+  }
+  if (result.incarnate.names.length > 0) {
+    const shift = result.incarnate.levelShift ? ` (+${result.incarnate.levelShift} level shift)` : '';
+    console.log(`Incarnates: ${result.incarnate.names.join(', ')}${shift}`);
+  }
+  const end = result.endurance;
+  console.log(`Endurance: ${end.maxEndurance} max, ${end.recovery.toFixed(2)}/s recovery (+${(end.recoveryBonus * 100).toFixed(0)}%)`
+    + `${end.toggleNames.length > 0 ? `, toggles ${end.toggleNames.join(', ')} ${end.toggleCost.toFixed(2)}/s` : ''}`
+    + `, ${end.fightLength === Infinity ? 'must never run dry' : `must last ${end.fightLength}s`}`
+    + `${end.sustainableOnly ? ' (sustainable chains only)' : ''}`);
+  for (const power of enhanced.filter(p => p.procs && p.procs.length > 0)) {
+    console.log(`Procs in ${power.name}: ${power.procs.map(proc =>
+      `${proc.name} ${(proc.chance * 100).toFixed(1)}%`).join(', ')} (+${power.procDamage.toFixed(1)} expected dmg)`);
+  }
+  if (setBonuses.sets.length > 0) {
+    console.log(`Set bonuses: +${setBonuses.damage.toFixed(2)}% damage, +${setBonuses.recharge.toFixed(2)}% recharge `
+      + `(${setBonuses.sets.map(s => `${getEnhancementSet(s.set).name} ${s.pieces}pc in ${s.slug}`).join(', ')})`);
+  }
+  if (result.aoeChains) printTable(`AoE Chain (${result.numTargets} targets)`, result.aoeChains, opts.top);
+  printTable('Ranged Chain', result.rangedChains, opts.top);
+  printTable('Melee / Hybrid Chain', result.hybridChains, opts.top);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
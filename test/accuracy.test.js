@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHitModel, hitChance, levelAccuracyModifier } from '../js/accuracy.js';
+import { simulateChain, createInherentSim } from '../js/chain-optimizer.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('without a hit model every attack lands', () => {
+  assert.equal(createHitModel(null), null);
+  assert.equal(hitChance(null, { accuracy: 1 }), 1);
+});
+
+test('hitChance multiplies accuracy into clamped to-hit', () => {
+  const even = createHitModel({ levelOffset: 0 });
+  close(hitChance(even, { accuracy: 1, enhAccuracy: 0 }), 0.75);
+  close(hitChance(even, { accuracy: 1.2, enhAccuracy: 0 }), 0.9);
+  // One accuracy SO lifts 75% past the 95% cap
+  close(hitChance(even, { accuracy: 1, enhAccuracy: 33.33 }), 0.95);
+
+  const plusFour = createHitModel({ levelOffset: 4, defense: 0.1 });
+  close(hitChance(plusFour, { accuracy: 1, enhAccuracy: 33.33 }), 1.3333 * 0.68 * 0.65);
+  // To-hit buffs count against defense before accuracy applies
+  close(hitChance(plusFour, { accuracy: 1, enhAccuracy: 0 }, 0.5), 0.68 * 0.95);
+});
+
+test('hitChance clamps to the 5% floor', () => {
+  const model = createHitModel({ levelOffset: 4, defense: 2 });
+  close(hitChance(model, { accuracy: 1 }), 0.05);
+});
+
+test('levelAccuracyModifier clamps offsets to the table', () => {
+  assert.equal(levelAccuracyModifier(0), 1);
+  assert.equal(levelAccuracyModifier(9), levelAccuracyModifier(5));
+  assert.equal(levelAccuracyModifier(-3), levelAccuracyModifier(-1));
+});
+
+test('simulateChain reports expected and all-hits DPS', () => {
+  const power = { slug: 'a', arcanaTime: 1, effectiveRecharge: 0, activationLatency: 0, totalDamage: 100, hitChance: 0.8 };
+  const result = simulateChain([power], createInherentSim({ archetype: 'dominator' }));
+  close(result.dps, 80);
+  close(result.allHitsDps, 100);
+});
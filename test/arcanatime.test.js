@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { arcanaTime } from '../js/arcanatime.js';
+
+test('arcanaTime rounds cast time up to server ticks plus one', () => {
+  assert.ok(Math.abs(arcanaTime(1.0) - 1.188) < 1e-9);
+  assert.ok(Math.abs(arcanaTime(1.67) - 1.848) < 1e-9);
+  assert.ok(Math.abs(arcanaTime(3.0) - 3.168) < 1e-9);
+});
+
+test('arcanaTime of an exact tick multiple still adds one tick', () => {
+  assert.ok(Math.abs(arcanaTime(0.132 * 10) - 0.132 * 11) < 1e-9);
+});
+
+test('instant powers take one tick', () => {
+  assert.equal(arcanaTime(0), 0.132);
+  assert.equal(arcanaTime(-1), 0.132);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  encodeSlots, decodeSlots, encodeBuild, decodeBuild, loadProfiles, saveProfiles, deleteProfile, exportProfiles,
+  parseProfiles, PROFILES_KEY,
+} from '../js/build-state.js';
+
+const build = {
+  archetype: 'dominator',
+  primary: 'fire_control',
+  secondary: 'fiery_assault',
+  level: 50,
+  inherent: 'domination',
+  recharge: 82.5,
+  lotg: 2,
+  latency: 120,
+  targets: 5,
+  rank: 'archvillain',
+  targetLevel: 2,
+  defense: 10,
+  toHit: 7.5,
+  resistPreset: 'custom',
+  resist: { Fire: 30, Negative_Energy: -20 },
+  resDebuff: 20,
+  damageBuff: 150,
+  team: 'kinetics',
+  teamEffects: [{ id: 'fulcrum_shift', magnitude: 150, duration: 30, period: 40 }, { id: 'assault', magnitude: 10.5 }],
+  maxEnd: 110,
+  recovery: 25,
+  stamina: 25,
+  physicalPerfection: true,
+  toggles: ['hot_feet', 'blazing_aura'],
+  fightLength: 120,
+  sustainableOnly: false,
+  alpha: { id: 'musculature', tier: 't4_core' },
+  hybrid: 'radial',
+  interface: '',
+  judgement: 'pyronic',
+  lore: 'polar_lights',
+  destiny: 'ageless_core',
+  slotting: { origin: 'io', accuracy: 1, damage: 3, recharge: 2, endurance: 0, pieces: [] },
+  perPower: {
+    blaze: {
+      origin: 'so', accuracy: 1, damage: 3, recharge: 1, endurance: 1,
+      pieces: [{ set: 'apocalypse', piece: 'proc' }, { set: 'apocalypse', piece: 'acc_dmg' }],
+    },
+  },
+  disabled: ['hasten', 'consume'],
+};
+
+// In-memory stand-in for localStorage
+function fakeStorage(items = {}) {
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    items,
+  };
+}
+
+test('a build round-trips through the URL hash', () => {
+  const hash = encodeBuild(build);
+  assert.match(hash, /^at=dominator&/);
+  assert.match(hash, /s\.blaze=so:1\/3\/1\/1:apocalypse\.proc\+apocalypse\.acc_dmg/);
+  assert.deepEqual(decodeBuild(`#${hash}`), build);
+  assert.deepEqual(decodeBuild(encodeBuild({ level: 32 })), { level: 32 });
+});
+
+test('target, team, endurance and incarnate settings read like the CLI in the hash', () => {
+  const hash = encodeBuild(build);
+  for (const part of [
+    'rank=archvillain', 'tlvl=2', 'def=10', 'hit=7.5', 'res=custom', 'resist=Fire:30,Negative_Energy:-20', 'rdb=20',
+    'dmg=150', 'team=kinetics', 'fx=fulcrum_shift:150/30/40,assault:10.5', 'pp=1', 'sus=0', 'tog=hot_feet,blazing_aura',
+    'alpha=musculature:t4_core', 'ifc=&',
+  ]) {
+    assert.ok(hash.includes(part), part);
+  }
+  // An empty incarnate slot stays in the build, so loading it clears the slot
+  assert.deepEqual(decodeBuild('lore=&jdg=pyronic'), { lore: '', judgement: 'pyronic' });
+  assert.deepEqual(decodeBuild('pp=yes&fx=assault:x&alpha=musculature&resist=Fire:hot,Cold:5'), { resist: { Cold: 5 } });
+});
+
+test('slot configs read like the CLI and reject anything else', () => {
+  assert.equal(encodeSlots({ origin: 'so', damage: 5 }), 'so:0/5/0/0');
+  assert.deepEqual(decodeSlots('io:1/3/2'),
+    { origin: 'io', accuracy: 1, damage: 3, recharge: 2, endurance: 0, pieces: [] });
+  for (const bad of ['xx:1/3/2', 'so:1/3', 'so:1/a/2', 'so:1/-1/2', 'so:1/3/2:apocalypse', 'so:1/3/2:.proc']) {
+    assert.equal(decodeSlots(bad), null, bad);
+  }
+});
+
+test('unreadable hash fields are dropped', () => {
+  assert.equal(decodeBuild(''), null);
+  assert.equal(decodeBuild('#foo=bar&baz'), null);
+  assert.deepEqual(decodeBuild('lvl=abc&rech=%E0%A4%A&tgt=3&enh=so:9'), { targets: 3 });
+  assert.deepEqual(decodeBuild('at=&off='), { disabled: [] });
+  // Names with reserved characters survive the escaping
+  assert.deepEqual(decodeBuild(encodeBuild({ primary: 'a&b=c #d' })), { primary: 'a&b=c #d' });
+});
+
+test('profiles are saved, merged and deleted in storage', () => {
+  const storage = fakeStorage();
+  assert.deepEqual(loadProfiles(storage), {});
+  saveProfiles(storage, { main: build });
+  const saved = saveProfiles(storage, { alt: { level: 40 } });
+  assert.deepEqual(Object.keys(saved), ['main', 'alt']);
+  assert.deepEqual(loadProfiles(storage).main, build);
+  assert.deepEqual(Object.keys(deleteProfile(storage, 'main')), ['alt']);
+
+  assert.deepEqual(loadProfiles(fakeStorage({ [PROFILES_KEY]: 'not json' })), {});
+  assert.deepEqual(loadProfiles(fakeStorage({ [PROFILES_KEY]: '[1, 2]' })), {});
+});
+
+test('exported profiles import back, and bad files are refused', () => {
+  const profiles = parseProfiles(exportProfiles({ main: build, alt: { level: 40, stray: true } }));
+  assert.deepEqual(profiles, { main: build, alt: { level: 40 } });
+
+  assert.throws(() => parseProfiles('{'), /not valid JSON/);
+  assert.throws(() => parseProfiles('{"version": 1}'), /no profiles/);
+  assert.throws(() => parseProfiles('{"profiles": {"x": 3}}'), /"x" is not a build/);
+  assert.throws(() => parseProfiles('{"profiles": {"x": {"stray": 1}}}'), /"x" is not a build/);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeChainKey, simulateChain, optimizeChains, createInherentSim,
+  prepareChainPowers, MAX_WAIT_RATIO,
+} from '../js/chain-optimizer.js';
+import { loadFireFire, prepareChain, enhance } from './helpers.js';
+
+const close = (actual, expected, eps = 0.01) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+function fakePower(slug, arcanaTime, effectiveRecharge) {
+  return { slug, arcanaTime, effectiveRecharge, activationLatency: 0 };
+}
+
+test('normalizeChainKey collapses repeats and ignores rotation', () => {
+  assert.equal(normalizeChainKey(['a', 'b', 'a', 'b']), normalizeChainKey(['a', 'b']));
+  assert.equal(normalizeChainKey(['b', 'c', 'a']), normalizeChainKey(['a', 'b', 'c']));
+  assert.notEqual(normalizeChainKey(['a', 'a', 'b']), normalizeChainKey(['a', 'b']));
+});
+
+test('simulateChain adds proc damage without scaling it by the inherent', () => {
+  const fury = createInherentSim({ archetype: 'brute' });
+  const power = { ...fakePower('a', 1, 0), totalDamage: 100, procDamage: 20 };
+  const result = simulateChain([power], fury);
+  close(result.totalDamage, 100 * (1 + 70 * 0.02) + 20);
+  assert.equal(result.events[0].procDamage, 20);
+});
+
+// Golden DPS for known Fire/Fire chains: 3 damage / 2 recharge SOs, 40ms latency, Defiance
+// (Defiance adds to slotted damage enhancement, it doesn't multiply it)
+const GOLDEN_CHAINS = [
+  { chain: ['blaze', 'fire_sword', 'ring_of_fire'], dps: { 0: 161.46, 85: 249.77, 200: 249.77 } },
+  { chain: ['blaze', 'blazing_bolt', 'ring_of_fire', 'fire_sword', 'fire_blast'], dps: { 0: 210.86, 85: 210.86, 200: 210.86 } },
+  { chain: ['blaze', 'fire_ball', 'ring_of_fire', 'blaze', 'ring_of_fire', 'blazing_bolt'], dps: { 0: 157.65, 85: 235.52, 200: 240.00 } },
+  { chain: ['flares'], dps: { 0: 103.77, 85: 110.53, 200: 110.53 } },
+];
+
+for (const { chain, dps } of GOLDEN_CHAINS) {
+  test(`golden DPS: ${chain.join(' > ')}`, async () => {
+    const powers = await loadFireFire();
+    for (const [recharge, expected] of Object.entries(dps)) {
+      const result = simulateChain(prepareChain(powers, chain, Number(recharge), 0.04));
+      close(result.dps, expected);
+    }
+  });
+}
+
+test('Defiance stacks from the chain itself', async () => {
+  const powers = await loadFireFire();
+  const chain = prepareChain(powers, ['blaze', 'fire_sword', 'ring_of_fire'], 85, 0.04);
+  const result = simulateChain(chain);
+  close(result.avgDefianceMult, 1.462, 1e-3);
+  // The search's bound holds every multiplier the chain reaches
+  const bound = createInherentSim(null).model.upperBound({}, chain);
+  assert.ok(bound >= Math.max(...result.perPowerDefianceMult), `bound ${bound}`);
+
+  const none = simulateChain(prepareChain(powers, ['blaze', 'fire_sword', 'ring_of_fire'], 85, 0.04),
+    createInherentSim({ archetype: 'dominator' }));
+  close(none.avgDefianceMult, 1, 1e-9);
+});
+
+test('optimizeChains finds the known best Blaze/Flares/Fire Blast/Ring of Fire chains', async () => {
+  const powers = await loadFireFire();
+  const attacks = enhance(powers, ['blaze', 'flares', 'fire_blast', 'ring_of_fire']);
+  const buffs = enhance(powers, ['aim']);
+  // best is the top buffed chain among the top 5 by DPS. The best DPS at 85% is still the
+  // 6-power chain of the old length 8 limit; 9- and 12-power chains now join the top 5
+  // and one of them times Aim better. At 0% a 9-power chain beats the old best (188.99).
+  const expected = {
+    0: { topDps: 190.96, dps: 189.82, buffedDps: 195.11 },
+    85: { topDps: 217.52, dps: 216.78, buffedDps: 227.29 },
+    200: { topDps: 261.13, dps: 261.13, buffedDps: 274.46 },
+  };
+  for (const [recharge, { topDps, dps, buffedDps }] of Object.entries(expected)) {
+    const chains = optimizeChains(attacks, buffs, Number(recharge), 0.04);
+    close(Math.max(...chains.map(c => c.dps)), topDps);
+    close(chains[0].dps, dps);
+    close(chains[0].buffedDps, buffedDps);
+  }
+});
+
+// The search's wait filter, checked on a whole chain: every repeated power's uses fit
+// in MAX_WAIT_RATIO times the chain's cast time
+function withinWaitRatio(chain) {
+  const castTime = chain.reduce((sum, p) => sum + p.arcanaTime + p.activationLatency, 0);
+  const counts = {};
+  for (const p of chain) counts[p.slug] = (counts[p.slug] || 0) + 1;
+  return chain.every(p => counts[p.slug] === 1 || counts[p.slug] * p.effectiveRecharge <= castTime * MAX_WAIT_RATIO);
+}
+
+test('optimizeChains finds the same top chains as trying every chain', async () => {
+  const powers = await loadFireFire();
+  const defiance = createInherentSim({ archetype: 'blaster' });
+  const unslotted = ['blaze', 'flares', 'fire_blast', 'ring_of_fire', 'fire_sword', 'blazing_bolt'].map(slug => powers[slug]);
+  // Slotted and unslotted damage (Defiance counts for more against a lower base),
+  // low and high recharge
+  const cases = [
+    { attacks: enhance(powers, ['blaze', 'flares', 'fire_blast', 'ring_of_fire']), recharge: 40 },
+    { attacks: unslotted, recharge: 85 },
+    { attacks: unslotted, recharge: 200 },
+  ];
+  for (const { attacks, recharge } of cases) {
+    const prepared = prepareChainPowers(attacks, recharge, 0.04);
+    const best = new Map();
+    for (let length = 1; length <= 6; length++) {
+      for (let combo = 0; combo < prepared.length ** length; combo++) {
+        const chain = Array.from({ length }, (_, i) => prepared[Math.floor(combo / prepared.length ** i) % prepared.length]);
+        if (!withinWaitRatio(chain)) continue;
+        const key = normalizeChainKey(chain.map(p => p.slug));
+        best.set(key, Math.max(best.get(key) || 0, simulateChain(chain, defiance).dps));
+      }
+    }
+    const expected = [...best.values()].sort((a, b) => b - a).slice(0, 5);
+
+    const found = optimizeChains(attacks, [], recharge, 0.04, { inherentSim: defiance, maxLength: 6 });
+    assert.equal(found.length, 5);
+    found.forEach((chain, i) => close(chain.dps, expected[i]));
+  }
+});
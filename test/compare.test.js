@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareResults, settingDifferences } from '../js/compare.js';
+import { runOptimization } from '../js/chain-optimizer.js';
+import { loadFireFire, enhance } from './helpers.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+const chain = (dps, slugs, buffedDps) => ({
+  dps, buffedDps, powers: slugs.map(slug => ({ slug, name: slug.toUpperCase() })),
+});
+
+test('each pass compares the best chains against the first snapshot', () => {
+  const rows = compareResults([
+    { rangedChains: [chain(200, ['a', 'b', 'c'], 220)], hybridChains: [chain(210, ['a', 'b'])], aoeChains: null },
+    { rangedChains: [chain(250, ['c', 'a', 'b'], 280)], hybridChains: [chain(189, ['a', 'd', 'a', 'd'])], aoeChains: null },
+  ]);
+  assert.deepEqual(rows.map(r => r.label), ['Ranged Chain', 'Melee / Hybrid Chain']);
+
+  const [baseRanged, ranged] = rows[0].entries;
+  assert.equal(baseRanged.delta, null);
+  close(ranged.delta, 50);
+  close(ranged.deltaPct, 25);
+  close(ranged.buffedDelta, 60);
+  // Same powers in another rotation isn't a change
+  assert.equal(ranged.changed, false);
+
+  const hybrid = rows[1].entries[1];
+  close(hybrid.deltaPct, -10);
+  assert.equal(hybrid.buffedDelta, null);
+  assert.equal(hybrid.changed, true);
+  assert.deepEqual(hybrid.added, ['D']);
+  assert.deepEqual(hybrid.removed, ['B']);
+});
+
+test('a snapshot without chains in a pass leaves a gap', () => {
+  const rows = compareResults([
+    { rangedChains: [], aoeChains: [chain(100, ['a'])] },
+    { rangedChains: [chain(120, ['a'])], aoeChains: [chain(300, ['a'])] },
+  ]);
+  assert.deepEqual(rows.map(r => r.key), ['rangedChains', 'aoeChains']);
+  assert.equal(rows[0].entries[0], null);
+  assert.equal(rows[0].entries[1].delta, null);
+  close(rows[1].entries[1].delta, 200);
+});
+
+test('only settings that differ are listed', () => {
+  const differences = settingDifferences([
+    { rechargeBonus: 70, slotConfig: { global: { damage: 3, recharge: 2 } }, disabledPowers: ['aim'] },
+    { rechargeBonus: 110, slotConfig: { global: { damage: 3, recharge: 2 } }, disabledPowers: ['aim'] },
+    { rechargeBonus: 70, slotConfig: { global: { damage: 5, recharge: 2 } }, disabledPowers: [] },
+  ]);
+  assert.deepEqual(differences, [
+    { key: 'rechargeBonus', values: [70, 110, 70] },
+    { key: 'slotConfig.global.damage', values: [3, 3, 5] },
+    { key: 'disabledPowers', values: ['aim', 'aim', ''] },
+  ]);
+});
+
+test('more recharge never lowers the best chain', async () => {
+  const bySlug = await loadFireFire();
+  const run = recharge => runOptimization({
+    powers: enhance(bySlug, ['blaze', 'fire_sword', 'ring_of_fire', 'fire_blast']),
+    buffPowers: [], rechargeReduction: recharge, activationLatency: 0.04,
+  });
+  const [ranged] = compareResults([run(0), run(85)]);
+  assert.ok(ranged.entries[1].delta >= 0);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDamageModel, strengthMultiplier, buildDamageLedger, damageCap } from '../js/damage.js';
+import { simulateChain, createInherentSim, chainDamageLedger } from '../js/chain-optimizer.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('damage caps come from the archetype', () => {
+  assert.equal(createDamageModel({ archetype: 'blaster' }).cap, 5);
+  assert.equal(createDamageModel({ archetype: 'brute' }).cap, 7.75);
+  assert.equal(createDamageModel({ archetype: 'blaster', cap: 4 }).cap, 4);
+  assert.equal(damageCap('unknown'), 4);
+});
+
+test('buffs add to enhancement strength instead of multiplying it', () => {
+  // 95% enhancement plus a 50% buff: 2.45 / 1.95, not 1.5
+  const power = { damageStrength: 1.95 };
+  close(strengthMultiplier(power, 0.5), 2.45 / 1.95);
+  close(strengthMultiplier({ ...power, externalDamageBuff: 0.3 }, 0.5), 2.75 / 1.95);
+});
+
+test('strength stops at the damage cap', () => {
+  const power = { damageStrength: 1.95, externalDamageBuff: 3, damageCap: 5 };
+  close(strengthMultiplier(power, 1), 5 / 1.95);
+});
+
+test('simulateChain caps Defiance with external buffs', () => {
+  const defiance = createInherentSim({ archetype: 'blaster' });
+  const attack = {
+    slug: 'a', arcanaTime: 1, effectiveRecharge: 0, activationLatency: 0, totalDamage: 195,
+    damageStrength: 1.95, externalDamageBuff: 4, damageCap: 5,
+    defiance: { scale: 0.5, duration: 10, stacking: 'Stack' },
+  };
+  const result = simulateChain([attack], defiance);
+  close(result.totalDamage, 500);
+  assert.ok(result.avgDefianceMult > 1);
+});
+
+test('the damage ledger totals every source against the cap', () => {
+  const ledger = buildDamageLedger([
+    { id: 'enhancement', label: 'Enhancements', value: 0.95 },
+    { id: 'external', label: 'External buffs', value: 3.5 },
+    { id: 'set', label: 'Set bonuses', value: 0 },
+  ], 5);
+  assert.deepEqual(ledger.sources.map(s => s.id), ['base', 'enhancement', 'external']);
+  close(ledger.total, 5.45);
+  close(ledger.capped, 5);
+  close(ledger.overCap, 0.45);
+
+  const chain = { powers: [{ enhDamage: 95, setDamage: 5 }, { enhDamage: 0, setDamage: 5 }], avgDefianceBuff: 1.2 };
+  const fromChain = chainDamageLedger(chain, createInherentSim({ archetype: 'blaster' }), createDamageModel({ buff: 0.25 }));
+  assert.deepEqual(fromChain.sources.map(s => [s.id, Number(s.value.toFixed(3))]),
+    [['base', 1], ['enhancement', 0.475], ['set', 0.05], ['inherent', 0.2], ['external', 0.25]]);
+});
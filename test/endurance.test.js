@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createEnduranceModel, enduranceVerdict, clickBuffCost, sustainToggles, STOCK_ENDURANCE,
+} from '../js/endurance.js';
+import { parseToggles } from '../js/power-parser.js';
+import { optimizeChains, runOptimization } from '../js/chain-optimizer.js';
+import { applyEnhancements, STOCK_SLOTS } from '../js/enhancements.js';
+import { loadTables, loadFireFire, ARCHETYPE, SECONDARY } from './helpers.js';
+import { loadAllPowers } from '../js/data.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('recovery scales with max endurance and every recovery bonus', () => {
+  close(createEnduranceModel({}).recovery, 1.67 * 1.25);
+  const model = createEnduranceModel({
+    maxEndurance: 110,
+    recoveryBonus: 0.1,
+    stamina: 0.4,
+    physicalPerfection: true,
+    toggles: [{ name: 'Aura', endPerSecond: 0.5, recovery: 0.5 }],
+  });
+  close(model.recovery, 1.67 * 1.1 * (1 + 0.1 + 0.4 + 0.2 + 0.5));
+  close(model.toggleCost, 0.5);
+  assert.equal(createEnduranceModel(null), null);
+});
+
+test('time to empty counts toggles, gains and the fight length', () => {
+  const model = createEnduranceModel({ stamina: 0, toggles: [{ name: 'Hot Feet', endPerSecond: 1 }] });
+  const drained = enduranceVerdict(model, 2.67, 1);
+  close(drained.net, 1.67 + 1 - 3.67);
+  close(drained.timeToEmpty, 100);
+  assert.equal(drained.sustainable, false);
+
+  assert.equal(enduranceVerdict(model, 0.5).timeToEmpty, Infinity);
+  const fight = createEnduranceModel({ stamina: 0, fightLength: 90 });
+  assert.equal(enduranceVerdict(fight, 2.67).sustainable, true);
+});
+
+test('click buffs cost their endurance once per cycle', () => {
+  close(clickBuffCost([{ enduranceCost: 5, effectiveRecharge: 89, arcanaTime: 1 }]), 5 / 90);
+});
+
+test('toggles and Consume carry their endurance effects', async () => {
+  const toggles = parseToggles(await loadAllPowers(ARCHETYPE, SECONDARY), await loadTables(), 50);
+  const bySlug = Object.fromEntries(toggles.map(t => [t.slug, t]));
+  close(bySlug.hot_feet.endPerSecond, 1.04);
+  close(bySlug.blazing_aura.recovery, 0.5);
+  const powers = await loadFireFire();
+  close(powers.consume.enduranceGain, 20);
+  assert.equal(powers.blaze.enduranceGain, 0);
+});
+
+test('sustainable-only search drops chains that run dry', () => {
+  const power = (slug, totalDamage, enduranceCost) => ({
+    slug, name: slug, totalDamage, dpa: totalDamage, arcanaTime: 1, castTime: 1, rechargeTime: 0, enduranceCost,
+  });
+  const powers = [power('cheap', 50, 1), power('costly', 100, 10)];
+  const enduranceModel = createEnduranceModel({ stamina: 0 });
+
+  const reported = optimizeChains(powers, [], 0, 0, { enduranceModel });
+  assert.equal(reported[0].powers[0].slug, 'costly');
+  assert.equal(reported[0].endurance.sustainable, false);
+
+  const sustained = optimizeChains(powers, [], 0, 0,
+    { enduranceModel: createEnduranceModel({ stamina: 0, sustainableOnly: true }) });
+  assert.ok(sustained.length > 0);
+  assert.ok(sustained.every(chain => chain.endurance.sustainable));
+});
+
+test('the stock settings keep the best stock chains going', async () => {
+  const toggles = parseToggles(await loadAllPowers(ARCHETYPE, SECONDARY), await loadTables(), 50);
+  assert.deepEqual(sustainToggles(toggles).map(t => t.slug), ['blazing_aura']);
+  // What the UI and CLI run with nothing changed
+  const slotConfig = { global: { ...STOCK_SLOTS, origin: 'so', pieces: [] }, perPower: {} };
+  const powers = Object.values(await loadFireFire()).map(p => applyEnhancements(p, slotConfig));
+  const result = runOptimization({
+    powers: powers.filter(p => !p.isBuff),
+    buffPowers: powers.filter(p => p.isBuff),
+    rechargeReduction: 85,
+    activationLatency: 0.04,
+    numTargets: 1,
+    inherent: { archetype: ARCHETYPE },
+    target: { rank: 'boss', levelOffset: 0, playerLevel: 50 },
+    endurance: { ...STOCK_ENDURANCE, toggles: sustainToggles(toggles) },
+    hit: { defense: 0, toHitBonus: 0 },
+  });
+  for (const chains of [result.rangedChains, result.hybridChains]) {
+    assert.equal(chains[0].endurance.sustainable, true);
+    assert.ok(chains[0].endurance.timeToEmpty > STOCK_ENDURANCE.fightLength);
+  }
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  edScheduleA, effectiveEnhancement, applyEnhancements, getPowerSlotConfig,
+  setPieceValue, enhancementTotals, validatePowerSlotting, computeSetBonuses, procChance,
+} from '../js/enhancements.js';
+import { getEnhancementSet } from '../js/enhancement-sets.js';
+import { scaleToDamage } from '../js/damage.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('edScheduleA is linear below 70%', () => {
+  assert.equal(edScheduleA(0), 0);
+  assert.equal(edScheduleA(-5), 0);
+  assert.equal(edScheduleA(66.66), 66.66);
+});
+
+test('edScheduleA applies each diminishing returns band', () => {
+  close(edScheduleA(80), 79);
+  close(edScheduleA(95), 91.5);
+  close(edScheduleA(133.33), 99.9995);
+});
+
+test('effectiveEnhancement matches the familiar SO totals', () => {
+  close(effectiveEnhancement(2), 66.667, 1e-3);
+  close(effectiveEnhancement(3), 95.0, 1e-3);
+  close(effectiveEnhancement(5), 105.0, 0.01);
+  assert.equal(effectiveEnhancement(0), 0);
+});
+
+test('scaleToDamage uses the absolute table value at the level index', () => {
+  const table = [-10, -20, -30];
+  assert.equal(scaleToDamage(1.5, table, 1), 30);
+  assert.equal(scaleToDamage(1.5, table, 3), 0);
+  assert.equal(scaleToDamage(1.5, null, 0), 0);
+});
+
+test('applyEnhancements scales damage and records recharge enhancement', () => {
+  const power = {
+    slug: 'test', totalDamage: 100, arcanaTime: 2, isBuff: false,
+    damageComponents: [{ type: 'Fire', damage: 100 }],
+  };
+  const enhanced = applyEnhancements(power, {
+    global: { damage: 3, recharge: 2, accuracy: 0, endurance: 0 },
+    perPower: {},
+  });
+  close(enhanced.totalDamage, 195, 1e-2);
+  close(enhanced.dpa, 97.5, 1e-2);
+  close(enhanced.enhRecharge, 66.667, 1e-3);
+  assert.equal(enhanced.baseTotalDamage, 100);
+  assert.equal(power.totalDamage, 100, 'original power is not mutated');
+});
+
+test('per-power slotting overrides the global preset', () => {
+  const slotConfig = {
+    global: { damage: 3, recharge: 2, accuracy: 1, endurance: 0 },
+    perPower: { aim: { damage: 0, recharge: 3, accuracy: 0, endurance: 1 } },
+  };
+  assert.equal(getPowerSlotConfig(slotConfig, 'aim').recharge, 3);
+  assert.equal(getPowerSlotConfig(slotConfig, 'flares').damage, 3);
+
+  const aim = applyEnhancements({ slug: 'aim', isBuff: true, enduranceCost: 5.2 }, slotConfig);
+  close(aim.enhRecharge, 95.0, 1e-3);
+  close(aim.enduranceCost, 5.2 / (1 + 1 / 3), 1e-6);
+
+  const flares = applyEnhancements({
+    slug: 'flares', totalDamage: 10, arcanaTime: 1, isBuff: false, enduranceCost: 3,
+    damageComponents: [{ type: 'Fire', damage: 10 }],
+  }, slotConfig);
+  close(flares.enhRecharge, 66.667, 1e-3);
+  close(flares.enhAccuracy, 33.333, 1e-3);
+  assert.equal(flares.enduranceCost, 3);
+});
+
+test('common IOs and set pieces use level 50 values', () => {
+  close(effectiveEnhancement(2, 'io'), 83.32, 1e-6);
+  const thunderstrike = getEnhancementSet('thunderstrike');
+  const wrath = getEnhancementSet('superior_blasters_wrath');
+  close(setPieceValue(thunderstrike, thunderstrike.pieces[0]), 26.5);
+  close(setPieceValue(thunderstrike, thunderstrike.pieces[3]), 21.2);
+  close(setPieceValue(wrath, wrath.pieces[0]), 33.125);
+});
+
+const rangedPower = {
+  slug: 'flares', name: 'Flares',
+  allowedBoosts: ['Enhance Accuracy', 'Enhance Damage', 'Enhance Recharge Speed', 'Reduce Endurance Cost'],
+  allowedSetCategories: ['Ranged Damage', 'Blaster Archetype Sets'],
+};
+
+test('set pieces and generic enhancements add up before ED', () => {
+  const totals = enhancementTotals(rangedPower, {
+    origin: 'io', accuracy: 0, damage: 1, recharge: 0, endurance: 0,
+    pieces: [{ set: 'thunderstrike', piece: 'acc_dmg' }, { set: 'thunderstrike', piece: 'dmg_rech' }],
+  });
+  close(totals.damage, edScheduleA(42.4 + 26.5 + 26.5));
+  close(totals.accuracy, 26.5);
+  close(totals.recharge, 26.5);
+});
+
+test('validatePowerSlotting rejects disallowed categories and duplicate pieces', () => {
+  const errors = validatePowerSlotting(rangedPower, {
+    accuracy: 0, damage: 0, recharge: 0, endurance: 0,
+    pieces: [
+      { set: 'obliteration', piece: 'dmg' },
+      { set: 'thunderstrike', piece: 'acc_dmg' },
+      { set: 'thunderstrike', piece: 'acc_dmg' },
+    ],
+  });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /Melee AoE Damage/);
+  assert.match(errors[1], /slotted twice/);
+
+  // Illegal pieces contribute nothing
+  const totals = enhancementTotals(rangedPower, { pieces: [{ set: 'obliteration', piece: 'dmg' }] });
+  assert.equal(totals.damage, 0);
+});
+
+test('computeSetBonuses sums tiers and applies the Rule of Five', () => {
+  const wrath = ['acc_dmg', 'dmg_rech', 'acc_dmg_rech', 'dmg_end_rech', 'acc_dmg_end_rech']
+    .map(piece => ({ set: 'superior_blasters_wrath', piece }));
+  const powers = [];
+  const perPower = {};
+  for (let i = 0; i < 7; i++) {
+    powers.push({ ...rangedPower, slug: `attack_${i}` });
+    perPower[`attack_${i}`] = { pieces: wrath };
+  }
+  const bonuses = computeSetBonuses(powers, { global: { pieces: [] }, perPower });
+  assert.equal(bonuses.sets.length, 7);
+  assert.equal(bonuses.recharge, 50);
+  assert.equal(bonuses.damage, 25);
+
+  const power = { slug: 'attack_0', totalDamage: 100, arcanaTime: 1, isBuff: false,
+    damageComponents: [{ type: 'Fire', damage: 100 }] };
+  const enhanced = applyEnhancements(power, { global: { damage: 0 }, perPower: {} }, { damage: 10 });
+  close(enhanced.totalDamage, 110);
+});
+
+test('procChance follows the PPM formula with AoE penalty, floor and cap', () => {
+  const flares = { effectArea: 'SingleTarget', rechargeTime: 2.18, castTime: 1 };
+  close(procChance(3.5, flares, 66.667), 3.5 * (2.18 / (1 + 0.66667) + 1) / 60);
+  close(procChance(1, { ...flares, rechargeTime: 1, castTime: 0.5 }, 0), 0.05 + 0.015);
+  const blaze = { effectArea: 'SingleTarget', rechargeTime: 10, castTime: 1 };
+  close(procChance(3.5, blaze, 0), 3.5 * 11 / 60);
+  close(procChance(3.5, blaze, 100), 3.5 * 6 / 60);
+  const fireBall = { effectArea: 'AoE', radius: 15, rechargeTime: 16, castTime: 1 };
+  close(procChance(3.5, fireBall, 0), 3.5 * 17 / (60 * 3.25));
+  const fireBreath = { effectArea: 'Cone', radius: 40, arc: 30, rechargeTime: 16, castTime: 2.67 };
+  close(procChance(3.5, fireBreath, 0), 3.5 * 18.67 / (60 * (7 - 40 * 0.000366669992217794 * 330)));
+  const inferno = { effectArea: 'AoE', radius: 25, rechargeTime: 145, castTime: 3 };
+  assert.equal(procChance(3.5, inferno, 0), 0.9);
+});
+
+test('slotted procs add flat expected damage to the power', () => {
+  const power = {
+    ...rangedPower, slug: 'blaze', effectArea: 'SingleTarget', rechargeTime: 10, castTime: 1,
+    totalDamage: 100, arcanaTime: 1.056, isBuff: false, damageComponents: [{ type: 'Fire', damage: 100 }],
+  };
+  const enhanced = applyEnhancements(power, {
+    global: { damage: 3 },
+    perPower: { blaze: { damage: 3, pieces: [{ set: 'apocalypse', piece: 'proc_negative' }] } },
+  }, { damage: 10 });
+  assert.equal(enhanced.procs.length, 1);
+  close(enhanced.procs[0].chance, 3.5 * 11 / 60);
+  close(enhanced.procDamage, 107.1 * 3.5 * 11 / 60);
+  close(enhanced.dpa, (enhanced.totalDamage + enhanced.procDamage) / 1.056);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { exportJson, exportCsv, exportMarkdown } from '../js/export.js';
+import { runOptimization } from '../js/chain-optimizer.js';
+import { loadFireFire, enhance } from './helpers.js';
+
+async function fireReport() {
+  const bySlug = await loadFireFire();
+  const powers = enhance(bySlug, ['blaze', 'fire_sword', 'ring_of_fire', 'fire_ball']);
+  const result = runOptimization({
+    powers, buffPowers: [], rechargeReduction: 85, activationLatency: 0.04, numTargets: 3,
+    target: { rank: 'boss', levelOffset: 0 },
+  });
+  const inputs = {
+    archetype: 'blaster', primary: 'fire_blast', secondary: 'fire_manipulation', level: 50,
+    rechargeBonus: 85, latencyMs: 40, target: result.target, disabledPowers: ['hasten', 'aim'],
+  };
+  return { inputs, ...result };
+}
+
+test('JSON export keeps the inputs and every chain', async () => {
+  const report = await fireReport();
+  const parsed = JSON.parse(exportJson(report));
+  assert.deepEqual(parsed.inputs.disabledPowers, ['hasten', 'aim']);
+  assert.equal(parsed.rangedChains.length, report.rangedChains.length);
+  assert.equal(parsed.aoeChains[0].timeline.length, report.aoeChains[0].powers.length);
+});
+
+test('CSV export writes the inputs, then a row per power of every chain', async () => {
+  const report = await fireReport();
+  const lines = exportCsv(report).trim().split('\n');
+  assert.equal(lines[0], 'setting,value');
+  assert.ok(lines.includes('target.rank,boss'));
+  assert.ok(lines.includes('disabledPowers,hasten;aim'));
+
+  const header = lines.indexOf('') + 1;
+  const columns = lines[header].split(',');
+  assert.deepEqual(columns.slice(0, 3), ['pass', 'rank', 'chain']);
+  const rows = lines.slice(header + 1);
+  const powerCount = ['aoeChains', 'rangedChains', 'hybridChains']
+    .reduce((sum, key) => sum + report[key].reduce((n, chain) => n + chain.powers.length, 0), 0);
+  assert.equal(rows.length, powerCount);
+
+  // Each chain starts its steps at 0s and counts up through the cycle
+  const best = rows.filter(row => row.startsWith('Ranged Chain,1,')).map(row => row.split(','));
+  const start = columns.indexOf('start_s');
+  assert.equal(Number(best[0][start]), 0);
+  for (let i = 1; i < best.length; i++) assert.ok(Number(best[i][start]) > Number(best[i - 1][start]));
+});
+
+test('CSV cells with commas or quotes are quoted', () => {
+  const csv = exportCsv({ inputs: { note: 'a, "b"' } });
+  assert.ok(csv.includes('note,"a, ""b"""'));
+});
+
+test('Markdown export is a table per pass plus the best chain breakdown', async () => {
+  const report = await fireReport();
+  const markdown = exportMarkdown(report, { top: 2 });
+  assert.match(markdown, /^## blaster fire_blast\/fire_manipulation L50\n\n\+85% recharge, 40ms latency, vs \+0 Boss\n/);
+  for (const heading of ['### AoE Chain (3 targets)', '### Ranged Chain', '### Melee / Hybrid Chain']) {
+    assert.ok(markdown.includes(heading), heading);
+  }
+  const ranked = markdown.split('\n').filter(line => /^\| \d+ \|/.test(line));
+  assert.equal(ranked.length, 3 * 2);
+  assert.ok(markdown.includes(`| ${report.rangedChains[0].powers[0].name} | 0.00s |`));
+});
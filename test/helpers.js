@@ -0,0 +1,50 @@
+// Shared fixtures: bundled Fire/Fire data loaded from disk through the app's own loaders
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { setJSONLoader, loadArchetypeTables, loadAllPowers, loadPower } from '../js/data.js';
+import { parsePowers } from '../js/power-parser.js';
+import { applyEnhancements, getDefaultSlotConfig } from '../js/enhancements.js';
+import { prepareChainPowers } from '../js/chain-optimizer.js';
+
+const DATA_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+setJSONLoader(async path => JSON.parse(await readFile(join(DATA_DIR, path), 'utf8')));
+
+export const ARCHETYPE = 'blaster';
+export const PRIMARY = 'fire_blast';
+export const SECONDARY = 'fire_manipulation';
+
+export function loadTables() {
+  return loadArchetypeTables(ARCHETYPE);
+}
+
+export function loadRawPower(powerset, slug) {
+  return loadPower(ARCHETYPE, powerset, slug);
+}
+
+// Parsed Fire Blast + Fire Manipulation powers at `level`, keyed by slug
+export async function loadFireFire(level = 50) {
+  const tables = await loadTables();
+  const bySlug = {};
+  for (const powerset of [PRIMARY, SECONDARY]) {
+    const raw = await loadAllPowers(ARCHETYPE, powerset);
+    for (const power of await parsePowers(raw, tables, ARCHETYPE, powerset, level)) {
+      bySlug[power.slug] = power;
+    }
+  }
+  return bySlug;
+}
+
+// Powers enhanced with the default 3 damage / 2 recharge slotting
+export function enhance(bySlug, slugs) {
+  return slugs.map(slug => applyEnhancements(bySlug[slug], getDefaultSlotConfig()));
+}
+
+// Enhanced powers prepared for the simulator at the given global recharge
+// bonus and activation latency (seconds)
+export function prepareChain(bySlug, slugs, rechargeBonus, latency = 0) {
+  return prepareChainPowers(enhance(bySlug, slugs), rechargeBonus, latency);
+}
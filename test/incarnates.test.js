@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  alphaEnhancement, resolveIncarnates, resolveInterface, createInterfaceState, applyInterface, interfaceResDebuff,
+  incarnateTargetsMultiplier,
+} from '../js/incarnates.js';
+import { applyEnhancements } from '../js/enhancements.js';
+import { resolveTarget } from '../js/target.js';
+import {
+  simulateChain, simulateChainWithBuffOverlay, createInherentSim, chainDamageByType, prepareChainPowers, cooldownEnd,
+} from '../js/chain-optimizer.js';
+import { resolveResistance } from '../js/resistance.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('Alpha boosts raise their aspects by tier and branch', () => {
+  assert.equal(alphaEnhancement({ id: 'musculature', tier: 't4_core' }).damage, 45);
+  assert.equal(alphaEnhancement({ id: 'spiritual', tier: 't1' }).recharge, 20);
+  assert.equal(alphaEnhancement({ id: 'agility', tier: 't3_radial' }).recharge, 25);
+  assert.deepEqual(alphaEnhancement(null), { accuracy: 0, damage: 0, recharge: 0, endurance: 0 });
+});
+
+test('Alpha enhancement skips ED and only boosts aspects a power accepts', () => {
+  const slotConfig = {
+    global: { origin: 'so', accuracy: 0, damage: 3, recharge: 0, endurance: 0, pieces: [] },
+    perPower: {},
+    alpha: { id: 'musculature', tier: 't4_core' },
+  };
+  const attack = {
+    slug: 'a', totalDamage: 100, arcanaTime: 1, enduranceCost: 5, rechargeTime: 4,
+    damageComponents: [{ type: 'Fire', damage: 100 }],
+    allowedBoosts: ['Enhance Damage', 'Enhance Recharge Speed'],
+  };
+  const enhanced = applyEnhancements(attack, slotConfig);
+  close(enhanced.damageStrength, 1 + (95 + 45) / 100, 1e-3);
+  assert.equal(enhanced.alphaDamage, 45);
+
+  const spiritual = { ...slotConfig, alpha: { id: 'spiritual', tier: 't4_core' } };
+  const aim = { slug: 'aim', isBuff: true, enduranceCost: 5, allowedBoosts: ['Enhance Recharge Speed'] };
+  assert.equal(applyEnhancements(aim, spiritual).enhRecharge, 45);
+  assert.equal(applyEnhancements({ ...aim, allowedBoosts: [] }, spiritual).enhRecharge, 0);
+});
+
+test('tier 3 Alphas shift the player up a level against the target', () => {
+  assert.equal(resolveIncarnates({ alpha: { id: 'musculature', tier: 't3_core' } }).levelShift, 1);
+  assert.equal(resolveIncarnates({ alpha: { id: 'musculature', tier: 't2_core' } }).levelShift, 0);
+
+  const target = resolveTarget({ rank: 'boss', levelOffset: 2, playerShift: 1 });
+  assert.equal(target.effectiveOffset, 1);
+  assert.equal(target.damageMod, 0.9);
+  assert.equal(resolveTarget({ rank: 'pylon', playerLevel: 50, playerShift: 1 }).effectiveOffset, 3);
+});
+
+test('tier 4 Lore and Destiny add their level shifts to the Alpha', () => {
+  assert.equal(resolveIncarnates({ lore: 'polar_lights' }).levelShift, 1);
+  const full = resolveIncarnates({ alpha: { id: 'musculature', tier: 't4_core' }, lore: 'polar_lights', destiny: 'ageless_core' });
+  assert.equal(full.levelShift, 3);
+
+  const target = resolveTarget({ rank: 'boss', levelOffset: 4, playerShift: full.levelShift });
+  assert.equal(target.effectiveOffset, 1);
+  assert.equal(target.damageMod, 0.9);
+  assert.equal(resolveTarget({ rank: 'pylon', playerLevel: 50, playerShift: full.levelShift }).effectiveOffset, 1);
+});
+
+test('Hybrid Assault adds a passive buff and a timed toggle', () => {
+  const { damage, timed, names } = resolveIncarnates({ hybrid: { branch: 'radial', duration: 60 } });
+  close(damage, 0.05);
+  assert.deepEqual(names, ['Assault Radial Embodiment']);
+  assert.deepEqual(timed.map(e => [e.kind, e.magnitude, e.duration, e.period]),
+    [['damage', 0.1, 60, 240], ['doubleHit', 0.2, 60, 240]]);
+});
+
+test('double hits repeat the attack damage while the toggle runs', () => {
+  const chain = {
+    dps: 100,
+    allHitsDps: 100,
+    powers: [{ slug: 'a', arcanaTime: 1, rechargeTime: 0, effectiveRecharge: 0, baseDamage: 100, damageStrength: 1 }],
+  };
+  const doubleHit = { id: 'hybrid_assault', name: 'Hybrid Assault', kind: 'doubleHit', magnitude: 0.2, duration: 50, period: 100 };
+  const overlay = simulateChainWithBuffOverlay(chain, [], 0, createInherentSim({ archetype: 'dominator' }), null,
+    { teamEffects: [doubleHit] });
+  close(overlay.dpsWithBuffs, 100 * (1 + 0.2 * 0.5), 2);
+});
+
+test('Interface procs stack expected applications up to their limit', () => {
+  const proc = resolveInterface('reactive_core_flawless');
+  const state = createInterfaceState();
+  // A 25% DoT adds a quarter stack per hit until two stacks run
+  close(applyInterface(proc, state, 0, 1), 0.25 * 64);
+  for (let t = 0.5; t < 4; t += 0.5) applyInterface(proc, state, t, 1);
+  close(applyInterface(proc, state, 4, 1), 0);
+  // 75% debuff stacks, capped at four 5% stacks
+  close(interfaceResDebuff(proc, state, 4), 0.2);
+  close(interfaceResDebuff(proc, state, 20), 0);
+  assert.equal(resolveInterface('nope'), null);
+  close(resolveInterface('reactive_core_flawless', 0.9).resDebuff.magnitude, 0.045);
+});
+
+test('Reactive DoTs and debuff add to the chain as their own line', () => {
+  // Five 1s attacks: the expected DoT stacks repeat every 5s
+  const chain = ['a', 'b', 'c', 'd', 'e'].map(slug => ({
+    slug, name: slug, totalDamage: 100, arcanaTime: 1, effectiveRecharge: 0, hitChance: 1,
+    damageByType: { Fire: 100 },
+  }));
+  const resistance = resolveResistance({});
+  const interfaceSim = { proc: resolveInterface('reactive_radial_flames'), resistance };
+  const plain = simulateChain(chain);
+  const result = simulateChain(chain, createInherentSim(null), interfaceSim);
+
+  // Quarter debuff stacks from the last nine attacks never reach the limit of four
+  const debuff = 9 * 0.25 * 0.05;
+  close(result.interface.avgResDebuff, debuff);
+  close(result.interface.debuffDps, 100 * debuff);
+  // 0.75 + 0.75 + 0.5 stacks fill the limit of two, which lasts 4.1s; the debuff raises them too
+  close(result.interface.dotDps, 64 * 2 / 5 * (1 + debuff));
+  close(result.dps, plain.dps + result.interface.dotDps + result.interface.debuffDps);
+  // Per-power damage leaves the DoT to the Interface line
+  close(result.perPowerDamage[0], 100 * (1 + debuff));
+
+  const byType = chainDamageByType({ powers: chain, timeline: result.events }, interfaceSim);
+  close(byType.Fire, result.totalDamage);
+});
+
+test('Judgement, Lore and Destiny are clicks with fixed recharge', () => {
+  const { powers, names } = resolveIncarnates({ judgement: 'pyronic', lore: 'polar_lights', destiny: 'ageless_core' });
+  assert.deepEqual(powers.map(p => p.incarnateSlot), ['judgement', 'lore', 'destiny']);
+  assert.equal(names.length, 3);
+  const [judgement, lore, ageless] = prepareChainPowers(powers, 200);
+  assert.equal(judgement.effectiveRecharge, 90);
+  assert.equal(cooldownEnd(judgement, 0, [{ scale: 0.7, expiresAt: 120 }]), 90);
+  assert.equal(lore.totalDamage, 130 * 90);
+  assert.equal(lore.isPetDamage, true);
+  assert.deepEqual(ageless.rechargeBuffs, [{ scale: 0.5, duration: 120 }]);
+
+  // Judgement hits up to its cap; pets spread only their AoE share
+  assert.equal(incarnateTargetsMultiplier(judgement, 20), 16);
+  close(incarnateTargetsMultiplier(lore, 10), 1 + 0.2 * 9);
+  assert.equal(incarnateTargetsMultiplier(lore, 1), 1);
+});
+
+test('the overlay fires Judgement on cooldown and counts its damage', () => {
+  const chain = {
+    dps: 100,
+    allHitsDps: 100,
+    powers: [{ slug: 'a', arcanaTime: 1, rechargeTime: 0, effectiveRecharge: 0, baseDamage: 100, damageStrength: 1 }],
+  };
+  const [judgement] = prepareChainPowers(resolveIncarnates({ judgement: 'pyronic' }).powers, 0);
+  const overlay = simulateChainWithBuffOverlay(chain, [judgement], 0, createInherentSim({ archetype: 'dominator' }));
+  // Every 90s: 430 damage, and the chain loses the Judgement's activation
+  const cycle = 90;
+  close(overlay.clickAttackDps[0].dps, 430 / cycle, 0.2);
+  close(overlay.dpsWithBuffs, (430 + 100 * (cycle - judgement.arcanaTime)) / cycle, 0.5);
+});
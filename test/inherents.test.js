@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getInherentModel, INHERENT_MODELS } from '../js/inherents.js';
+import { createInherentSim, simulateChain } from '../js/chain-optimizer.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+// One activation of the model's multiplier, with state as createState gives it
+const multiplier = (model, options = {}) => model.damageMultiplier(model.createState(options), { slug: 'x' }, 0);
+
+test('every archetype maps to its model, and unknown ones to none', () => {
+  const ids = Object.fromEntries(['blaster', 'scrapper', 'corruptor', 'brute', 'stalker', 'dominator', 'sentinel']
+    .map(archetype => [archetype, getInherentModel(archetype).id]));
+  assert.deepEqual(ids, {
+    blaster: 'defiance', scrapper: 'criticalHits', corruptor: 'scourge', brute: 'fury',
+    stalker: 'assassination', dominator: 'domination', sentinel: 'opportunity',
+  });
+  assert.equal(getInherentModel('tanker').id, 'none');
+  assert.deepEqual(Object.keys(INHERENT_MODELS).sort(), Object.values(ids).sort());
+});
+
+test('Scrapper critical hits add their chance as expected damage', () => {
+  const crits = INHERENT_MODELS.criticalHits;
+  close(multiplier(crits), 1.1);
+  close(multiplier(crits, { critChance: 0.25 }), 1.25);
+  close(crits.upperBound({ critChance: 0.25 }), 1.25);
+  assert.ok(!crits.damageBuff);
+});
+
+test('Stalker criticals grow with the team, up to eight', () => {
+  const assassination = INHERENT_MODELS.assassination;
+  close(multiplier(assassination), 1.1);
+  close(multiplier(assassination, { teamSize: 4 }), 1.19);
+  close(multiplier(assassination, { teamSize: 12 }), 1.31);
+  close(assassination.upperBound({ teamSize: 8 }), 1.31);
+});
+
+test('Scourge averages 30% extra damage over a target\'s health', () => {
+  const scourge = INHERENT_MODELS.scourge;
+  close(multiplier(scourge), 1.3);
+  close(multiplier(scourge, { scourgeChance: 0.5 }), 1.5);
+  close(scourge.upperBound({}), 1.3);
+});
+
+test('Fury turns its bar level into a damage buff, capped at a full bar', () => {
+  const fury = INHERENT_MODELS.fury;
+  assert.ok(fury.damageBuff);
+  // The default 70 points, 2% each
+  close(multiplier(fury), 2.4);
+  close(multiplier(fury, { furyLevel: 0 }), 1);
+  close(multiplier(fury, { furyLevel: 150 }), 3);
+  close(fury.upperBound({ furyLevel: 100 }), 3);
+});
+
+test('Domination has no damage effect', () => {
+  const domination = INHERENT_MODELS.domination;
+  close(multiplier(domination), 1);
+  close(domination.upperBound(), 1);
+});
+
+test('Opportunity opens its resistance debuff once attacks fill the bar', () => {
+  const opportunity = INHERENT_MODELS.opportunity;
+  const state = opportunity.createState();
+  const power = { slug: 'x', arcanaTime: 2 };
+  // 20 points a 2s activation: the fifth fills the bar
+  for (let i = 0; i < 5; i++) {
+    assert.equal(opportunity.damageMultiplier(state, power, i * 2), 1);
+    opportunity.afterActivation(state, power, i * 2);
+  }
+  close(opportunity.damageMultiplier(state, power, 10), 1.2);
+  // Open for the last activation plus 10s, and the bar doesn't fill while it runs
+  close(opportunity.damageMultiplier(state, power, 19.9), 1.2);
+  opportunity.afterActivation(state, power, 12);
+  assert.equal(state.bar, 0);
+  assert.equal(opportunity.damageMultiplier(state, power, 20), 1);
+  close(opportunity.upperBound(), 1.2);
+});
+
+test('an inherent id runs in place of the archetype\'s own', () => {
+  const power = {
+    slug: 'bolt', name: 'Bolt', totalDamage: 100, arcanaTime: 1, effectiveRecharge: 0, activationLatency: 0,
+    defiance: { scale: 0.5, duration: 10, stacking: 'Stack' },
+  };
+  const sim = createInherentSim({ archetype: 'blaster', id: 'scourge' });
+  assert.equal(sim.model.id, 'scourge');
+  close(simulateChain([power], sim).dps, 130);
+  assert.equal(createInherentSim({ archetype: 'blaster', id: 'unknown' }).model.id, 'defiance');
+});
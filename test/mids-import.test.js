@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+import { importMidsBuild, readMidsText, parseMidsBuild } from '../js/mids-import.js';
+
+const slots = (...uids) => uids.map(Uid => ({ Level: 0, IsInherent: false, Enhancement: Uid ? { Uid, Grade: 'None' } : null }));
+
+// A trimmed Mids' Reborn .mbd
+const MBD = {
+  BuiltWith: { App: "Mids' Reborn", Version: '3.6.5' },
+  Level: '50',
+  Class: 'Class_Blaster',
+  Origin: 'Science',
+  Name: 'Fire/Fire',
+  PowerSets: ['Blaster_Ranged.Fire_Blast', 'Blaster_Support.Fire_Manipulation', '', 'Pool.Speed'],
+  PowerEntries: [
+    { PowerName: 'Blaster_Ranged.Fire_Blast.Blaze', SlotEntries: slots(
+      'Crafted_Apocalypse_A', 'Crafted_Apocalypse_B', 'Attuned_Apocalypse_D', 'Crafted_Apocalypse_F',
+      'Superior_Attuned_Superior_Blasters_Wrath_B', null) },
+    { PowerName: 'Blaster_Ranged.Fire_Blast.Flares', SlotEntries: slots(
+      'Crafted_Accuracy', 'Crafted_Damage', 'Crafted_Damage', 'Science_Damage', 'Crafted_Recharge', 'Crafted_EndRdx') },
+    { PowerName: 'Pool.Speed.Hasten', SlotEntries: slots('Crafted_Recharge', 'Crafted_Recharge') },
+    { PowerName: 'Pool.Leaping.Combat_Jumping', SlotEntries: slots(
+      'Crafted_Luck_of_the_Gambler_F', 'Crafted_Luck_of_the_Gambler_A', 'Hamidon_Nucleolus_Exposure') },
+    { PowerName: 'Inherent.Fitness.Stamina', SlotEntries: slots('Crafted_EndMod') },
+    { PowerName: '', SlotEntries: [] },
+    { PowerName: 'Weird_Name', SlotEntries: [] },
+  ],
+};
+
+test('a Mids build maps its archetype, powersets, powers and slotting', () => {
+  const { name, build, taken, unmapped, globalRecharge } = importMidsBuild(MBD);
+  assert.equal(name, 'Fire/Fire');
+  assert.deepEqual([build.archetype, build.primary, build.secondary, build.level],
+    ['blaster', 'fire_blast', 'fire_manipulation', 50]);
+  assert.deepEqual(taken, ['blaze', 'flares', 'hasten', 'combat_jumping']);
+
+  assert.deepEqual(build.perPower.blaze.pieces, [
+    { set: 'apocalypse', piece: 'dmg' },
+    { set: 'apocalypse', piece: 'acc_dmg_rech' },
+    { set: 'apocalypse', piece: 'acc_dmg' },
+    { set: 'apocalypse', piece: 'proc_negative' },
+    { set: 'superior_blasters_wrath', piece: 'dmg_rech' },
+  ]);
+  assert.deepEqual(build.perPower.flares,
+    { origin: 'io', accuracy: 1, damage: 3, recharge: 1, endurance: 1, pieces: [] });
+  assert.equal(build.perPower.hasten.recharge, 2);
+  // One Luck of the Gambler global recharge unique, kept apart from the global recharge
+  assert.equal(build.lotg, 1);
+  assert.equal(globalRecharge, 7.5);
+  assert.equal(build.recharge, undefined);
+
+  assert.deepEqual(unmapped, [
+    'Blaster_Ranged.Fire_Blast.Flares: 1 SO(s) counted as IOs',
+    'Pool.Leaping.Combat_Jumping: enhancement Hamidon_Nucleolus_Exposure',
+    "Pool.Leaping.Combat_Jumping: luck_of_the_gambler set pieces (set not in the catalog; its bonuses aren't counted)",
+    'Weird_Name: unrecognized power name',
+  ]);
+});
+
+test('a Mids build without Luck of the Gambler adds no recharge', () => {
+  const { build, globalRecharge } = importMidsBuild({
+    ...MBD,
+    PowerEntries: MBD.PowerEntries.filter(entry => entry.PowerName !== 'Pool.Leaping.Combat_Jumping'),
+  });
+  assert.equal(build.lotg, 0);
+  assert.equal(globalRecharge, 0);
+  assert.equal(build.recharge, undefined);
+});
+
+test('Mids data chunks decode to the same build', async () => {
+  const json = Buffer.from(JSON.stringify(MBD));
+  const compressed = deflateSync(json);
+  const base64 = compressed.toString('base64');
+  const lines = base64.match(/.{1,60}/g).map(line => `|${line}|`);
+  const chunk = ['|' + '-'.repeat(60) + '|', `|MBD;${json.length};${compressed.length};${base64.length};BASE64;|`,
+    ...lines, '|' + '-'.repeat(60) + '|'].join('\n');
+  assert.deepEqual(await readMidsText(chunk), MBD);
+
+  const hex = `MBD;${json.length};${compressed.length};${compressed.length * 2};HEX;${compressed.toString('hex')}`;
+  assert.deepEqual(await readMidsText(hex), MBD);
+  const plain = `MBD;${json.length};${json.length};${json.length};BASE64;${json.toString('base64')}`;
+  assert.deepEqual((await parseMidsBuild(plain)).taken, importMidsBuild(MBD).taken);
+});
+
+test('unreadable Mids input is refused with a reason', async () => {
+  await assert.rejects(readMidsText('hello'), /Not a Mids build file/);
+  await assert.rejects(readMidsText('{ nope'), /not valid JSON/);
+  await assert.rejects(readMidsText('|MxDz;1476;697;1394;HEX;|\n|78DA|'), /old binary format/);
+  await assert.rejects(readMidsText('MBD;100;50;8;BASE64;AAAAAAAA'), /does not decompress/);
+  await assert.rejects(parseMidsBuild('{"Class": "Class_Blaster"}'), /no power entries/);
+});
+
+test('pieces of sets listed in part map by their place in the full set', () => {
+  const { build, unmapped } = importMidsBuild({
+    ...MBD,
+    PowerEntries: [{ PowerName: 'Blaster_Support.Fire_Manipulation.Fire_Sword', SlotEntries: slots(
+      'Crafted_Javelin_Volley_A', 'Attuned_Javelin_Volley_F') }],
+  });
+  assert.deepEqual(build.perPower.fire_sword.pieces, [{ set: 'javelin_volley', piece: 'proc_lethal' }]);
+  assert.deepEqual(unmapped,
+    ['Blaster_Support.Fire_Manipulation.Fire_Sword: Javelin Volley piece A (piece not in the catalog)']);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPoolPowers, poolPowerSlugs } from '../js/pool-powers.js';
+import { cooldownEnd, averageRechargeBuff } from '../js/chain-optimizer.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('pool powers are buff powers gated by level', () => {
+  assert.deepEqual(poolPowerSlugs(), ['hasten']);
+  assert.equal(createPoolPowers(2).length, 0);
+  const [hasten] = createPoolPowers(50);
+  assert.equal(hasten.isBuff, true);
+  assert.equal(hasten.powersetSlug, 'pool');
+  assert.deepEqual(hasten.rechargeBuffs, [{ scale: 0.7, duration: 120 }]);
+});
+
+test('recharge buffs shorten a cooldown only while they run', () => {
+  const power = { rechargeTime: 450, effectiveRecharge: 450 };
+  close(cooldownEnd(power, 0), 450);
+  // 120s at 1.7x covers 204s of recharge, the remaining 246s run at 1x
+  close(cooldownEnd(power, 0, [{ scale: 0.7, expiresAt: 120 }]), 366);
+  // An expired buff does nothing
+  close(cooldownEnd(power, 200, [{ scale: 0.7, expiresAt: 120 }]), 650);
+});
+
+test('Hasten averages its recharge over its own cycle', () => {
+  const [hasten] = createPoolPowers(50);
+  const prepared = { ...hasten, effectiveRecharge: hasten.rechargeTime };
+  close(averageRechargeBuff([prepared]), 0.7 * 120 / (hasten.arcanaTime + 366));
+  // With enough recharge it is recast as it expires, leaving only the cast time uncovered
+  close(averageRechargeBuff([{ ...prepared, effectiveRecharge: 100 }]), 0.7 * 120 / (hasten.arcanaTime + 120));
+  assert.equal(averageRechargeBuff([{ ...prepared, rechargeBuffs: [] }]), 0);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractDamage, extractBuffs } from '../js/power-parser.js';
+import { loadTables, loadRawPower, loadFireFire, PRIMARY } from './helpers.js';
+
+const close = (actual, expected, eps = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+function damageTemplate(overrides) {
+  return {
+    attribs: ['Fire_Dmg'],
+    aspect: 'Absolute',
+    target: 'AnyAffected',
+    table: 'Ranged_Damage',
+    scale: 1,
+    duration: '0 seconds',
+    application_period: 0,
+    ...overrides,
+  };
+}
+
+test('extractDamage counts DoT ticks as floor(duration / period) + 1', async () => {
+  const { named_tables: tables } = await loadTables();
+  const perTick = Math.abs(tables.ranged_damage[49]);
+  const power = {
+    effects: [{
+      is_pvp: 'EITHER',
+      templates: [damageTemplate({ scale: 0.25, duration: '4.1 seconds', application_period: 1 })],
+    }],
+  };
+  const [component] = extractDamage(power, tables, 49);
+  close(component.damage, 0.25 * perTick * 5);
+  assert.equal(component.type, 'Fire');
+});
+
+test('extractDamage skips PvP effects, PvP tables and Strength buffs', async () => {
+  const { named_tables: tables } = await loadTables();
+  const power = {
+    effects: [
+      { is_pvp: 'PVP', templates: [damageTemplate()] },
+      { is_pvp: 'EITHER', templates: [damageTemplate({ table: 'Ranged_PvPDamage' })] },
+      { is_pvp: 'EITHER', templates: [damageTemplate({ aspect: 'Strength', target: 'Self' })] },
+    ],
+  };
+  assert.deepEqual(extractDamage(power, tables, 49), []);
+});
+
+test('Blaze damage includes its DoT', async () => {
+  const { named_tables: tables } = await loadTables();
+  const blaze = await loadRawPower(PRIMARY, 'blaze');
+  const total = extractDamage(blaze, tables, 49).reduce((sum, c) => sum + c.damage, 0);
+  close(total, 203.012);
+});
+
+test('extractBuffs resolves Defiance scale directly from Ranged_Ones', async () => {
+  const { named_tables: tables } = await loadTables();
+  const flares = await loadRawPower(PRIMARY, 'flares');
+  const [defiance] = extractBuffs(flares, tables, 49);
+  close(defiance.resolvedScale, 0.066);
+  assert.equal(defiance.duration, 8.5);
+  assert.equal(defiance.stacking, 'Stack');
+});
+
+test('extractBuffs resolves Aim through Melee_Buff_Dmg', async () => {
+  const { named_tables: tables } = await loadTables();
+  const aim = await loadRawPower(PRIMARY, 'aim');
+  const [buff] = extractBuffs(aim, tables, 49);
+  close(buff.resolvedScale, 0.625);
+  assert.equal(buff.duration, 10);
+});
+
+test('parsed Fire Blast powers match known level 50 values', async () => {
+  const powers = await loadFireFire();
+  close(powers.flares.totalDamage, 63.187);
+  close(powers.flares.arcanaTime, 1.188);
+  close(powers.fire_blast.totalDamage, 100.098);
+  assert.equal(powers.aim.isBuff, true);
+  assert.deepEqual(powers.flares.defiance, { scale: 0.066, duration: 8.5, stacking: 'Stack' });
+});
+
+test('Rain of Fire totals pet damage over 8 ticks of its 15s lifetime', async () => {
+  const { named_tables: tables } = await loadTables();
+  const powers = await loadFireFire();
+  const pet = await loadRawPower(PRIMARY, 'pets/rainoffire_rainoffire');
+  const tick = extractDamage(pet, tables, 49).reduce((sum, c) => sum + c.damage, 0);
+
+  const rof = powers.rain_of_fire;
+  assert.equal(rof.isPetDamage, true);
+  close(rof.totalDamage, tick * 8);
+  close(rof.totalDamage, 26.693);
+  assert.equal(rof.damageComponents[0].type, 'Fire');
+  assert.equal(rof.maxTargetsHit, 16);
+});
+
+test('Blazing Bolt uses the quick snipe redirect', async () => {
+  const powers = await loadFireFire();
+  assert.equal(powers.blazing_bolt.isRedirected, true);
+  close(powers.blazing_bolt.castTime, 1.67);
+});
+
+test('toggles are not parsed as attacks', async () => {
+  const powers = await loadFireFire();
+  assert.equal(powers.blazing_aura, undefined);
+  assert.equal(powers.hot_feet, undefined);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveResistance, resistanceMultiplier, RESISTANCE_FLOOR } from '../js/resistance.js';
+import { runOptimization } from '../js/chain-optimizer.js';
+import { loadFireFire, enhance } from './helpers.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('per-type resistances override the preset', () => {
+  const res = resolveResistance({ preset: 'pylon', resistances: { Fire: 0.5 } });
+  close(resistanceMultiplier(res, 'Fire'), 0.5);
+  close(resistanceMultiplier(res, 'Lethal'), 0.7);
+  assert.equal(resistanceMultiplier(null, 'Fire'), 1);
+});
+
+test('resistance debuffs scale with the purple patch and stop at the floor', () => {
+  const even = resolveResistance({ resistances: { Fire: 0.3 }, debuff: 0.5 });
+  close(resistanceMultiplier(even, 'Fire'), 1.2);
+  close(resistanceMultiplier(even, 'Cold'), 1.5);
+
+  const plusFour = resolveResistance({ resistances: { Fire: 0.3 }, debuff: 0.5 }, 0.48);
+  close(resistanceMultiplier(plusFour, 'Fire'), 1 - (0.3 - 0.24));
+
+  const floored = resolveResistance({ debuff: 10 });
+  close(resistanceMultiplier(floored, 'Fire'), 1 - RESISTANCE_FLOOR);
+});
+
+test('runOptimization applies resistance per damage type and splits chain damage by type', async () => {
+  const bySlug = await loadFireFire();
+  const powers = enhance(bySlug, ['blaze', 'fire_sword', 'ring_of_fire']);
+  const config = { powers, buffPowers: [], rechargeReduction: 85, activationLatency: 0.04 };
+
+  const open = runOptimization(config).hybridChains[0];
+  const resisted = runOptimization({ ...config, resistance: { resistances: { Fire: 0.5 } } }).hybridChains[0];
+  assert.deepEqual(resisted.powers.map(p => p.slug), open.powers.map(p => p.slug));
+
+  // Fire Sword's lethal component is untouched; every fire component is halved
+  close(resisted.damageByType.Fire, open.damageByType.Fire / 2, 1e-6);
+  close(resisted.damageByType.Lethal, open.damageByType.Lethal, 1e-6);
+
+  for (const chain of [open, resisted]) {
+    const total = Object.values(chain.damageByType).reduce((sum, d) => sum + d, 0);
+    close(total, chain.totalDamage, 1e-6);
+  }
+});
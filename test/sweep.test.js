@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sweepValues, sweepMessages, sweepSeries, MAX_SWEEP_POINTS } from '../js/sweep.js';
+import { runOptimization } from '../js/chain-optimizer.js';
+import { loadFireFire, enhance } from './helpers.js';
+
+const chain = (dps, slugs) => ({ dps, powers: slugs.map(slug => ({ slug, name: slug.toUpperCase() })) });
+
+test('sweep values step through the range and refuse bad ones', () => {
+  assert.deepEqual(sweepValues('recharge', 0, 50, 10), [0, 10, 20, 30, 40, 50]);
+  assert.deepEqual(sweepValues('latency', 0, 100, 30), [0, 30, 60, 90]);
+  assert.deepEqual(sweepValues('targets', 3, 3, 1), [3]);
+  assert.throws(() => sweepValues('recharge', 100, 50, 10), /start no higher than its end/);
+  assert.throws(() => sweepValues('recharge', 0, 50, 0), /step above 0/);
+  assert.throws(() => sweepValues('targets', 0, 10, 1), /from 1 to 16/);
+  assert.throws(() => sweepValues('recharge', 0, 300, 1), new RegExp(`more than ${MAX_SWEEP_POINTS}`));
+});
+
+test('sweep messages vary one setting and run one pass', () => {
+  // 30% of the message's recharge comes from set bonuses on top of the slider's 70%
+  const message = { rechargeReduction: 100, activationLatency: 0.04, numTargets: 3 };
+  const [low, high] = sweepMessages('recharge', 'ranged', message, { rechargeBonus: 70 }, [0, 150]);
+  assert.equal(low.rechargeReduction, 30);
+  assert.equal(high.rechargeReduction, 180);
+  assert.deepEqual(high.passes, ['ranged']);
+  assert.equal(high.activationLatency, 0.04);
+
+  const [latency] = sweepMessages('latency', 'hybrid', message, {}, [125]);
+  assert.equal(latency.activationLatency, 0.125);
+  assert.equal(message.activationLatency, 0.04);
+});
+
+test('breakpoints mark where the best chain changes', () => {
+  const { points, breakpoints } = sweepSeries('ranged', [0, 10, 20, 30], [
+    { rangedChains: [chain(150, ['a', 'b', 'c'])] },
+    { rangedChains: [chain(160, ['b', 'c', 'a'])] },
+    { rangedChains: [] },
+    { rangedChains: [chain(190, ['a', 'd'])] },
+  ]);
+  assert.equal(points[1].key, points[0].key);
+  assert.equal(points[2].dps, null);
+  assert.deepEqual(breakpoints, [{ after: 10, value: 30, from: 'B > C > A', to: 'A > D', dpsChange: 30 }]);
+});
+
+test('a single-pass run skips the other passes', async () => {
+  const bySlug = await loadFireFire();
+  const result = runOptimization({
+    powers: enhance(bySlug, ['blaze', 'fire_sword', 'fire_blast']),
+    buffPowers: [], rechargeReduction: 70, activationLatency: 0.04, passes: ['ranged'],
+  });
+  assert.ok(result.rangedChains.length > 0);
+  assert.equal(result.hybridChains, null);
+  assert.equal(result.aoeChains, null);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveTarget, levelDamageModifier, describeTarget } from '../js/target.js';
+import { getInherentModel } from '../js/inherents.js';
+
+test('resolveTarget defaults to an even-level boss', () => {
+  const target = resolveTarget();
+  assert.equal(target.rank, 'boss');
+  assert.equal(target.effectiveOffset, 0);
+  assert.equal(target.damageMod, 1);
+  assert.equal(describeTarget(target), '+0 Boss');
+});
+
+test('archvillains add a level shift to the purple patch', () => {
+  const target = resolveTarget({ rank: 'archvillain', levelOffset: 3 });
+  assert.equal(target.levelOffset, 3);
+  assert.equal(target.effectiveOffset, 4);
+  assert.equal(target.damageMod, 0.48);
+  assert.equal(describeTarget(target), '+3 Archvillain (+4 with level shift)');
+});
+
+test('the pylon sits at level 54 whatever the chosen offset', () => {
+  const atFifty = resolveTarget({ rank: 'pylon', levelOffset: -1, playerLevel: 50 });
+  assert.equal(atFifty.effectiveOffset, 4);
+  assert.equal(atFifty.damageMod, 0.48);
+  assert.equal(describeTarget(atFifty), 'Pylon (+4)');
+
+  // Below level 49 the pylon is past the top of the table
+  assert.equal(resolveTarget({ rank: 'pylon', playerLevel: 40 }).effectiveOffset, 5);
+});
+
+test('levelDamageModifier follows the purple patch and clamps', () => {
+  assert.equal(levelDamageModifier(-1), 1.1);
+  assert.equal(levelDamageModifier(2), 0.8);
+  assert.equal(levelDamageModifier(-4), 1.1);
+  assert.equal(levelDamageModifier(8), 0.3);
+});
+
+test('Scrapper criticals drop to 5% against minions', () => {
+  const crits = getInherentModel('scrapper');
+  assert.equal(crits.damageMultiplier(crits.createState({ targetRank: 'boss' })), 1.1);
+  assert.equal(crits.damageMultiplier(crits.createState({ targetRank: 'minion' })), 1.05);
+  assert.equal(crits.upperBound({ targetRank: 'minion' }), 1.05);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveTeamEffects, isEffectActive } from '../js/team-buffs.js';
+import { simulateChainWithBuffOverlay, createInherentSim } from '../js/chain-optimizer.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test('toggles and effects lasting their whole period are always on', () => {
+  const { constant, timed } = resolveTeamEffects({
+    effects: [
+      { id: 'assault' },
+      { id: 'tactics', magnitude: 0.1 },
+      { id: 'speed_boost' },
+      { id: 'fulcrum_shift', duration: 20, period: 40 },
+      { id: 'siphon_power', magnitude: 0 },
+      { id: 'not_an_effect' },
+    ],
+  });
+  close(constant.damage, 0.1);
+  close(constant.toHit, 0.1);
+  close(constant.recharge, 0.5);
+  assert.deepEqual(timed.map(e => [e.id, e.magnitude, e.duration, e.period]), [['fulcrum_shift', 1, 20, 40]]);
+});
+
+test('timed effects run from the start of each refresh period', () => {
+  const effect = { duration: 10, period: 30 };
+  assert.equal(isEffectActive(effect, 0), true);
+  assert.equal(isEffectActive(effect, 9.9), true);
+  assert.equal(isEffectActive(effect, 15), false);
+  assert.equal(isEffectActive(effect, 31), true);
+});
+
+// One 1s attack on no recharge with 95% enhancement, no inherent bonus
+const chain = {
+  dps: 195,
+  allHitsDps: 195,
+  powers: [{ slug: 'a', arcanaTime: 1, rechargeTime: 0, effectiveRecharge: 0, baseDamage: 195, damageStrength: 1.95, damageByType: { Fire: 195 } }],
+};
+const none = createInherentSim({ archetype: 'dominator' });
+
+test('timed team damage buffs add strength while they run', () => {
+  const fulcrum = { id: 'fulcrum_shift', name: 'Fulcrum Shift', kind: 'damage', magnitude: 1, duration: 50, period: 100 };
+  const overlay = simulateChainWithBuffOverlay(chain, [], 0, none, null, { teamEffects: [fulcrum] });
+  // Half the time at 2.95 strength, half at 1.95
+  close(overlay.dpsWithBuffs, 100 * 0.5 * (2.95 + 1.95), 2);
+  close(overlay.avgTeamBuff, 0.5, 0.02);
+});
+
+test('timed team resistance debuffs stack on the target resistance', () => {
+  const sonic = { id: 'sonic_res_debuff', name: 'Sonic', kind: 'resDebuff', magnitude: 0.3, duration: 100, period: 200 };
+  const resistance = { resistances: { Fire: 0.5 } };
+  const overlay = simulateChainWithBuffOverlay(chain, [], 0, none, null, { teamEffects: [sonic], resistance });
+  // Fire resistance 50% -> 20% for half the time: 0.8 / 0.5 = 1.6x
+  close(overlay.dpsWithBuffs, 195 * 0.5 * (1.6 + 1), 2);
+});